@@ -1,76 +1,295 @@
-const CACHE_NAME = 'task-app-v1';
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/favicon.ico',
-  // Add other static assets or build files here
-];
-
-// Install event - cache essential assets
+// Caches, both named after the build version so each deploy gets its own:
+// - app shell: every file of the build (the precache manifest) plus the offline page, so the app
+//   opens without a network and never mixes files from two deploys
+// - assets: anything else under /assets/, cached as it is used (file names are content-hashed)
+// A new version installs in the background and waits; the page offers "New version available —
+// reload" and only then tells it to take over (see src/utils/swUpdate.js).
+// API GETs go network-first; task and comment responses are also saved to IndexedDB so they can
+// be served when the network is down. Pages hear about that through postMessage (see
+// src/utils/offline.js) to show the "offline" banner.
+// Task changes made offline wait in IndexedDB (src/utils/offlineQueue.js) and are replayed here,
+// in order, when Background Sync fires.
+// { version, files } - filled in by the sw-precache-manifest plugin in vite.config.js;
+// the dev server serves this file as is
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: 'dev', files: [] };
+const SHELL_CACHE = `task-app-shell-${PRECACHE.version}`;
+const ASSET_CACHE = `task-app-assets-${PRECACHE.version}`;
+const OFFLINE_PAGE = '/offline.html';
+const SHELL_FILES = ['/manifest.json', '/favicon.ico', OFFLINE_PAGE];
+
+// Message types shared with src/utils/offline.js
+const MSG_SNAPSHOT = 'offline:snapshot';
+const MSG_ONLINE = 'offline:online';
+const MSG_CLEAR = 'offline:clear';
+const MSG_QUEUE = 'offline:queue';
+const MSG_SKIP_WAITING = 'sw:skip-waiting'; // from src/utils/swUpdate.js once the user agrees
+const MSG_QUIET = 'notifications:quiet'; // from src/utils/quietHours.js: { dnd, quietHours }
+const SYNC_TAG = 'task-mutations';
+
+// API responses kept for offline use: task lists, single tasks and their comments
+const API_PATH = /\/api\/v\d+\//;
+const SNAPSHOT_PATH = /\/api\/v\d+\/tasks(\/[^/?]+(\/comments)?)?\/?$/;
+
+// ---- IndexedDB, shared with src/utils/offlineQueue.js (same name, version and stores)
+// snapshots: { url, body, savedAt }; mutations: queued task changes, replayed in id order;
+// settings: { key: 'quiet', dnd, quietHours } for pushes while the app is closed
+const DB_NAME = 'task-app-offline';
+const DB_VERSION = 3;
+const SNAPSHOT_STORE = 'snapshots';
+const MUTATION_STORE = 'mutations';
+const SETTINGS_STORE = 'settings';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'url' });
+    if (!db.objectStoreNames.contains(MUTATION_STORE)) {
+      db.createObjectStore(MUTATION_STORE, { keyPath: 'id', autoIncrement: true });
+    }
+    if (!db.objectStoreNames.contains(SETTINGS_STORE)) db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (storeName, mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+const saveSnapshot = (url, body) =>
+  withStore(SNAPSHOT_STORE, 'readwrite', store => store.put({ url, body, savedAt: new Date().toISOString() }));
+const readSnapshot = (url) => withStore(SNAPSHOT_STORE, 'readonly', store => store.get(url));
+const clearOfflineData = () => Promise.all([
+  withStore(SNAPSHOT_STORE, 'readwrite', store => store.clear()),
+  withStore(MUTATION_STORE, 'readwrite', store => store.clear()),
+  withStore(SETTINGS_STORE, 'readwrite', store => store.clear()),
+]);
+
+let servingSnapshots = false; // tell pages once the API answers again
+
+const notifyClients = async (message) => {
+  const clientList = await self.clients.matchAll({ type: 'window' });
+  clientList.forEach(client => client.postMessage(message));
+};
+
+// The build's files all-or-nothing (a half-cached version would fail the install and be retried
+// on the next visit), the extra shell files as far as they exist
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const files = PRECACHE.files.length ? PRECACHE.files : ['/index.html'];
+  await cache.addAll(files.map(url => new Request(url, { cache: 'reload' })));
+  await Promise.allSettled(SHELL_FILES.map(url => cache.add(url)));
+};
+
+// Install event - cache this version; it then waits until the user reloads into it
+// (the very first worker has nothing to replace and activates straight away)
 self.addEventListener('install', event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => Promise.allSettled(ASSETS.map(url => cache.add(url))))
-      .then(() => self.skipWaiting()) // Activate worker immediately after install
-  );
+  event.waitUntil(precacheShell());
 });
 
-// Activate event - cleanup old caches if any
+// Activate event - drop the caches of older versions
 self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys()
       .then(keys =>
         Promise.all(
           keys
-            .filter(key => key !== CACHE_NAME)
+            .filter(key => key !== SHELL_CACHE && key !== ASSET_CACHE)
             .map(key => caches.delete(key))
         )
       )
-      .then(() => self.clients.claim()) // Take control of pages ASAP
+      .then(() => self.clients.claim()) // First install: work offline without a reload
   );
 });
 
-// Fetch event - respond with cache first, fallback to network
-self.addEventListener('fetch', event => {
-  // Ignore requests with unsupported schemes like chrome-extension://
-  if (event.request.url.startsWith('chrome-extension://')) {
+self.addEventListener('message', event => {
+  if (event.data?.type === MSG_SKIP_WAITING) {
+    self.skipWaiting();
     return;
   }
+  if (event.data?.type === MSG_QUIET) {
+    const { dnd, quietHours } = event.data;
+    event.waitUntil(withStore(SETTINGS_STORE, 'readwrite', store => store.put({ key: 'quiet', dnd, quietHours })));
+    return;
+  }
+  // Sent on logout so the next user never sees (or sends) this user's tasks
+  if (event.data?.type === MSG_CLEAR) {
+    event.waitUntil(clearOfflineData().catch(() => {}));
+  }
+});
 
-  event.respondWith(
-    caches.match(event.request)
-      .then(cachedResponse => {
-        if (cachedResponse) {
-          return cachedResponse;
-        }
-        return fetch(event.request)
-          .then(networkResponse => {
-            if (
-              event.request.method === 'GET' &&
-              networkResponse.status === 200 &&
-              networkResponse.type === 'basic'
-            ) {
-              const clonedResponse = networkResponse.clone();
-              caches.open(CACHE_NAME).then(cache => {
-                cache.put(event.request, clonedResponse);
-              });
-            }
-            return networkResponse;
-          });
-      })
-      .catch(() => {
-        // Optionally respond with a fallback offline page/image if network and cache both fail
-        // return caches.match('/offline.html');
-      })
-  );
+// ---- Offline task changes. Same outcomes as replayMutations in src/utils/offlineQueue.js:
+// 2xx sent, 409/412 conflict (held for the user to resolve, later changes to that task wait),
+// 401 wait for the page to refresh the login, 5xx/network retry later, other 4xx dropped.
+const withQueueLock = (run) => (self.navigator.locks ? self.navigator.locks.request(SYNC_TAG, run) : run());
+
+const replayMutations = () => withQueueLock(async () => {
+  const mutations = await withStore(MUTATION_STORE, 'readonly', store => store.getAll());
+  const blocked = new Set();
+
+  for (const mutation of mutations) {
+    if (mutation.status === 'conflict' || blocked.has(mutation.taskId)) {
+      blocked.add(mutation.taskId);
+      continue;
+    }
+
+    const response = await fetch(mutation.apiUrl, {
+      method: mutation.method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(mutation.authorization ? { Authorization: mutation.authorization } : {}),
+      },
+      body: JSON.stringify(mutation.body),
+    }); // a network error rejects, and Background Sync tries again later
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      await withStore(MUTATION_STORE, 'readwrite', store => store.delete(mutation.id));
+      notifyClients({ type: MSG_QUEUE, event: 'synced', mutation });
+    } else if (response.status === 409 || response.status === 412) {
+      const conflict = { message: result.message || 'Changed by someone else', current: result.data || null };
+      await withStore(MUTATION_STORE, 'readwrite', store => store.put({ ...mutation, status: 'conflict', conflict }));
+      blocked.add(mutation.taskId);
+      notifyClients({ type: MSG_QUEUE, event: 'conflict', mutation });
+    } else if (response.status === 401) {
+      return; // the page replays once it has a fresh token
+    } else if (response.status >= 500) {
+      throw new Error(`Sync failed with ${response.status}`);
+    } else {
+      await withStore(MUTATION_STORE, 'readwrite', store => store.delete(mutation.id));
+      notifyClients({ type: MSG_QUEUE, event: 'failed', mutation, message: result.message });
+    }
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayMutations());
+});
+
+// Navigations: this version's index.html, so pages keep the bundle this worker precached until
+// the user takes the update; the network (dev, or nothing precached) and the offline page after that
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const shell = PRECACHE.version !== 'dev' ? await cache.match('/index.html') : null;
+  if (shell) return shell;
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('/index.html', response.clone());
+    return response;
+  } catch {
+    return (await cache.match('/index.html')) || (await caches.match(OFFLINE_PAGE)) || Response.error();
+  }
+};
+
+// API reads: network first; task/comment responses fall back to the last saved snapshot
+const handleApiGet = async (request) => {
+  const url = new URL(request.url);
+  const snapshotKey = url.pathname + url.search;
+  const keepsSnapshot = SNAPSHOT_PATH.test(url.pathname);
+
+  try {
+    const response = await fetch(request);
+    if (servingSnapshots) {
+      servingSnapshots = false;
+      notifyClients({ type: MSG_ONLINE });
+    }
+    if (keepsSnapshot && response.ok) {
+      response.clone().text()
+        .then(body => saveSnapshot(snapshotKey, body))
+        .catch(err => console.warn('Offline snapshot not saved', err));
+    }
+    return response;
+  } catch (err) {
+    const snapshot = keepsSnapshot ? await readSnapshot(snapshotKey).catch(() => null) : null;
+    if (!snapshot) throw err;
+    servingSnapshots = true;
+    notifyClients({ type: MSG_SNAPSHOT, url: snapshotKey, savedAt: snapshot.savedAt });
+    return new Response(snapshot.body, {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'X-Offline-Snapshot': snapshot.savedAt },
+    });
+  }
+};
+
+// Built files: cache first (precached or not, their names change with their content)
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && response.type === 'basic') {
+    const cache = await caches.open(ASSET_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Writes, extension and socket.io traffic are left to the network
+  if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+  const url = new URL(request.url);
+  if (url.pathname.startsWith('/socket.io')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (API_PATH.test(url.pathname)) {
+    event.respondWith(handleApiGet(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(handleAsset(request));
+  }
+});
+
+// ---- Do Not Disturb / quiet hours, same rules as quietReason in src/utils/quietHours.js.
+// The server skips pushes while they are on; this covers pushes already on their way.
+const minutesOf = (hhmm) => {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+const isQuiet = ({ dnd, quietHours } = {}, now = new Date()) => {
+  if (dnd?.enabled && (!dnd.until || new Date(dnd.until) > now)) return true;
+  if (!quietHours?.enabled) return false;
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  if (start === end) return false;
+  return start < end ? current >= start && current < end : current >= start || current < end;
+};
+
+const readQuietSettings = () => withStore(SETTINGS_STORE, 'readonly', store => store.get('quiet')).catch(() => null);
+
+// A push has to show something; while quiet that is one silent note the next pushes replace
+const showQuietNotice = () => self.registration.showNotification('Do Not Disturb is on', {
+  body: 'New notifications are waiting in the app',
+  icon: '/icons/icon-192.png',
+  badge: '/icons/badge.png',
+  data: { link: '/dashboard' },
+  tag: 'quiet-hours',
+  silent: true,
+  renotify: false,
 });
+
 self.addEventListener('push', (event) => {
   if (!event.data) return;
 
   const payload = event.data.json();
   const title = payload.title || 'Notification';
   const options = {
-    body: payload.body || '',
+    // mention excerpts arrive as "@[Name](id)"; show them as "@Name"
+    body: (payload.body || '').replace(/@\[([^\]]+)\]\([^)\s]+\)/g, '@$1'),
     icon: payload.icon || '/icons/icon-192.png',
     badge: payload.badge || '/icons/badge.png',
     data: payload.data || {},
@@ -78,7 +297,11 @@ self.addEventListener('push', (event) => {
     renotify: false,
   };
 
-  event.waitUntil(self.registration.showNotification(title, options));
+  event.waitUntil(
+    readQuietSettings().then(settings =>
+      (isQuiet(settings || {}) ? showQuietNotice() : self.registration.showNotification(title, options))
+    )
+  );
 });
 
 self.addEventListener('notificationclick', (event) => {
@@ -1,6 +1,9 @@
 // src/Api/chat.js
 import axiosInstance from './axiosInstance';
 
+// History pages come back oldest first. Params: { limit } plus one of
+// { before: messageId } (older page), { after: messageId } (newer page) or { around: messageId }
+
 // Public history
 export const fetchPublicMessages = async (params = {}) => {
   const res = await axiosInstance.get('/chat/public', { params });
@@ -13,6 +16,35 @@ export const fetchDepartmentMessages = async (departmentId, params = {}) => {
   return res.data?.data || [];
 };
 
+// Search a room's history; scope is 'public' or 'department' (with departmentId). Best matches first
+export const searchChatMessages = async ({ q, scope, departmentId, limit = 20 }) => {
+  const res = await axiosInstance.get('/chat/search', {
+    params: { q, scope, department: departmentId || undefined, limit },
+  });
+  return res.data?.data || [];
+};
+
+// Read positions use room keys: 'public' or 'department:<departmentId>' (see chatRoomKey)
+
+// The current user's last-read position and unread count per room:
+// [{ room, lastReadAt, lastReadMessage, unreadCount }]
+export const fetchChatReadState = async () => {
+  const res = await axiosInstance.get('/chat/read-state');
+  return res.data?.data || [];
+};
+
+// Move the current user's last-read position in a room up to a message; returns { room, lastReadAt }
+export const markChatRoomRead = async (room, messageId) => {
+  const res = await axiosInstance.post('/chat/read-state', { room, messageId });
+  return res.data?.data;
+};
+
+// Every member's last-read position in a room, for "seen by": [{ user: { _id, name }, lastReadAt }]
+export const fetchRoomReceipts = async (room) => {
+  const res = await axiosInstance.get('/chat/read-state/receipts', { params: { room } });
+  return res.data?.data || [];
+};
+
 // POST public message (REST fallback / optional)
 export const sendPublicMessage = async (message) => {
   const res = await axiosInstance.post('/chat/public', { message });
@@ -24,3 +56,59 @@ export const sendDepartmentMessage = async (departmentId, message) => {
   const res = await axiosInstance.post('/chat/department', { departmentId, message });
   return res.data?.data;
 };
+
+// Toggle the current user's emoji reaction on a public/department message; returns the message's reactions
+export const toggleMessageReaction = async (messageId, emoji) => {
+  const res = await axiosInstance.post(`/chat/messages/${messageId}/reactions`, { emoji });
+  return res.data?.data?.reactions || [];
+};
+
+// Edit your own message; the previous text is kept in the message's editHistory
+export const editChatMessage = async (messageId, message, mentions = []) => {
+  const res = await axiosInstance.patch(`/chat/messages/${messageId}`, { message, mentions });
+  return res.data?.data;
+};
+
+// Soft-delete a message (author, or admin/coordinator as moderator); returns the tombstone
+export const deleteChatMessage = async (messageId) => {
+  const res = await axiosInstance.delete(`/chat/messages/${messageId}`);
+  return res.data?.data;
+};
+
+// Direct messages and group conversations the current user belongs to,
+// each with participants, lastMessage and unreadCount
+export const fetchConversations = async () => {
+  const res = await axiosInstance.get('/chat/conversations');
+  return res.data?.data || [];
+};
+
+// Start a conversation: one participant is a direct message (the existing one is returned
+// if there is already a DM with that person), several make a group with an optional name
+export const createConversation = async ({ participants, name }) => {
+  const res = await axiosInstance.post('/chat/conversations', { participants, name });
+  return res.data?.data;
+};
+
+// Conversation history, oldest first
+export const fetchConversationMessages = async (conversationId, params = {}) => {
+  const res = await axiosInstance.get(`/chat/conversations/${conversationId}/messages`, { params });
+  return res.data?.data || [];
+};
+
+// Reset the current user's unread count for a conversation
+export const markConversationRead = async (conversationId) => {
+  await axiosInstance.post(`/chat/conversations/${conversationId}/read`);
+};
+
+// Upload one chat attachment; onProgress gets 0-100. Returns { url, name, type, size }
+export const uploadChatAttachment = async (file, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  const res = await axiosInstance.post('/chat/attachments', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    onUploadProgress: (e) => {
+      if (onProgress && e.total) onProgress(Math.round((e.loaded / e.total) * 100));
+    },
+  });
+  return res.data?.data;
+};
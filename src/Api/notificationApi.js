@@ -8,3 +8,14 @@ export const getUserNotifications = async () => {
 export const markNotificationAsRead = async (id) => {
   await axiosInstance.put(`/notifications/${id}/read`);
 };
+
+// Per-event notification channels, see utils/notificationPreferences.js
+export const fetchNotificationPreferences = async () => {
+  const res = await axiosInstance.get('/notifications/preferences');
+  return res.data.data;
+};
+
+export const updateNotificationPreferences = async (preferences) => {
+  const res = await axiosInstance.put('/notifications/preferences', preferences);
+  return res.data.data;
+};
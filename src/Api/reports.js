@@ -27,4 +27,10 @@ export const fetchAssetReports = async (params) => {
 export const getTaskStatusCount = async () => {
   const response = await axiosInstance.get('/reports/task-status-count');
   return response.data;
-};
\ No newline at end of file
+};
+
+// Get logged time per user and per department: { users, departments }
+export const fetchTimeReport = async (params) => {
+  const response = await axiosInstance.get('/reports/time', { params });
+  return response.data;
+};
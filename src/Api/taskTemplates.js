@@ -0,0 +1,31 @@
+import axiosInstance from './axiosInstance';
+
+// Fetch all task templates visible to the current user
+export const fetchTaskTemplates = async () => {
+  const response = await axiosInstance.get('/task-templates');
+  return response.data.data;
+};
+
+// Fetch single template by ID
+export const fetchTaskTemplateById = async (templateId) => {
+  const response = await axiosInstance.get(`/task-templates/${templateId}`);
+  return response.data.data;
+};
+
+// Create a new template
+export const createTaskTemplate = async (data) => {
+  const response = await axiosInstance.post('/task-templates', data);
+  return response.data.data;
+};
+
+// Update existing template
+export const updateTaskTemplate = async (templateId, data) => {
+  const response = await axiosInstance.put(`/task-templates/${templateId}`, data);
+  return response.data.data;
+};
+
+// Delete a template
+export const deleteTaskTemplate = async (templateId) => {
+  const response = await axiosInstance.delete(`/task-templates/${templateId}`);
+  return response.data;
+};
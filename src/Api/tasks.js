@@ -1,4 +1,5 @@
 import axiosInstance from './axiosInstance';
+import { isOfflineError, queueMutation } from '../utils/offlineQueue';
 
 // Create new task
 export const createTask = async (taskData) => {
@@ -12,22 +13,75 @@ export const fetchMyTasks = async () => {
   return response.data.data;  // Your backend sends { success: true, data: tasks }
 };
 
+// Get one page of tasks; filtering, sorting and search happen on the server.
+// params: { page, limit, sort, order, status, priority, from, to, q } - empty values are dropped.
+// from/to are ISO timestamps bounding updatedAt (to is exclusive).
+export const fetchTasksPage = async (params = {}) => {
+  const query = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+  );
+  const response = await axiosInstance.get('/tasks', { params: query });
+  const tasks = response.data.data || [];
+  const pagination = response.data.pagination || {};
+  const limit = pagination.limit || query.limit || tasks.length;
+  const total = pagination.total ?? tasks.length;
+
+  return {
+    tasks,
+    total,
+    page: pagination.page || query.page || 1,
+    limit,
+    pages: pagination.pages || Math.max(1, Math.ceil(total / (limit || 1)))
+  };
+};
+
 // Get task details by ID
 export const fetchTaskById = async (taskId) => {
   const response = await axiosInstance.get(`/tasks/${taskId}`);
   return response.data.data;
 };
 
-// Update task status (e.g., pending, ongoing, completed)
-export const updateTaskStatus = async (taskId, status) => {
-  const response = await axiosInstance.patch(`/tasks/${taskId}/status`, { status });
-  return response.data.task;
+// Get the tasks this task waits on (blockedBy) and the tasks waiting on it (blocks)
+export const fetchTaskDependencies = async (taskId) => {
+  const response = await axiosInstance.get(`/tasks/${taskId}/dependencies`);
+  return response.data.data; // { blockedBy: [tasks], blocks: [tasks] }
+};
+
+// Tick / untick a subtask (or change its assignee / due date); returns the updated task
+export const updateSubtask = async (taskId, subtaskId, changes) => {
+  const response = await axiosInstance.patch(`/tasks/${taskId}/subtasks/${subtaskId}`, changes);
+  return response.data.data;
+};
+
+// Update task status (e.g., pending, ongoing, completed).
+// expectedStatus is the status the user saw; the server answers 409 if the task has moved on.
+// Offline, the change is queued (see utils/offlineQueue.js) and { _id, status, queued: true } returned.
+export const updateTaskStatus = async (taskId, status, { expectedStatus } = {}) => {
+  const url = `/tasks/${taskId}/status`;
+  const body = expectedStatus ? { status, expectedStatus } : { status };
+  try {
+    const response = await axiosInstance.patch(url, body);
+    return response.data.task;
+  } catch (err) {
+    if (!isOfflineError(err)) throw err;
+    await queueMutation({ kind: 'taskStatus', taskId, method: 'patch', url, body });
+    return { _id: taskId, status, queued: true };
+  }
 };
 
-// Add comment to a task
-export const addTaskComment = async (taskId, text) => {
-  const response = await axiosInstance.post(`/tasks/${taskId}/comments`, { text });
-  return response.data.comment;
+// Add comment to a task: plain text, or the full payload ({ comment, parentComment, attachments, ... }).
+// Returns the created comment, or { queued: true } when saved offline for later.
+export const addTaskComment = async (taskId, payload) => {
+  const url = `/tasks/${taskId}/comments`;
+  const body = typeof payload === 'string' ? { text: payload } : payload;
+  try {
+    const response = await axiosInstance.post(url, body);
+    return response.data.data || response.data.comment;
+  } catch (err) {
+    if (!isOfflineError(err)) throw err;
+    await queueMutation({ kind: 'comment', taskId, method: 'post', url, body });
+    return { queued: true };
+  }
 };
 
 // Fetch comments for a specific task
@@ -36,6 +90,12 @@ export const fetchTaskComments = async (taskId) => {
   return response.data.comments; // array of comments
 };
 
+// Toggle the current user's emoji reaction on a comment; returns the comment's reactions
+export const toggleCommentReaction = async (taskId, commentId, emoji) => {
+  const response = await axiosInstance.post(`/tasks/${taskId}/comments/${commentId}/reactions`, { emoji });
+  return response.data.data?.reactions || [];
+};
+
 export const updateTask = async (taskId, updatedData) => {
   try {
     const response = await axiosInstance.put(`/tasks/${taskId}`, updatedData);
@@ -46,6 +106,12 @@ export const updateTask = async (taskId, updatedData) => {
   }
 };
 
+// Delete a task
+export const deleteTask = async (taskId) => {
+  const response = await axiosInstance.delete(`/tasks/${taskId}`);
+  return response.data;
+};
+
 // Upload attachment to a task
 // export const uploadTaskAttachment = async (taskId, formData) => {
 //   const response = await axiosInstance.post(`/tasks/${taskId}/attachments`, formData, {
@@ -73,6 +139,15 @@ export const uploadTaskAttachments = async (taskId, files) => {
   return response.data; // { success: true, data: task }
 };
 
+// Upload images through the attachments flow and return just their URLs (for embedding in Markdown).
+// The endpoint must answer with `uploadedUrls`: with uploads running side by side, the tail of the
+// task's attachment list isn't necessarily this upload's files.
+export const uploadTaskImages = async (taskId, files) => {
+  const data = await uploadTaskAttachments(taskId, files);
+  if (!Array.isArray(data?.uploadedUrls)) throw new Error('Upload response is missing the image URLs');
+  return data.uploadedUrls;
+};
+
 export const getTaskHistory = async (taskId) => {
   try {
     const response = await axiosInstance.get(`/tasks/${taskId}/history`);
@@ -0,0 +1,37 @@
+import axiosInstance from './axiosInstance';
+
+// Get the current user's running timer (null when nothing is running)
+export const fetchActiveTimer = async () => {
+  const response = await axiosInstance.get('/time-entries/active');
+  return response.data.data;
+};
+
+// Start a timer on a task - the backend stops any other timer the user has running
+export const startTaskTimer = async (taskId) => {
+  const response = await axiosInstance.post(`/tasks/${taskId}/time-entries/start`);
+  return response.data.data;
+};
+
+// Stop the running timer on a task; returns the finished entry
+export const stopTaskTimer = async (taskId) => {
+  const response = await axiosInstance.post(`/tasks/${taskId}/time-entries/stop`);
+  return response.data.data;
+};
+
+// Get the time logged on a task
+export const fetchTaskTimeEntries = async (taskId) => {
+  const response = await axiosInstance.get(`/tasks/${taskId}/time-entries`);
+  return response.data.data; // { entries, totalMinutes }
+};
+
+// Log time manually: { minutes, date, note }
+export const addTimeEntry = async (taskId, entry) => {
+  const response = await axiosInstance.post(`/tasks/${taskId}/time-entries`, entry);
+  return response.data.data;
+};
+
+// Delete a time entry
+export const deleteTimeEntry = async (taskId, entryId) => {
+  const response = await axiosInstance.delete(`/tasks/${taskId}/time-entries/${entryId}`);
+  return response.data;
+};
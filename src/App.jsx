@@ -6,6 +6,11 @@ import 'react-toastify/dist/ReactToastify.css';
 import { AuthProvider } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
 import NotificationListener from './components/notifications/NotificationListener';
+import TaskEventsListener from './components/tasks/TaskEventsListener';
+import TimeTrackingListener from './components/tasks/TimeTrackingListener';
+import ChatUnreadListener from './components/chat/ChatUnreadListener';
+import OfflineSyncListener from './components/common/OfflineSyncListener';
+import UpdatePrompt from './components/common/UpdatePrompt';
 import AppRoutes from './routes/AppRoutes';
 import  NotificationProvider from './contexts/NotificationContext.jsx';
 // import Topbar from './components/common/Topbar';
@@ -13,10 +18,15 @@ import  NotificationProvider from './contexts/NotificationContext.jsx';
 const App = () => {
   return (
     <>
-      <NotificationProvider>
-        <NotificationListener />
-        <SocketProvider>
-          <AuthProvider>
+      <SocketProvider>
+        <TaskEventsListener />
+        <AuthProvider>
+          {/* The one NotificationProvider: the bell, toasts and the Do Not Disturb summary live here */}
+          <NotificationProvider>
+            <NotificationListener />
+            <ChatUnreadListener />
+            <TimeTrackingListener />
+            <OfflineSyncListener />
             <ToastContainer
               position="top-right"
               autoClose={2000}
@@ -29,11 +39,12 @@ const App = () => {
               pauseOnHover
               theme="colored"
             />
+            <UpdatePrompt />
           {/* <Topbar /> */}
             <AppRoutes />
-          </AuthProvider>
-        </SocketProvider>
-      </NotificationProvider>
+          </NotificationProvider>
+        </AuthProvider>
+      </SocketProvider>
     </>
   );
 };
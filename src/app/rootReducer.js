@@ -7,6 +7,9 @@ import userReducer from '../features/users/userSlice';
 import departmentReducer from '../features/departments/departmentSlice';
 import assetReducer from '../features/assets/assetSlice';
 import notificationReducer from '../features/notifications/notificationSlice';
+import notificationPreferencesReducer from '../features/notifications/notificationPreferencesSlice';
+import timeTrackingReducer from '../features/timeTracking/timeTrackingSlice';
+import chatReadReducer from '../features/chat/chatReadSlice';
 
 // Combine all reducers
 const rootReducer = combineReducers({
@@ -16,6 +19,9 @@ const rootReducer = combineReducers({
   departments: departmentReducer,
   assets: assetReducer,
   notifications: notificationReducer,
+  notificationPreferences: notificationPreferencesReducer,
+  timeTracking: timeTrackingReducer,
+  chatRead: chatReadReducer,
   // add more slices as needed
 });
 
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Form } from 'react-bootstrap';
+import { CHAT_FILE_ACCEPT } from '../../hooks/useChatUploads';
+
+// File picker for the chat composer; `uploads` is the object returned by useChatUploads()
+const ChatAttachButton = ({ uploads, disabled = false }) => (
+  <Form.Label className={`btn btn-outline-secondary mb-0 ${disabled ? 'disabled' : ''}`} title="Attach files">
+    📎
+    <Form.Control
+      type="file"
+      multiple
+      hidden
+      accept={CHAT_FILE_ACCEPT}
+      disabled={disabled}
+      onChange={(e) => {
+        uploads.addFiles(e.target.files);
+        e.target.value = '';
+      }}
+    />
+  </Form.Label>
+);
+
+export default ChatAttachButton;
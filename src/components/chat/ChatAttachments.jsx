@@ -0,0 +1,58 @@
+import React from 'react';
+import { fileNameOf, formatFileSize, isImageAttachment } from '../../utils/attachments';
+
+const fileIcon = (attachment) => {
+  const name = attachment.name || attachment.url || '';
+  if (/pdf$/i.test(attachment.type || '') || /\.pdf$/i.test(name)) return '📄';
+  if (/\.(docx?|txt)$/i.test(name)) return '📝';
+  if (/\.(xlsx?|csv)$/i.test(name)) return '📊';
+  if (/\.pptx?$/i.test(name)) return '📽️';
+  return '📎';
+};
+
+// Attachments on a chat message: image thumbnails open the lightbox, other files open in a new tab
+const ChatAttachments = ({ attachments = [], onPreview }) => {
+  if (!attachments.length) return null;
+
+  const images = attachments.filter(isImageAttachment).map(a => a.url || a);
+  const files = attachments.filter(a => !isImageAttachment(a));
+
+  return (
+    <div className="mt-1">
+      {images.length > 0 && (
+        <div className="d-flex flex-wrap gap-2">
+          {images.map((url, idx) => (
+            <img
+              key={url}
+              src={url}
+              alt={fileNameOf(url)}
+              title={fileNameOf(url)}
+              loading="lazy"
+              onClick={() => onPreview?.(images, idx)}
+              style={{ width: 120, height: 90, objectFit: 'cover', borderRadius: 6, border: '1px solid #e5e5e5', cursor: 'zoom-in' }}
+            />
+          ))}
+        </div>
+      )}
+      {files.map((file) => {
+        const url = file.url || file;
+        return (
+          <a
+            key={url}
+            href={url}
+            target="_blank"
+            rel="noreferrer"
+            className="d-inline-flex align-items-center gap-2 mt-1 me-2 px-2 py-1 border rounded text-decoration-none"
+            style={{ background: '#f8f9fa', maxWidth: 280 }}
+          >
+            <span>{fileIcon(file)}</span>
+            <span className="text-truncate">{file.name || fileNameOf(url)}</span>
+            {file.size > 0 && <small className="text-muted">{formatFileSize(file.size)}</small>}
+          </a>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ChatAttachments;
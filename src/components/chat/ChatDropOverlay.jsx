@@ -0,0 +1,23 @@
+import React from 'react';
+
+// Shown over a chat box while files are dragged onto it (see useChatUploads().dropProps)
+const ChatDropOverlay = ({ show }) => {
+  if (!show) return null;
+  return (
+    <div
+      className="position-absolute top-0 start-0 w-100 h-100 d-flex align-items-center justify-content-center fw-semibold"
+      style={{
+        background: 'rgba(26, 39, 82, 0.08)',
+        border: '2px dashed #dc267f',
+        borderRadius: 8,
+        color: '#1a2752',
+        pointerEvents: 'none',
+        zIndex: 5,
+      }}
+    >
+      Drop files to attach
+    </div>
+  );
+};
+
+export default ChatDropOverlay;
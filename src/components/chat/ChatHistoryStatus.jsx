@@ -0,0 +1,32 @@
+import React from 'react';
+import { Badge, Button, Spinner } from 'react-bootstrap';
+
+// Overlays for a paged chat box (position-relative): a loading pill while an older/newer page
+// loads and a way back to the latest messages after jumping into history.
+// `history` is the object returned by useChatHistory().
+const ChatHistoryStatus = ({ history }) => (
+  <>
+    {history.loadingMore && (
+      <Badge
+        bg="light"
+        text="dark"
+        className="position-absolute start-50 translate-middle-x border shadow-sm d-flex align-items-center gap-2"
+        style={{ top: 12, zIndex: 4 }}
+      >
+        <Spinner animation="border" size="sm" /> Loading messages…
+      </Badge>
+    )}
+    {history.hasNewer && (
+      <Button
+        size="sm"
+        className="position-absolute shadow-sm"
+        style={{ right: 20, bottom: 64, zIndex: 4, backgroundColor: '#1a2752', borderColor: '#1a2752' }}
+        onClick={history.jumpToLatest}
+      >
+        Jump to latest ↓
+      </Button>
+    )}
+  </>
+);
+
+export default ChatHistoryStatus;
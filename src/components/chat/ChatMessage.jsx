@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Button, ListGroup, OverlayTrigger, Popover, Tooltip } from 'react-bootstrap';
+import MentionInput from '../common/MentionInput';
+import MentionText from '../common/MentionText';
+import ReactionBar from '../common/ReactionBar';
+import ChatAttachments from './ChatAttachments';
+
+const deletedLabel = (message) => {
+  const byId = message.deletedBy?._id || message.deletedBy;
+  if (byId && String(byId) !== String(message.userId)) {
+    return `Removed by ${message.deletedBy?.name ? `moderator ${message.deletedBy.name}` : 'a moderator'}`;
+  }
+  return 'This message was deleted';
+};
+
+// Previous versions of an edited message, newest first
+const historyPopover = (message) => (
+  <Popover id={`history-${message.id}`}>
+    <Popover.Header as="div" className="small fw-semibold">Edit history</Popover.Header>
+    <Popover.Body className="p-2" style={{ maxHeight: 240, overflowY: 'auto' }}>
+      {[...message.history].reverse().map((entry, i) => (
+        <div key={i} className="mb-2">
+          <small className="text-muted d-block">
+            {new Date(entry.editedAt || entry.createdAt).toLocaleString()}
+          </small>
+          <MentionText text={entry.message || entry.text || ''} />
+        </div>
+      ))}
+    </Popover.Body>
+  </Popover>
+);
+
+// One PublicChat/DepartmentChat message: edit/delete for the author, delete for moderators,
+// an "edited" marker with history and a tombstone once deleted. `highlighted` marks a search hit
+// or linked message; `onCopyLink` (optional) adds a "Link" action; `seenBy` lists who has read it.
+const ChatMessage = ({
+  message, mine, canModerate, onReact, onEdit, onDelete, onPreview, onCopyLink, highlighted = false, seenBy = [],
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = mine && message.saved && !message.deleted;
+  const canDelete = (mine || canModerate) && message.saved && !message.deleted;
+
+  const startEdit = () => {
+    setDraft(message.text);
+    setEditing(true);
+  };
+
+  const saveEdit = async () => {
+    const text = draft.trim();
+    if (!text || text === message.text) {
+      setEditing(false);
+      return;
+    }
+    setSaving(true);
+    if (await onEdit(message.id, text)) setEditing(false);
+    setSaving(false);
+  };
+
+  const confirmDelete = () => {
+    const prompt = mine ? 'Delete this message?' : `Delete this message from ${message.userName}?`;
+    if (!window.confirm(prompt)) return;
+    onDelete(message.id);
+  };
+
+  return (
+    <ListGroup.Item
+      className="d-flex flex-column"
+      data-message-id={message.id}
+      style={{
+        border: 'none',
+        borderBottom: '1px solid #f3f3f3',
+        backgroundColor: highlighted ? '#fce7f3' : undefined,
+        transition: 'background-color 0.6s',
+      }}
+    >
+      <div className="d-flex justify-content-between">
+        <strong style={{ color: mine ? '#1a2752' : '#333' }}>
+          {message.userName}{mine ? ' (you)' : ''}
+        </strong>
+        <small className="text-muted">
+          {new Date(message.createdAt).toLocaleTimeString()}
+        </small>
+      </div>
+
+      {message.deleted ? (
+        <div className="text-muted fst-italic">{deletedLabel(message)}</div>
+      ) : editing ? (
+        <div className="d-flex gap-2 mt-1">
+          <MentionInput
+            type="text"
+            size="sm"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                saveEdit();
+              } else if (e.key === 'Escape') {
+                setEditing(false);
+              }
+            }}
+            disabled={saving}
+            autoFocus
+            aria-label="Edit message"
+          />
+          <Button size="sm" onClick={saveEdit} disabled={saving || !draft.trim()}>Save</Button>
+          <Button size="sm" variant="outline-secondary" onClick={() => setEditing(false)} disabled={saving}>Cancel</Button>
+        </div>
+      ) : (
+        <div>
+          <MentionText text={message.text} />
+          {message.editedAt && (
+            message.history?.length > 0 ? (
+              <OverlayTrigger trigger="click" placement="top" rootClose overlay={historyPopover(message)}>
+                <Button variant="link" size="sm" className="p-0 ms-1 align-baseline text-muted" title="Show edit history">
+                  (edited)
+                </Button>
+              </OverlayTrigger>
+            ) : (
+              <small className="text-muted ms-1">(edited)</small>
+            )
+          )}
+          <ChatAttachments attachments={message.attachments} onPreview={onPreview} />
+        </div>
+      )}
+
+      {message.saved && !message.deleted && (
+        <div className="d-flex align-items-center gap-2">
+          <ReactionBar reactions={message.reactions} onToggle={(emoji) => onReact(message.id, emoji)} />
+          {seenBy.length > 0 && (
+            <OverlayTrigger placement="top" overlay={<Tooltip id={`seen-${message.id}`}>{seenBy.join(', ')}</Tooltip>}>
+              <small className="text-muted mt-1 text-nowrap" tabIndex={0}>✓ Seen by {seenBy.length}</small>
+            </OverlayTrigger>
+          )}
+          {!editing && (canEdit || canDelete || onCopyLink) && (
+            <div className="ms-auto d-flex gap-2 mt-1">
+              {onCopyLink && (
+                <Button variant="link" size="sm" className="p-0 text-muted" onClick={() => onCopyLink(message.id)}>Link</Button>
+              )}
+              {canEdit && (
+                <Button variant="link" size="sm" className="p-0" onClick={startEdit}>Edit</Button>
+              )}
+              {canDelete && (
+                <Button variant="link" size="sm" className="p-0 text-danger" onClick={confirmDelete}>Delete</Button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </ListGroup.Item>
+  );
+};
+
+export default ChatMessage;
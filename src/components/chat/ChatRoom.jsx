@@ -1,5 +1,5 @@
 // src/components/chat/ChatRoom.jsx
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { ListGroup, Form, Button, Spinner, Badge } from 'react-bootstrap';
 import { useSocket } from '../../contexts/SocketContext';
 import { useAuth } from '../../contexts/AuthContext';
@@ -7,38 +7,39 @@ import {
   fetchPublicMessages,
   fetchDepartmentMessages,
 } from '../../Api/chat';
+import { extractMentionIds } from '../../utils/mentions';
+import MentionInput from '../common/MentionInput';
+import MentionText from '../common/MentionText';
+import ReactionBar from '../common/ReactionBar';
+import ImageLightbox from '../common/ImageLightbox';
+import ChatAttachments from './ChatAttachments';
+import ChatAttachButton from './ChatAttachButton';
+import ChatUploadTray from './ChatUploadTray';
+import ChatDropOverlay from './ChatDropOverlay';
+import ChatHistoryStatus from './ChatHistoryStatus';
+import ChatSearch from './ChatSearch';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useChatUploads } from '../../hooks/useChatUploads';
+import { useImagePreview } from '../../hooks/useImagePreview';
+import { useChatHistory } from '../../hooks/useChatHistory';
 
 const ChatRoom = ({ isPublic = true, departmentId = null }) => {
   const { socket } = useSocket() || {};
   const { user } = useAuth();
-  const [loading, setLoading] = useState(true);
-  const [msgs, setMsgs] = useState([]);
   const [text, setText] = useState('');
-  const endRef = useRef(null);
 
   const roomKey = useMemo(
     () => (isPublic ? 'public' : `department_${departmentId}`),
     [isPublic, departmentId]
   );
 
-  // initial history
-  useEffect(() => {
-    let mounted = true;
-    (async () => {
-      try {
-        setLoading(true);
-        const data = isPublic
-          ? await fetchPublicMessages()
-          : await fetchDepartmentMessages(departmentId);
-        if (mounted) setMsgs(data);
-      } catch (e) {
-        console.error('Chat history load failed', e);
-      } finally {
-        if (mounted) setLoading(false);
-      }
-    })();
-    return () => { mounted = false; };
-  }, [isPublic, departmentId]);
+  // paged history (raw messages, keyed by _id)
+  const history = useChatHistory({
+    roomKey,
+    fetchPage: (params) => (isPublic ? fetchPublicMessages(params) : fetchDepartmentMessages(departmentId, params)),
+    idKey: '_id',
+  });
+  const { messages: msgs, setMessages: setMsgs, loading, append } = history;
 
   // join room + live events
   useEffect(() => {
@@ -48,30 +49,33 @@ const ChatRoom = ({ isPublic = true, departmentId = null }) => {
     else socket.emit('joinDepartment', departmentId);
 
     const evt = isPublic ? 'chat:public:new' : 'chat:dept:new';
-    const handler = (msg) => setMsgs((prev) => [...prev, msg]);
+    const handler = (msg) => append(msg);
 
     socket.on(evt, handler);
     return () => socket.off(evt, handler);
-  }, [socket, isPublic, departmentId]);
+  }, [socket, isPublic, departmentId, append]);
 
-  useEffect(() => {
-    endRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [msgs]);
+  const react = useMessageReactions(msgs, setMsgs);
+  const uploads = useChatUploads();
+  const preview = useImagePreview();
 
   const send = () => {
     const message = text.trim();
-    if (!socket || !message) return;
+    const { attachments } = uploads;
+    if (!socket || (!message && attachments.length === 0) || uploads.uploading) return;
+    const mentions = extractMentionIds(message);
 
     if (isPublic) {
-      socket.emit('chat:public:send', { message }, (ack) => {
+      socket.emit('chat:public:send', { message, mentions, attachments }, (ack) => {
         if (!ack?.ok) console.warn('Public send failed', ack?.error);
       });
     } else {
-      socket.emit('chat:dept:send', { departmentId, message }, (ack) => {
+      socket.emit('chat:dept:send', { departmentId, message, mentions, attachments }, (ack) => {
         if (!ack?.ok) console.warn('Dept send failed', ack?.error);
       });
     }
     setText('');
+    uploads.clear();
   };
 
   if (loading) {
@@ -79,40 +83,61 @@ const ChatRoom = ({ isPublic = true, departmentId = null }) => {
   }
 
   return (
-    <div style={{ height: 420, border: '1px solid #e5e5e5', padding: 10, display: 'flex', flexDirection: 'column', borderRadius: 8 }}>
+    <div className="position-relative" {...uploads.dropProps} style={{ height: 420, border: '1px solid #e5e5e5', padding: 10, display: 'flex', flexDirection: 'column', borderRadius: 8 }}>
       <div className="d-flex align-items-center justify-content-between mb-2">
         <strong className="text-muted">
           {isPublic ? 'Public Chat' : `Department Room`}
         </strong>
-        <Badge bg="secondary">{roomKey}</Badge>
+        <div className="d-flex align-items-center gap-2">
+          <ChatSearch scope={isPublic ? 'public' : 'department'} departmentId={departmentId} onJump={history.jumpTo} />
+          <Badge bg="secondary">{roomKey}</Badge>
+        </div>
       </div>
 
-      <ListGroup style={{ flexGrow: 1, overflowY: 'auto' }}>
+      <ChatDropOverlay show={uploads.dragging} />
+      <ChatHistoryStatus history={history} />
+      <ListGroup ref={history.listRef} onScroll={history.onScroll} style={{ flexGrow: 1, overflowY: 'auto' }}>
         {msgs.map((m) => (
-          <ListGroup.Item key={m._id || m.createdAt + (m.sender?._id || '')}>
+          <ListGroup.Item
+            key={m._id || m.createdAt + (m.sender?._id || '')}
+            data-message-id={m._id}
+            style={history.highlightId === String(m._id) ? { backgroundColor: '#fce7f3' } : undefined}
+          >
             <div className="d-flex justify-content-between">
               <div>
-                <strong>{m.sender?.name || 'User'}:</strong> {m.message}
+                <strong>{m.sender?.name || 'User'}:</strong> <MentionText text={m.message} />
               </div>
               <small className="text-muted">
                 {new Date(m.createdAt).toLocaleTimeString()}
               </small>
             </div>
+            <ChatAttachments attachments={m.attachments} onPreview={preview.openPreview} />
+            {m._id && (
+              <ReactionBar reactions={m.reactions} onToggle={(emoji) => react(m._id, emoji)} />
+            )}
           </ListGroup.Item>
         ))}
-        <div ref={endRef} />
       </ListGroup>
 
+      <ChatUploadTray uploads={uploads} />
       <Form
         className="mt-2 d-flex"
         onSubmit={(e) => {
           e.preventDefault();
           send();
         }}
+        onPaste={(e) => {
+          if (!e.clipboardData?.files?.length) return;
+          e.preventDefault();
+          uploads.addFiles(e.clipboardData.files);
+        }}
       >
-        <Form.Control
+        <ChatAttachButton uploads={uploads} />
+        <MentionInput
           type="text"
-          placeholder="Type a message…"
+          dropUp
+          className="ms-2"
+          placeholder="Type a message… (@ to mention)"
           value={text}
           onChange={(e) => setText(e.target.value)}
           onKeyDown={(e) => {
@@ -122,8 +147,9 @@ const ChatRoom = ({ isPublic = true, departmentId = null }) => {
             }
           }}
         />
-        <Button className="ms-2" onClick={send}>Send</Button>
+        <Button className="ms-2" onClick={send} disabled={uploads.uploading}>Send</Button>
       </Form>
+      <ImageLightbox {...preview} />
     </div>
   );
 };
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import { Form, ListGroup, Spinner } from 'react-bootstrap';
+import { searchChatMessages } from '../../Api/chat';
+import { normalizeChatMessage } from '../../utils/chatMessages';
+import { stripMentions } from '../../utils/mentions';
+
+// Search box over a room's history ('public', or 'department' with departmentId);
+// picking a hit calls onJump(messageId)
+const ChatSearch = ({ scope, departmentId = null, onJump }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2 || (scope === 'department' && !departmentId)) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const hits = await searchChatMessages({ q, scope, departmentId });
+        if (!cancelled) setResults(hits.map(normalizeChatMessage));
+      } catch (err) {
+        console.error('Chat search failed:', err);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, scope, departmentId]);
+
+  const pick = (message) => {
+    setOpen(false);
+    onJump(message.id);
+  };
+
+  const showList = open && query.trim().length >= 2;
+
+  return (
+    <div className="position-relative" style={{ width: 240 }}>
+      <Form.Control
+        type="search"
+        size="sm"
+        placeholder="Search messages…"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setOpen(false);
+          if (e.key === 'Enter' && results[0]) {
+            e.preventDefault();
+            pick(results[0]);
+          }
+        }}
+        aria-label="Search messages"
+      />
+      {showList && (
+        <ListGroup
+          className="position-absolute end-0 shadow-sm"
+          style={{ top: '100%', width: 320, maxHeight: 320, overflowY: 'auto', zIndex: 1050 }}
+        >
+          {searching && results.length === 0 ? (
+            <ListGroup.Item className="text-center"><Spinner animation="border" size="sm" /></ListGroup.Item>
+          ) : results.length === 0 ? (
+            <ListGroup.Item className="text-muted small">No messages found</ListGroup.Item>
+          ) : (
+            results.map(m => (
+              <ListGroup.Item
+                key={m.id}
+                action
+                type="button"
+                className="py-2"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pick(m)}
+              >
+                <div className="d-flex justify-content-between gap-2">
+                  <strong className="small text-truncate">{m.userName}</strong>
+                  <small className="text-muted text-nowrap">{new Date(m.createdAt).toLocaleDateString()}</small>
+                </div>
+                <small className="d-block text-truncate">
+                  {stripMentions(m.text) || (m.attachments.length ? '📎 Attachment' : '')}
+                </small>
+              </ListGroup.Item>
+            ))
+          )}
+        </ListGroup>
+      )}
+    </div>
+  );
+};
+
+export default ChatSearch;
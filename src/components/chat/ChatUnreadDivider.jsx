@@ -0,0 +1,12 @@
+import React from 'react';
+
+// Marks where the messages that were unread when the room was opened begin
+const ChatUnreadDivider = () => (
+  <div className="d-flex align-items-center gap-2 my-1 px-2" role="separator" aria-label="Unread messages">
+    <div className="flex-grow-1" style={{ borderTop: '1px solid #dc267f' }} />
+    <small className="fw-semibold" style={{ color: '#dc267f' }}>Unread messages</small>
+    <div className="flex-grow-1" style={{ borderTop: '1px solid #dc267f' }} />
+  </div>
+);
+
+export default ChatUnreadDivider;
@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { chatMessageReceived, clearChatReadState, loadChatReadState } from '../../features/chat/chatReadSlice';
+import { chatRoomKey, normalizeChatMessage } from '../../utils/chatMessages';
+
+// Keeps the chat unread counts (chatRead slice) up to date with live room messages
+const ChatUnreadListener = () => {
+  const dispatch = useDispatch();
+  const { user } = useAuth();
+  const { socket } = useSocket() || {};
+  const myId = user?._id || user?.id;
+
+  useEffect(() => {
+    if (myId) dispatch(loadChatReadState());
+    else dispatch(clearChatReadState());
+  }, [myId, dispatch]);
+
+  useEffect(() => {
+    if (!socket || typeof socket.on !== 'function') return undefined;
+
+    const received = (departmentId) => (payload) => {
+      const msg = normalizeChatMessage(payload);
+      dispatch(chatMessageReceived({
+        room: chatRoomKey(departmentId ? msg.departmentId : null),
+        fromMe: Boolean(myId) && String(msg.userId) === String(myId),
+      }));
+    };
+    const onPublic = received(false);
+    const onDepartment = received(true);
+
+    socket.on('newPublicMessage', onPublic);
+    socket.on('newDepartmentMessage', onDepartment);
+    return () => {
+      socket.off('newPublicMessage', onPublic);
+      socket.off('newDepartmentMessage', onDepartment);
+    };
+  }, [socket, myId, dispatch]);
+
+  return null; // Invisible component
+};
+
+export default ChatUnreadListener;
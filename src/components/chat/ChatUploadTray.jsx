@@ -0,0 +1,25 @@
+import React from 'react';
+import { Button, ProgressBar } from 'react-bootstrap';
+
+// Files queued for the next chat message, with upload progress; rendered above the composer.
+// `uploads` is the object returned by useChatUploads().
+const ChatUploadTray = ({ uploads }) => {
+  if (uploads.items.length === 0) return null;
+  return (
+    <div className="d-flex flex-wrap gap-2 mb-2">
+      {uploads.items.map(item => (
+        <div key={item.id} className="border rounded px-2 py-1 small" style={{ width: 180, background: '#f8f9fa' }}>
+          <div className="d-flex align-items-center gap-1">
+            <span className="text-truncate flex-grow-1" title={item.name}>{item.name}</span>
+            <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => uploads.remove(item.id)} aria-label={`Remove ${item.name}`}>
+              ✕
+            </Button>
+          </div>
+          <ProgressBar now={item.progress} variant={item.url ? 'success' : undefined} style={{ height: 4 }} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ChatUploadTray;
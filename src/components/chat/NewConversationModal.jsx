@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, ListGroup, Badge, Button, Spinner } from 'react-bootstrap';
+import { searchUsers } from '../../Api/searchApi';
+import { createConversation } from '../../Api/chat';
+import { useAuth } from '../../contexts/AuthContext';
+import { notifyError } from '../../utils/notifications';
+
+// Pick one person for a direct message, or several (plus an optional name) for a group
+const NewConversationModal = ({ show, onHide, onCreated }) => {
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    if (!show) {
+      setQuery('');
+      setResults([]);
+      setSelected([]);
+      setName('');
+    }
+  }, [show]);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const users = await searchUsers(q);
+        if (!cancelled) setResults(Array.isArray(users) ? users : []);
+      } catch (err) {
+        console.error('Failed to search users:', err);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const selectedIds = selected.map(u => u._id);
+  const options = results.filter(u => !selectedIds.includes(u._id) && String(u._id) !== String(myId));
+  const isGroup = selected.length > 1;
+
+  const addUser = (picked) => {
+    setSelected(prev => [...prev, picked]);
+    setQuery('');
+    setResults([]);
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const conversation = await createConversation({
+        participants: selectedIds,
+        ...(isGroup && name.trim() ? { name: name.trim() } : {}),
+      });
+      onCreated(conversation);
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to start conversation');
+    }
+    setCreating(false);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>New conversation</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Form.Group controlId="conversationPeople" className="mb-2">
+          <Form.Label className="fw-semibold">People</Form.Label>
+          <Form.Control
+            type="text"
+            placeholder="Search by name or email..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            autoFocus
+          />
+        </Form.Group>
+
+        {searching && <Spinner animation="border" size="sm" className="mb-2" />}
+
+        {options.length > 0 && (
+          <ListGroup className="mb-2" style={{ maxHeight: 220, overflowY: 'auto' }}>
+            {options.map(u => (
+              <ListGroup.Item key={u._id} action type="button" onClick={() => addUser(u)}>
+                {u.name || u.email}
+                {u.name && u.email && <small className="text-muted ms-2">{u.email}</small>}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+
+        {selected.length > 0 && (
+          <div className="d-flex flex-wrap gap-2 mb-3">
+            {selected.map(u => (
+              <Badge key={u._id} bg="light" text="dark" className="d-flex align-items-center gap-2 px-3 py-2 border">
+                {u.name || u.email}
+                <button
+                  type="button"
+                  className="btn-close btn-close-sm"
+                  style={{ fontSize: '0.7rem' }}
+                  onClick={() => setSelected(prev => prev.filter(s => s._id !== u._id))}
+                  title="Remove"
+                ></button>
+              </Badge>
+            ))}
+          </div>
+        )}
+
+        {isGroup && (
+          <Form.Group controlId="conversationName">
+            <Form.Label className="fw-semibold">Group name (optional)</Form.Label>
+            <Form.Control
+              type="text"
+              placeholder="e.g. Launch planning"
+              value={name}
+              maxLength={80}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </Form.Group>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>Cancel</Button>
+        <Button onClick={handleCreate} disabled={selected.length === 0 || creating}>
+          {creating ? 'Starting...' : isGroup ? 'Start group' : 'Start chat'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default NewConversationModal;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Modal, Button } from 'react-bootstrap';
+import { fileNameOf } from '../../utils/attachments';
+
+// Image preview modal driven by useImagePreview(); arrow keys step through the images
+const ImageLightbox = ({ previewOpen, previewUrls, previewIndex, closePreview, prevImg, nextImg }) => {
+  const handleKeyDown = (e) => {
+    if (previewUrls.length < 2) return;
+    if (e.key === 'ArrowLeft') prevImg();
+    if (e.key === 'ArrowRight') nextImg();
+  };
+
+  return (
+    <Modal show={previewOpen} onHide={closePreview} size="lg" centered onKeyDown={handleKeyDown}>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          {previewUrls[previewIndex]
+            ? fileNameOf(previewUrls[previewIndex])
+            : 'Preview'}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="text-center">
+        {previewUrls.length === 0 ? (
+          <div className="text-muted">No image to preview</div>
+        ) : (
+          <img
+            src={previewUrls[previewIndex]}
+            alt="preview"
+            style={{
+              maxWidth: '100%',
+              maxHeight: '70vh',
+              borderRadius: 8,
+            }}
+          />
+        )}
+      </Modal.Body>
+      {previewUrls.length > 1 && (
+        <Modal.Footer className="d-flex justify-content-between">
+          <Button variant="secondary" onClick={prevImg}>‹ Prev</Button>
+          <div className="text-muted small">
+            {previewIndex + 1} / {previewUrls.length}
+          </div>
+          <Button variant="secondary" onClick={nextImg}>Next ›</Button>
+        </Modal.Footer>
+      )}
+    </Modal>
+  );
+};
+
+export default ImageLightbox;
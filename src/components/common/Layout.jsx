@@ -17,6 +17,8 @@ import { motion, AnimatePresence } from 'framer-motion';
 // Import your enhanced components
 import Topbar from './Topbar';
 import Sidebar from './Sidebar';
+import OfflineBanner from './OfflineBanner';
+import OfflineConflictDialog from './OfflineConflictDialog';
 
 const Layout = () => {
   const { user, logout, loading: authLoading } = useAuth();
@@ -487,6 +489,9 @@ const Layout = () => {
             />
           </Box>
 
+          <OfflineBanner />
+          <OfflineConflictDialog />
+
           {/* Scrollable Main Content */}
           <Box
             sx={{
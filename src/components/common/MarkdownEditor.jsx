@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { Button, ButtonGroup, Form, Nav } from 'react-bootstrap';
+import MarkdownView from './MarkdownView';
+import MentionInput from './MentionInput';
+import { notifyError } from '../../utils/notifications';
+import { imageMarkdown } from '../../utils/markdown';
+
+const TOOLBAR = [
+  { title: 'Bold', label: <strong>B</strong>, wrap: ['**', '**'], sample: 'bold text' },
+  { title: 'Italic', label: <em>I</em>, wrap: ['_', '_'], sample: 'italic text' },
+  { title: 'Code', label: <code>{'</>'}</code>, wrap: ['`', '`'], sample: 'code' },
+  { title: 'Link', label: 'Link', wrap: ['[', '](https://)'], sample: 'link text' },
+  { title: 'Bulleted list', label: '• List', prefix: '- ' },
+  { title: 'Checklist', label: '☐ Checklist', prefix: '- [ ] ' },
+];
+
+let uploadCount = 0;
+
+// Markdown textarea with a Write/Preview toggle and a small formatting toolbar.
+// onChange gets { target: { name, value } } like a form control. Pasted images go to
+// onPasteImages(files), which resolves to the uploaded URLs to embed (or nothing to embed).
+const MarkdownEditor = ({
+  value = '',
+  onChange,
+  name,
+  onPasteImages,
+  mentions = false,
+  disabled = false,
+  minHeight = 120,
+  className = '',
+  ...inputProps
+}) => {
+  const [tab, setTab] = useState('write');
+  const wrapperRef = useRef(null);
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  const emit = (next) => onChange?.({ target: { name, value: next } });
+  const getTextarea = () => wrapperRef.current?.querySelector('textarea');
+
+  const focusSelection = (start, end) => {
+    requestAnimationFrame(() => {
+      const textarea = getTextarea();
+      textarea?.focus();
+      textarea?.setSelectionRange(start, end);
+    });
+  };
+
+  const applyFormat = (action) => {
+    const textarea = getTextarea();
+    const start = textarea?.selectionStart ?? value.length;
+    const end = textarea?.selectionEnd ?? value.length;
+
+    if (action.wrap) {
+      const selected = value.slice(start, end) || action.sample;
+      const [open, close] = action.wrap;
+      emit(value.slice(0, start) + open + selected + close + value.slice(end));
+      focusSelection(start + open.length, start + open.length + selected.length);
+      return;
+    }
+
+    // Line prefixes apply to every line touched by the selection
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    const block = value.slice(lineStart, end);
+    const prefixed = block.split('\n').map(line => action.prefix + line).join('\n');
+    emit(value.slice(0, lineStart) + prefixed + value.slice(end));
+    focusSelection(lineStart + prefixed.length, lineStart + prefixed.length);
+  };
+
+  const handlePaste = async (e) => {
+    if (!onPasteImages) return;
+    const images = Array.from(e.clipboardData?.files || []).filter(f => f.type.startsWith('image/'));
+    if (images.length === 0) return;
+    e.preventDefault();
+
+    // Placeholder at the caret so typing can carry on while the upload runs
+    const textarea = getTextarea();
+    const caret = textarea?.selectionStart ?? value.length;
+    const placeholder = `![Uploading image ${++uploadCount}…]()`;
+    emit(value.slice(0, caret) + placeholder + value.slice(textarea?.selectionEnd ?? caret));
+
+    let replacement = '';
+    try {
+      const urls = (await onPasteImages(images)) || [];
+      replacement = urls.map((url, i) => imageMarkdown(images[i]?.name, url)).join('\n');
+    } catch (err) {
+      notifyError(err?.response?.data?.message || 'Image upload failed');
+    }
+    emit(valueRef.current.replace(placeholder, replacement));
+  };
+
+  const Input = mentions ? MentionInput : Form.Control;
+
+  return (
+    <div ref={wrapperRef} className={`border rounded bg-white text-body ${className}`.trim()}>
+      <div className="d-flex flex-wrap align-items-center justify-content-between gap-2 px-2 pt-2 border-bottom">
+        <Nav variant="tabs" activeKey={tab} onSelect={(key) => setTab(key)} className="border-bottom-0">
+          <Nav.Item>
+            <Nav.Link eventKey="write">Write</Nav.Link>
+          </Nav.Item>
+          <Nav.Item>
+            <Nav.Link eventKey="preview">Preview</Nav.Link>
+          </Nav.Item>
+        </Nav>
+        {tab === 'write' && (
+          <ButtonGroup size="sm" className="mb-1">
+            {TOOLBAR.map(action => (
+              <Button
+                key={action.title}
+                variant="outline-secondary"
+                title={action.title}
+                aria-label={action.title}
+                onClick={() => applyFormat(action)}
+                disabled={disabled}
+              >
+                {action.label}
+              </Button>
+            ))}
+          </ButtonGroup>
+        )}
+      </div>
+
+      {tab === 'write' ? (
+        <div onPaste={handlePaste}>
+          <Input
+            {...inputProps}
+            as="textarea"
+            name={name}
+            value={value}
+            onChange={(e) => emit(e.target.value)}
+            disabled={disabled}
+            className="border-0 shadow-none"
+            style={{ minHeight, resize: 'vertical' }}
+          />
+        </div>
+      ) : (
+        <div className="p-2" style={{ minHeight }}>
+          {value.trim() ? <MarkdownView text={value} /> : <span className="text-muted">Nothing to preview</span>}
+        </div>
+      )}
+
+      <div className="px-2 py-1 border-top small text-muted">
+        Markdown supported{onPasteImages ? ' · paste images to upload' : ''}{mentions ? ' · @ to mention' : ''}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,31 @@
+import React, { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMentionHref } from '../../hooks/useMentionHref';
+import { renderMarkdown } from '../../utils/markdown';
+
+// Sanitized Markdown for task descriptions and comments
+const MarkdownView = ({ text = '', className = '', style }) => {
+  const navigate = useNavigate();
+  const mentionHref = useMentionHref();
+  const html = useMemo(() => renderMarkdown(text, { mentionHref }), [text, mentionHref]);
+
+  // In-app links (mentions, /tasks/...) go through the router instead of reloading the page
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    const href = link?.getAttribute('href');
+    if (!href || !href.startsWith('/') || link.target === '_blank' || e.metaKey || e.ctrlKey) return;
+    e.preventDefault();
+    navigate(href);
+  };
+
+  return (
+    <div
+      className={`markdown-body ${className}`.trim()}
+      style={style}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownView;
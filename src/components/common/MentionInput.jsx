@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Form, ListGroup } from 'react-bootstrap';
+import { fetchUsers } from '../../Api/users';
+import { searchUsers } from '../../Api/searchApi';
+import { useAuth } from '../../contexts/AuthContext';
+import { getMentionQuery, toMentionMarkup } from '../../utils/mentions';
+
+const MAX_SUGGESTIONS = 8;
+
+const matchesQuery = (user, query) => {
+  const q = query.toLowerCase();
+  return (user.name || '').toLowerCase().includes(q) || (user.email || '').toLowerCase().includes(q);
+};
+
+// Drop-in replacement for Form.Control that autocompletes "@name" into @[Name](userId).
+// onChange/onKeyDown behave as before; Enter only picks a suggestion while the list is open.
+const MentionInput = ({ value, onChange, onKeyDown, onBlur, dropUp = false, ...props }) => {
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+  const inputRef = useRef(null);
+  const usersRef = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [active, setActive] = useState(0);
+
+  const query = mention ? mention.query : null;
+
+  useEffect(() => {
+    if (query === null) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+
+    // Search as the user types; the full list backs an empty query or a failed search
+    const loadAll = async () => {
+      if (!usersRef.current) usersRef.current = (await fetchUsers()) || [];
+      return usersRef.current.filter(u => matchesQuery(u, query));
+    };
+
+    const timer = setTimeout(async () => {
+      let list = [];
+      try {
+        list = query ? await searchUsers(query) : await loadAll();
+      } catch {
+        list = await loadAll().catch(() => []);
+      }
+      if (cancelled) return;
+      setSuggestions(
+        (Array.isArray(list) ? list : [])
+          .filter(u => String(u._id || u.id) !== String(myId))
+          .slice(0, MAX_SUGGESTIONS)
+      );
+      setActive(0);
+    }, query ? 200 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, myId]);
+
+  const open = mention !== null && suggestions.length > 0;
+
+  const handleChange = (e) => {
+    onChange?.(e);
+    setMention(getMentionQuery(e.target.value, e.target.selectionStart ?? e.target.value.length));
+  };
+
+  const select = (picked) => {
+    const input = inputRef.current;
+    const caret = input?.selectionStart ?? value.length;
+    const markup = `${toMentionMarkup(picked)} `;
+    const next = value.slice(0, mention.start) + markup + value.slice(caret);
+    onChange?.({ target: { value: next } });
+    setMention(null);
+
+    const nextCaret = mention.start + markup.length;
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(nextCaret, nextCaret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (open) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActive(i => (i + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        select(suggestions[active]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className="position-relative flex-grow-1">
+      <Form.Control
+        {...props}
+        ref={inputRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={(e) => {
+          setMention(null);
+          onBlur?.(e);
+        }}
+        aria-autocomplete="list"
+        aria-expanded={open}
+      />
+      {open && (
+        <ListGroup
+          role="listbox"
+          className="position-absolute shadow-sm"
+          style={{
+            [dropUp ? 'bottom' : 'top']: '100%',
+            left: 0,
+            zIndex: 1060,
+            minWidth: 240,
+            maxHeight: 260,
+            overflowY: 'auto',
+          }}
+        >
+          {suggestions.map((u, i) => (
+            <ListGroup.Item
+              key={u._id || u.id}
+              action
+              role="option"
+              active={i === active}
+              aria-selected={i === active}
+              // mousedown keeps focus in the input so onBlur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(u);
+              }}
+              className="py-1"
+            >
+              <div>{u.name || u.email}</div>
+              {u.email && u.name && <small className={i === active ? '' : 'text-muted'}>{u.email}</small>}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </div>
+  );
+};
+
+export default MentionInput;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useMentionHref } from '../../hooks/useMentionHref';
+import { splitMentions } from '../../utils/mentions';
+
+// Comment/message text with @[Name](userId) rendered as chips linking to the user's profile
+const MentionText = ({ text = '' }) => {
+  const mentionHref = useMentionHref();
+
+  return splitMentions(text).map((part, i) => {
+    if (part.type === 'text') return <React.Fragment key={i}>{part.value}</React.Fragment>;
+
+    const href = mentionHref(part.id);
+    const label = `@${part.name}`;
+    return href
+      ? <Link key={i} to={href} className="mention">{label}</Link>
+      : <span key={i} className="mention">{label}</span>;
+  });
+};
+
+export default MentionText;
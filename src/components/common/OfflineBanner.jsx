@@ -0,0 +1,33 @@
+import React from 'react';
+import { Alert } from '@mui/material';
+import { CloudOff } from '@mui/icons-material';
+import { useOfflineStatus } from '../../hooks/useOfflineStatus';
+import { useOfflineQueue } from '../../hooks/useOfflineQueue';
+import { formatSnapshotTime } from '../../utils/offline';
+
+// Shown under the Topbar while the network is down, or while offline changes wait to be sent
+const OfflineBanner = () => {
+  const { offline, snapshotAt } = useOfflineStatus();
+  const { pending } = useOfflineQueue();
+  if (!offline && pending.length === 0) return null;
+
+  const waiting = pending.length === 1 ? '1 change waiting to sync' : `${pending.length} changes waiting to sync`;
+  const status = !offline
+    ? 'Back online'
+    : snapshotAt
+      ? `Offline — showing data from ${formatSnapshotTime(snapshotAt)}`
+      : 'Offline — some data may be unavailable until you reconnect';
+
+  return (
+    <Alert
+      severity={offline ? 'warning' : 'info'}
+      icon={<CloudOff fontSize="small" />}
+      sx={{ borderRadius: 0, py: 0.25, alignItems: 'center' }}
+      role="status"
+    >
+      {pending.length > 0 ? `${status} · ${waiting}` : status}
+    </Alert>
+  );
+};
+
+export default OfflineBanner;
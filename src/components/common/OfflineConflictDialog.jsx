@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Link,
+  Typography,
+} from '@mui/material';
+import { useOfflineQueue } from '../../hooks/useOfflineQueue';
+import { stripMentions } from '../../utils/mentions';
+
+const excerpt = (text = '', max = 120) => {
+  const plain = stripMentions(text).trim();
+  return plain.length > max ? `${plain.slice(0, max)}…` : plain;
+};
+
+// What the queued change would have done, in the user's words
+const describeChange = (mutation) => {
+  const body = mutation.body || {};
+  if (mutation.kind === 'taskStatus') return `Change the status to "${body.status}"`;
+  const text = excerpt(body.comment || body.text);
+  return text ? `Comment: "${text}"` : 'Comment with attachments';
+};
+
+// Asks what to do with offline changes the server refused because the task changed meanwhile,
+// one at a time, oldest first
+const OfflineConflictDialog = () => {
+  const { conflicts, resolve } = useOfflineQueue();
+  const [busy, setBusy] = useState(false);
+  const conflict = conflicts[0];
+
+  const choose = async (choice) => {
+    setBusy(true);
+    try {
+      await resolve(conflict.id, choice);
+    } catch (err) {
+      console.error('Resolve offline conflict failed:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!conflict) return null;
+
+  const current = conflict.conflict?.current;
+
+  return (
+    <Dialog open maxWidth="sm" fullWidth aria-labelledby="offline-conflict-title">
+      <DialogTitle id="offline-conflict-title" sx={{ color: '#1a2752', fontWeight: 600 }}>
+        Offline change conflicts with newer updates
+        {conflicts.length > 1 && (
+          <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+            (1 of {conflicts.length})
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Task{' '}
+          <Link component={RouterLink} to={`/tasks/${conflict.taskId}`} sx={{ color: '#dc267f' }}>
+            {current?.title || 'open task'}
+          </Link>
+          {' '}— saved offline {new Date(conflict.queuedAt).toLocaleString()}
+        </Typography>
+        <Box sx={{ my: 1.5, p: 1.5, borderRadius: 1, backgroundColor: '#fce7f3' }}>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>Your change</Typography>
+          <Typography variant="body2">{describeChange(conflict)}</Typography>
+        </Box>
+        <Box sx={{ p: 1.5, borderRadius: 1, backgroundColor: 'action.hover' }}>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>On the server now</Typography>
+          <Typography variant="body2">
+            {conflict.conflict?.message}
+            {current?.status ? ` — status is "${current.status}"` : ''}
+          </Typography>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => choose('discard')} disabled={busy} sx={{ color: '#1a2752' }}>
+          Keep theirs
+        </Button>
+        <Button
+          variant="contained"
+          onClick={() => choose('apply')}
+          disabled={busy}
+          sx={{ backgroundColor: '#dc267f', '&:hover': { backgroundColor: '#b91c5c' } }}
+        >
+          Apply mine
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OfflineConflictDialog;
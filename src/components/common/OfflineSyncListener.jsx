@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { replayMutations, subscribeQueue } from '../../utils/offlineQueue';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+
+// Sends changes queued while offline once the browser is back online (for browsers without
+// Background Sync, and after logging in) and reports how the replay went
+const OfflineSyncListener = () => {
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+  const syncedRef = useRef({ count: 0, timer: null });
+
+  useEffect(() => {
+    if (!myId) return undefined;
+    const replay = () => replayMutations().catch(err => console.error('Offline sync failed:', err));
+    replay();
+    window.addEventListener('online', replay);
+    return () => window.removeEventListener('online', replay);
+  }, [myId]);
+
+  useEffect(() => {
+    const synced = syncedRef.current;
+    const unsubscribe = subscribeQueue(({ event, message }) => {
+      if (event === 'synced') {
+        // One toast for a whole replay
+        synced.count += 1;
+        clearTimeout(synced.timer);
+        synced.timer = setTimeout(() => {
+          notifySuccess(synced.count === 1 ? 'Offline change synced' : `${synced.count} offline changes synced`);
+          synced.count = 0;
+        }, 500);
+      } else if (event === 'conflict') {
+        notifyError('An offline change conflicts with newer updates — please review it');
+      } else if (event === 'failed') {
+        notifyError(message || 'An offline change was rejected by the server');
+      }
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(synced.timer);
+    };
+  }, []);
+
+  return null; // Invisible component
+};
+
+export default OfflineSyncListener;
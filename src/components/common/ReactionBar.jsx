@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Button, OverlayTrigger, Popover, Tooltip } from 'react-bootstrap';
+import { useAuth } from '../../contexts/AuthContext';
+import { REACTION_EMOJIS, groupReactions } from '../../utils/reactions';
+
+const pillStyle = (mine) => ({
+  borderRadius: '1em',
+  padding: '0 0.5em',
+  lineHeight: 1.6,
+  border: `1px solid ${mine ? '#dc267f' : '#dee2e6'}`,
+  backgroundColor: mine ? '#fce7f3' : '#fff',
+  color: '#1a2752',
+});
+
+// Reaction pills (count + who-reacted tooltip) and an emoji picker for comments and chat messages
+const ReactionBar = ({ reactions = [], onToggle, disabled = false }) => {
+  const { user } = useAuth();
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const groups = groupReactions(reactions, user?._id || user?.id);
+
+  const pick = (emoji) => {
+    setPickerOpen(false);
+    onToggle(emoji);
+  };
+
+  const picker = (
+    <Popover id="reaction-picker">
+      <Popover.Body className="d-flex flex-wrap gap-1 p-2" style={{ maxWidth: 200 }}>
+        {REACTION_EMOJIS.map(emoji => (
+          <Button key={emoji} variant="light" size="sm" onClick={() => pick(emoji)} aria-label={`React with ${emoji}`}>
+            {emoji}
+          </Button>
+        ))}
+      </Popover.Body>
+    </Popover>
+  );
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-1 mt-1 text-body">
+      {groups.map(group => (
+        <OverlayTrigger
+          key={group.emoji}
+          placement="top"
+          overlay={<Tooltip id={`reaction-${group.emoji}`}>{group.names.join(', ')}</Tooltip>}
+        >
+          <Button
+            size="sm"
+            style={pillStyle(group.mine)}
+            onClick={() => onToggle(group.emoji)}
+            disabled={disabled}
+            aria-pressed={group.mine}
+            aria-label={`${group.emoji} ${group.count}`}
+          >
+            {group.emoji} <small>{group.count}</small>
+          </Button>
+        </OverlayTrigger>
+      ))}
+      {!disabled && (
+        <OverlayTrigger
+          trigger="click"
+          placement="top"
+          rootClose
+          show={pickerOpen}
+          onToggle={setPickerOpen}
+          overlay={picker}
+        >
+          <Button size="sm" style={pillStyle(false)} title="Add reaction" aria-label="Add reaction">
+            ☺+
+          </Button>
+        </OverlayTrigger>
+      )}
+    </div>
+  );
+};
+
+export default ReactionBar;
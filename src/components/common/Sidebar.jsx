@@ -35,6 +35,10 @@ import {
   Add,
   ViewList,
   PriorityHigh,
+  CalendarMonth,
+  ViewTimeline,
+  AccessTime,
+  LibraryBooks,
   Close,
   ChevronLeft,
   Menu as MenuIcon,
@@ -42,9 +46,12 @@ import {
   Description,
   Apartment,
   ChatBubbleOutline as ChatIcon, // <-- added
+  Forum,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import { NavLink, useLocation, useNavigate } from 'react-router-dom';
+import { shallowEqual, useSelector } from 'react-redux';
+import { selectChatUnread } from '../../features/chat/chatReadSlice';
 
 // Custom hooks for better organization
 const useResponsive = () => {
@@ -78,6 +85,10 @@ const useSidebarState = (collapsed, isMobile) => {
   };
 };
 
+// Chat links that show an unread count, keyed by path (see selectChatUnread)
+const CHAT_UNREAD_KEYS = { '/chat/public': 'public', '/chat/department': 'department' };
+const unreadBadge = (count) => (count > 99 ? '99+' : count || undefined);
+
 // Configuration objects
 const MENU_CONFIG = {
   main: [
@@ -98,6 +109,7 @@ const MENU_CONFIG = {
       children: [
         { title: 'Public Chat', path: '/chat/public', icon: <ChatIcon /> },
         { title: 'Department Chat', path: '/chat/department', icon: <Apartment /> },
+        { title: 'Direct Messages', path: '/chat/direct', icon: <Forum /> },
       ]
     },
     {
@@ -134,6 +146,9 @@ const MENU_CONFIG = {
       children: [
         { title: 'My Tasks', path: '/tasks', icon: <ViewList /> },
         { title: 'Create Task', path: '/tasks/create', icon: <Add /> },
+        { title: 'Calendar', path: '/tasks/calendar', icon: <CalendarMonth /> },
+        { title: 'Timeline', path: '/tasks/timeline', icon: <ViewTimeline /> },
+        { title: 'Templates', path: '/tasks/templates', icon: <LibraryBooks /> },
         { title: 'Priority Settings', path: '/tasks/priorities', icon: <PriorityHigh /> }
       ]
     },
@@ -147,7 +162,8 @@ const MENU_CONFIG = {
         { title: 'User Reports', path: '/reports/user-wise', icon: <Person /> },
         { title: 'Task Reports', path: '/reports/task-wise', icon: <Assignment /> },
         { title: 'Department Reports', path: '/reports/department-wise', icon: <Category /> },
-        { title: 'Daily Reports', path: '/reports/daily', icon: <Description /> }
+        { title: 'Daily Reports', path: '/reports/daily', icon: <Description /> },
+        { title: 'Time Reports', path: '/reports/time', icon: <AccessTime /> }
       ]
     },
     {
@@ -719,9 +735,20 @@ const Sidebar = ({
   const isExactActive = useCallback((path) => 
     location.pathname === path, [location.pathname]);
 
-  // Filter menu items by user role
-  const filteredMenuItems = useMemo(() => 
-    MENU_CONFIG.main.filter(item => item.roles.includes(userRole)), [userRole]);
+  const chatUnreadCounts = useSelector(selectChatUnread, shallowEqual);
+
+  // Filter menu items by user role; chat links get their unread counts
+  const filteredMenuItems = useMemo(() =>
+    MENU_CONFIG.main
+      .filter(item => item.roles.includes(userRole))
+      .map(item => (item.id !== 'chat' ? item : {
+        ...item,
+        badge: unreadBadge(chatUnreadCounts.total),
+        children: item.children.map(child => ({
+          ...child,
+          badge: unreadBadge(chatUnreadCounts[CHAT_UNREAD_KEYS[child.path]]),
+        })),
+      })), [userRole, chatUnreadCounts]);
   
   const filteredBottomItems = useMemo(() => 
     MENU_CONFIG.bottom.filter(item => item.roles.includes(userRole)), [userRole]);
@@ -809,7 +836,7 @@ const Sidebar = ({
               isExactActive={isExactActive}
               onNavigate={handleNavigate}
               onToggleChat={handleToggleChat}   // pass toggle
-              chatUnread={chatUnread}           // pass unread
+              chatUnread={chatUnread || chatUnreadCounts.total}
             />
           </Box>
         </Drawer>
@@ -848,7 +875,7 @@ const Sidebar = ({
           isExactActive={isExactActive}
           onNavigate={handleNavigate}
           onToggleChat={handleToggleChat}   // pass toggle
-          chatUnread={chatUnread}           // pass unread
+          chatUnread={chatUnread || chatUnreadCounts.total}
         />
       </Drawer>
     </motion.div>
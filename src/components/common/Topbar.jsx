@@ -47,7 +47,8 @@ import {
   FullscreenExit as FullscreenExitIcon,
   ArrowForward as ArrowForwardIcon,
   TrendingUp as TrendingUpIcon,
-  Business as BusinessIcon
+  Business as BusinessIcon,
+  AlternateEmail as MentionIcon
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { debounce } from 'lodash';
@@ -56,6 +57,10 @@ import { debounce } from 'lodash';
 import { getUserNotifications, markNotificationAsRead } from '../../Api/notificationApi';
 import { performGlobalSearch } from '../../Api/searchApi';
 import { useSocket } from '../../contexts/SocketContext';
+import { useNotifications } from '../../contexts/NotificationContext';
+import { useNotificationPreferences } from '../../hooks/useNotificationPreferences';
+import DoNotDisturbButton from '../notifications/DoNotDisturbButton';
+import { describeNotification } from '../../utils/notifications';
 
 const Topbar = ({ 
   user = {}, 
@@ -82,13 +87,19 @@ const Topbar = ({
   const [searchLoading, setSearchLoading] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [notificationsLoading, setNotificationsLoading] = useState(false);
-  const [notifications, setNotifications] = useState([]);
+  const [receivedNotifications, setNotifications] = useState([]);
   const [searchFocused, setSearchFocused] = useState(false);
   
   const searchRef = useRef(null);
   const searchInputRef = useRef(null);
 
   // Memoized values
+  const { allowsNotification } = useNotificationPreferences();
+  const notifications = useMemo(
+    () => receivedNotifications.filter(n => allowsNotification(n, 'inApp')),
+    [receivedNotifications, allowsNotification]
+  );
+
   const unreadNotifications = useMemo(
     () => notifications.filter(n => !n.read).length,
     [notifications]
@@ -122,13 +133,24 @@ const Topbar = ({
     if (!socket || typeof socket.on !== 'function') return;
     
     const handleNewNotification = (data) => {
-      setNotifications(prev => [data, ...prev]);
+      setNotifications(prev => (prev.some(n => n._id && n._id === data._id) ? prev : [data, ...prev]));
     };
 
     socket.on('newNotification', handleNewNotification);
     return () => socket.off('newNotification', handleNewNotification);
   }, [socket]);
 
+  // NotificationContext receives 'notification:new' (e.g. mentions) on its own socket; surface those in the bell too
+  const { items: liveNotifications } = useNotifications() || {};
+  useEffect(() => {
+    if (!liveNotifications?.length) return;
+    setNotifications(prev => {
+      const known = new Set(prev.map(n => n._id));
+      const fresh = liveNotifications.filter(n => n._id && !known.has(n._id));
+      return fresh.length ? [...fresh, ...prev] : prev;
+    });
+  }, [liveNotifications]);
+
   // Event handlers
   const handleUserMenuOpen = useCallback((event) => {
     setUserMenuAnchor(event.currentTarget);
@@ -632,6 +654,9 @@ const Topbar = ({
               </IconButton>
             </Tooltip>
 
+            {/* Do Not Disturb */}
+            <DoNotDisturbButton />
+
             {/* Notifications */}
             <Tooltip title={`${unreadNotifications} unread notifications`}>
               <IconButton 
@@ -772,54 +797,63 @@ const Topbar = ({
               />
             </ListItem>
           ) : (
-            notifications.map((notification) => (
-              <ListItem
-                key={notification._id}
-                onClick={() => handleMarkRead(notification._id)}
-                sx={{
-                  cursor: 'pointer',
-                  backgroundColor: notification.read ? 'transparent' : alpha(theme.palette.primary.main, 0.05),
-                  borderLeft: notification.read ? 'none' : `3px solid ${theme.palette.primary.main}`,
-                  '&:hover': {
-                    backgroundColor: alpha(theme.palette.primary.main, notification.read ? 0.05 : 0.1),
-                  },
-                  transition: 'all 0.2s ease',
-                  py: 1.5
-                }}
-              >
-                <ListItemIcon>
-                  <Avatar sx={{ 
-                    backgroundColor: notification.read ? 'grey.400' : 'primary.main',
-                    width: 36,
-                    height: 36
-                  }}>
-                    <NotificationsIcon fontSize="small" />
-                  </Avatar>
-                </ListItemIcon>
-                <ListItemText
-                  primary={
-                    <Typography 
-                      variant="subtitle2" 
-                      sx={{ 
-                        fontWeight: notification.read ? 400 : 600,
-                        overflow: 'hidden',
-                        textOverflow: 'ellipsis',
-                        display: '-webkit-box',
-                        WebkitLineClamp: 2,
-                        WebkitBoxOrient: 'vertical'
-                      }}
-                    >
-                      {notification.message}
-                    </Typography>
-                  }
-                  secondary={
-                    <Typography variant="caption" color="text.secondary">
-                      {new Date(notification.createdAt).toLocaleString()}
-                    </Typography>
-                  }
-                />
-              </ListItem>
-            ))
+            notifications.map((notification) => {
+              const { isMention, title, body } = describeNotification(notification);
+              return (
+                <ListItem
+                  key={notification._id}
+                  onClick={() => {
+                    handleMarkRead(notification._id);
+                    if (isMention && notification.link) {
+                      handleNotificationClose();
+                      navigate(notification.link);
+                    }
+                  }}
+                  sx={{
+                    cursor: 'pointer',
+                    backgroundColor: notification.read ? 'transparent' : alpha(theme.palette.primary.main, 0.05),
+                    borderLeft: notification.read ? 'none' : `3px solid ${theme.palette.primary.main}`,
+                    '&:hover': {
+                      backgroundColor: alpha(theme.palette.primary.main, notification.read ? 0.05 : 0.1),
+                    },
+                    transition: 'all 0.2s ease',
+                    py: 1.5
+                  }}
+                >
+                  <ListItemIcon>
+                    <Avatar sx={{ 
+                      backgroundColor: notification.read ? 'grey.400' : isMention ? '#dc267f' : 'primary.main',
+                      width: 36,
+                      height: 36
+                    }}>
+                      {isMention ? <MentionIcon fontSize="small" /> : <NotificationsIcon fontSize="small" />}
+                    </Avatar>
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={
+                      <Typography 
+                        variant="subtitle2" 
+                        sx={{ 
+                          fontWeight: notification.read ? 400 : 600,
+                          overflow: 'hidden',
+                          textOverflow: 'ellipsis',
+                          display: '-webkit-box',
+                          WebkitLineClamp: 2,
+                          WebkitBoxOrient: 'vertical'
+                        }}
+                      >
+                        {isMention ? `${title}: ${body}` : notification.message}
+                      </Typography>
+                    }
+                    secondary={
+                      <Typography variant="caption" color="text.secondary">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </Typography>
+                    }
+                  />
+                </ListItem>
+              );
+            })
           )}
         </List>
       </Popover>
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { Alert, Button, Snackbar } from '@mui/material';
+import { useServiceWorkerUpdate } from '../../hooks/useServiceWorkerUpdate';
+
+// "New version available — reload"; the new version only starts once the user agrees
+const UpdatePrompt = () => {
+  const { updateReady, applyUpdate } = useServiceWorkerUpdate();
+  const [dismissed, setDismissed] = useState(false);
+  const [reloading, setReloading] = useState(false);
+
+  const reload = () => {
+    setReloading(true);
+    applyUpdate();
+  };
+
+  return (
+    <Snackbar open={updateReady && !dismissed} anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}>
+      <Alert
+        severity="info"
+        variant="filled"
+        sx={{ backgroundColor: '#1a2752', alignItems: 'center' }}
+        action={(
+          <>
+            <Button color="inherit" size="small" onClick={() => setDismissed(true)} disabled={reloading}>
+              Later
+            </Button>
+            <Button
+              size="small"
+              variant="contained"
+              onClick={reload}
+              disabled={reloading}
+              sx={{ backgroundColor: '#dc267f', '&:hover': { backgroundColor: '#b91c5c' } }}
+            >
+              {reloading ? 'Reloading…' : 'Reload'}
+            </Button>
+          </>
+        )}
+      >
+        New version available — reload to update
+      </Alert>
+    </Snackbar>
+  );
+};
+
+export default UpdatePrompt;
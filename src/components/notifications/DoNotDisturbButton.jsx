@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { Divider, IconButton, ListItemText, Menu, MenuItem, Tooltip } from '@mui/material';
+import {
+  NotificationsPaused as PausedIcon,
+  NotificationsPausedOutlined as PausedOutlinedIcon,
+} from '@mui/icons-material';
+import { saveNotificationPreferences } from '../../features/notifications/notificationPreferencesSlice';
+import { useNotificationPreferences } from '../../hooks/useNotificationPreferences';
+import { useQuietMode } from '../../hooks/useQuietMode';
+import { DND_PRESETS } from '../../utils/quietHours';
+import { notifyError } from '../../utils/notifications';
+
+const timeLabel = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const describeQuiet = ({ reason, until }) => {
+  if (!reason) return 'Notifications are on';
+  const name = reason === 'dnd' ? 'Do Not Disturb' : 'Quiet hours';
+  return until ? `${name} until ${timeLabel(until)}` : `${name} is on`;
+};
+
+// Topbar switch for Do Not Disturb; quiet hours themselves are set up on the settings page
+const DoNotDisturbButton = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { preferences } = useNotificationPreferences();
+  const quiet = useQuietMode();
+  const [anchor, setAnchor] = useState(null);
+
+  const setDnd = async (dnd) => {
+    setAnchor(null);
+    try {
+      await dispatch(saveNotificationPreferences({ ...preferences, dnd })).unwrap();
+    } catch (message) {
+      notifyError(message || 'Failed to update Do Not Disturb');
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title={describeQuiet(quiet)}>
+        <IconButton
+          color="inherit"
+          onClick={(e) => setAnchor(e.currentTarget)}
+          aria-label="Do Not Disturb"
+          aria-pressed={Boolean(quiet.reason)}
+          sx={{
+            transition: 'transform 0.2s ease',
+            '&:hover': { transform: 'scale(1.1)' }
+          }}
+        >
+          {quiet.reason ? <PausedIcon sx={{ color: '#dc267f' }} /> : <PausedOutlinedIcon />}
+        </IconButton>
+      </Tooltip>
+      <Menu
+        anchorEl={anchor}
+        open={Boolean(anchor)}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <MenuItem disabled sx={{ '&.Mui-disabled': { opacity: 1 } }}>
+          <ListItemText
+            primary="Do Not Disturb"
+            secondary={describeQuiet(quiet)}
+            primaryTypographyProps={{ fontWeight: 600, color: '#1a2752' }}
+          />
+        </MenuItem>
+        <Divider />
+        {quiet.reason === 'dnd' ? (
+          <MenuItem onClick={() => setDnd({ enabled: false, until: null })}>Turn off</MenuItem>
+        ) : (
+          DND_PRESETS.map(preset => (
+            <MenuItem key={preset.key} onClick={() => setDnd({ enabled: true, until: preset.until() })}>
+              {preset.label}
+            </MenuItem>
+          ))
+        )}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setAnchor(null);
+            navigate('/settings');
+          }}
+        >
+          <ListItemText primary="Quiet hours…" secondary="Toasts, sounds and push stay off on a schedule" />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+};
+
+export default DoNotDisturbButton;
@@ -1,44 +1,64 @@
 import React, { useEffect } from 'react';
 import { useSocket } from '../../contexts/SocketContext';
 import { useNotifications } from '../../contexts/NotificationContext';
+import { notificationEvent } from '../../utils/notificationPreferences';
+import { stripMentions } from '../../utils/mentions';
 
+// Announces live socket events; notifyEvent applies the user's notification preferences
 const NotificationListener = () => {
   const { socket } = useSocket() || {};
-  const { showToast, showPushNotification } = useNotifications();
+  const { notifyEvent } = useNotifications();
 
  useEffect(() => {
   if (!socket || typeof socket.on !== 'function') return;
 
   // Listen for real-time notifications from backend
-  socket.on('newNotification', (data) => {
+  const onNewNotification = (data) => {
     const msg = data.message || 'You have a new notification';
-    showToast('info', msg);
-    showPushNotification('New Notification', { body: msg });
-  });
+    notifyEvent(notificationEvent(data), { toastMessage: msg, title: 'New Notification', body: msg, tag: data._id });
+  };
 
   // Your existing events
-  socket.on('newPublicMessage', (msg) => {
-    showToast('info', `New public message from ${msg.user}: ${msg.text}`);
-    showPushNotification('New Public Message', { body: `${msg.user}: ${msg.text}` });
-  });
+  const onNewPublicMessage = (msg) => {
+    const text = stripMentions(msg.text);
+    notifyEvent('chatMessage', {
+      toastMessage: `New public message from ${msg.user}: ${text}`,
+      title: 'New Public Message',
+      body: `${msg.user}: ${text}`,
+    });
+  };
 
-  socket.on('newDepartmentMessage', (msg) => {
-    showToast('info', `New department message from ${msg.user}: ${msg.text}`);
-    showPushNotification('New Department Message', { body: `${msg.user}: ${msg.text}` });
-  });
+  const onNewDepartmentMessage = (msg) => {
+    const text = stripMentions(msg.text);
+    notifyEvent('chatMessage', {
+      toastMessage: `New department message from ${msg.user}: ${text}`,
+      title: 'New Department Message',
+      body: `${msg.user}: ${text}`,
+    });
+  };
+
+  const onTaskUpdated = (task) => {
+    notifyEvent('taskStatus', {
+      toastType: 'success',
+      toastMessage: `Task "${task.title}" updated to ${task.status}`,
+      title: 'Task Updated',
+      body: `${task.title} is now ${task.status}`,
+    });
+  };
 
-  socket.on('taskUpdated', (task) => {
-    showToast('success', `Task "${task.title}" updated to ${task.status}`);
-    showPushNotification('Task Updated', { body: `${task.title} is now ${task.status}` });
-  });
+  socket.on('newNotification', onNewNotification);
+  socket.on('newPublicMessage', onNewPublicMessage);
+  socket.on('newDepartmentMessage', onNewDepartmentMessage);
+  socket.on('taskUpdated', onTaskUpdated);
 
+  // Remove only our own handlers - task views listen to 'taskUpdated' too
   return () => {
-    socket.off('newNotification');
-    socket.off('newPublicMessage');
-    socket.off('newDepartmentMessage');
-    socket.off('taskUpdated');
+    socket.off('newNotification', onNewNotification);
+    socket.off('newPublicMessage', onNewPublicMessage);
+    socket.off('newDepartmentMessage', onNewDepartmentMessage);
+    socket.off('taskUpdated', onTaskUpdated);
   };
-}, [socket, showToast, showPushNotification]);
+}, [socket, notifyEvent]);
   return null; // Invisible component
 };
 
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, Button, Form, Spinner, Table } from 'react-bootstrap';
+import {
+  saveNotificationPreferences,
+  selectNotificationPreferences,
+} from '../../features/notifications/notificationPreferencesSlice';
+import {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+} from '../../utils/notificationPreferences';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+
+const pushBlocked = () => 'Notification' in window && Notification.permission === 'denied';
+
+// Event × channel grid for the settings page; clicking a channel heading switches the whole column
+const NotificationPreferences = () => {
+  const dispatch = useDispatch();
+  const saved = useSelector(selectNotificationPreferences);
+  const { loaded, saving } = useSelector(state => state.notificationPreferences);
+  const [draft, setDraft] = useState(null); // null until the user changes something
+  const current = draft || saved;
+
+  const setChannel = (event, channel, on) => {
+    setDraft({ ...current, [event]: { ...current[event], [channel]: on } });
+  };
+
+  const toggleColumn = (channel) => {
+    const on = !NOTIFICATION_EVENTS.every(({ key }) => current[key][channel]);
+    setDraft({
+      ...current,
+      ...Object.fromEntries(NOTIFICATION_EVENTS.map(({ key }) => [key, { ...current[key], [channel]: on }])),
+    });
+  };
+
+  const setQuietHours = (changes) => {
+    setDraft({ ...current, quietHours: { ...current.quietHours, ...changes } });
+  };
+
+  const save = async () => {
+    try {
+      // Do Not Disturb belongs to the Topbar switch, which may have changed since editing began
+      await dispatch(saveNotificationPreferences({ ...current, dnd: saved.dnd })).unwrap();
+      setDraft(null);
+      notifySuccess('Notification preferences saved');
+    } catch (message) {
+      notifyError(message || 'Failed to save notification preferences');
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <h5>Notifications</h5>
+      <p className="text-muted small mb-2">Choose how you hear about each kind of event.</p>
+
+      {pushBlocked() && (
+        <Alert variant="warning" className="py-2 small">
+          Browser notifications are blocked for this site - allow them in your browser settings to get web push.
+        </Alert>
+      )}
+
+      {!loaded ? (
+        <Spinner animation="border" size="sm" />
+      ) : (
+        <Table responsive size="sm" className="align-middle">
+          <thead>
+            <tr>
+              <th>Event</th>
+              {NOTIFICATION_CHANNELS.map(({ key, label, hint }) => (
+                <th key={key} className="text-center text-nowrap">
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 fw-semibold text-decoration-none"
+                    style={{ color: '#1a2752' }}
+                    title={hint ? `${hint} - click to switch for every event` : 'Click to switch for every event'}
+                    onClick={() => toggleColumn(key)}
+                  >
+                    {label}
+                  </Button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {NOTIFICATION_EVENTS.map(({ key: event, label }) => (
+              <tr key={event}>
+                <td>{label}</td>
+                {NOTIFICATION_CHANNELS.map(({ key: channel, label: channelLabel }) => (
+                  <td key={channel} className="text-center">
+                    <Form.Check
+                      type="switch"
+                      id={`notif-${event}-${channel}`}
+                      className="d-inline-block"
+                      checked={Boolean(current[event][channel])}
+                      onChange={(e) => setChannel(event, channel, e.target.checked)}
+                      aria-label={`${label}: ${channelLabel}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <Form.Check
+          type="switch"
+          id="notif-quiet-hours"
+          label="Quiet hours from"
+          checked={Boolean(current.quietHours.enabled)}
+          onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+        />
+        <Form.Control
+          type="time"
+          size="sm"
+          style={{ width: 120 }}
+          value={current.quietHours.start}
+          onChange={(e) => setQuietHours({ start: e.target.value })}
+          disabled={!current.quietHours.enabled}
+          aria-label="Quiet hours start"
+        />
+        <span>to</span>
+        <Form.Control
+          type="time"
+          size="sm"
+          style={{ width: 120 }}
+          value={current.quietHours.end}
+          onChange={(e) => setQuietHours({ end: e.target.value })}
+          disabled={!current.quietHours.enabled}
+          aria-label="Quiet hours end"
+        />
+      </div>
+      <p className="text-muted small mt-1 mb-3">
+        Every day in this window - and while Do Not Disturb is on in the top bar - toasts, sounds and
+        push stay off. The bell still collects everything, and you get a summary afterwards.
+      </p>
+
+      <div className="d-flex gap-2">
+        <Button variant="primary" onClick={save} disabled={!draft || saving}>
+          {saving ? 'Saving…' : 'Save Preferences'}
+        </Button>
+        <Button variant="outline-secondary" onClick={() => setDraft(DEFAULT_NOTIFICATION_PREFERENCES)} disabled={saving}>
+          Reset to defaults
+        </Button>
+        {draft && (
+          <Button variant="link" onClick={() => setDraft(null)} disabled={saving}>
+            Discard changes
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
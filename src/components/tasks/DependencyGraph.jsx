@@ -0,0 +1,108 @@
+import React from 'react';
+import { getStatusColor } from '../../utils/taskColors';
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 34;
+const ROW_GAP = 14;
+const COLUMN_GAP = 60;
+const PADDING = 8;
+
+const truncate = (text = '', max = 22) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Blockers on the left, the task in the middle, the tasks it blocks on the right
+const DependencyGraph = ({ task, blockedBy = [], blocks = [], onNodeClick }) => {
+  if (!task || (blockedBy.length === 0 && blocks.length === 0)) return null;
+
+  const rows = Math.max(blockedBy.length, blocks.length, 1);
+  const height = rows * NODE_HEIGHT + (rows - 1) * ROW_GAP + PADDING * 2;
+  const width = NODE_WIDTH * 3 + COLUMN_GAP * 2 + PADDING * 2;
+
+  const columnX = [0, 1, 2].map(i => PADDING + i * (NODE_WIDTH + COLUMN_GAP));
+  // Centre a column of `count` nodes vertically
+  const rowY = (index, count) => {
+    const columnHeight = count * NODE_HEIGHT + (count - 1) * ROW_GAP;
+    return (height - columnHeight) / 2 + index * (NODE_HEIGHT + ROW_GAP);
+  };
+  const centerY = rowY(0, 1);
+
+  const renderNode = (node, x, y, isCurrent = false) => {
+    const color = getStatusColor(node.status);
+    const clickable = !isCurrent && onNodeClick;
+    return (
+      <g
+        key={`${node._id}-${x}`}
+        transform={`translate(${x}, ${y})`}
+        onClick={clickable ? () => onNodeClick(node) : undefined}
+        style={{ cursor: clickable ? 'pointer' : 'default' }}
+      >
+        <title>{`${node.title} (${node.status})`}</title>
+        <rect
+          width={NODE_WIDTH}
+          height={NODE_HEIGHT}
+          rx={8}
+          fill={isCurrent ? '#1a2752' : '#ffffff'}
+          stroke={color}
+          strokeWidth={2}
+        />
+        <circle cx={14} cy={NODE_HEIGHT / 2} r={5} fill={color} />
+        <text
+          x={26}
+          y={NODE_HEIGHT / 2 + 4}
+          fontSize={12}
+          fill={isCurrent ? '#ffffff' : '#1a2752'}
+          fontWeight={isCurrent ? 600 : 400}
+        >
+          {truncate(node.title)}
+        </text>
+      </g>
+    );
+  };
+
+  // Edge from the right side of one node to the left side of another
+  const renderEdge = (key, fromX, fromY, toX, toY, done) => {
+    const x1 = fromX + NODE_WIDTH;
+    const y1 = fromY + NODE_HEIGHT / 2;
+    const y2 = toY + NODE_HEIGHT / 2;
+    const mid = (x1 + toX) / 2;
+    return (
+      <path
+        key={key}
+        d={`M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${toX} ${y2}`}
+        fill="none"
+        stroke={done ? getStatusColor('completed') : '#dc267f'}
+        strokeWidth={1.5}
+        strokeDasharray={done ? undefined : '4 3'}
+        markerEnd="url(#dependency-arrow)"
+      />
+    );
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      width="100%"
+      style={{ maxWidth: width, display: 'block' }}
+      role="img"
+      aria-label={`Dependencies of ${task.title}`}
+    >
+      <defs>
+        <marker id="dependency-arrow" viewBox="0 0 10 10" refX={9} refY={5} markerWidth={6} markerHeight={6} orient="auto">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#6b7280" />
+        </marker>
+      </defs>
+
+      {blockedBy.map((dep, i) =>
+        renderEdge(`in-${dep._id}`, columnX[0], rowY(i, blockedBy.length), columnX[1], centerY, dep.status === 'completed')
+      )}
+      {blocks.map((dep, i) =>
+        renderEdge(`out-${dep._id}`, columnX[1], centerY, columnX[2], rowY(i, blocks.length), task.status === 'completed')
+      )}
+
+      {blockedBy.map((dep, i) => renderNode(dep, columnX[0], rowY(i, blockedBy.length)))}
+      {renderNode(task, columnX[1], centerY, true)}
+      {blocks.map((dep, i) => renderNode(dep, columnX[2], rowY(i, blocks.length)))}
+    </svg>
+  );
+};
+
+export default DependencyGraph;
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { Form, ListGroup, Badge, Spinner } from 'react-bootstrap';
+import { fetchTasksPage } from '../../Api/tasks';
+import { getStatusColor } from '../../utils/taskColors';
+
+// "Blocked by" picker for the task forms. `value` holds task objects ({ _id, title, status })
+// so the chips can be labelled; the forms send only the IDs.
+const DependencyPicker = ({ value, onChange, excludeIds = [], disabled = false, accentColor = '#dc267f' }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const { tasks } = await fetchTasksPage({ q, limit: 10 });
+        if (!cancelled) setResults(tasks);
+      } catch (err) {
+        console.error('Failed to search tasks:', err);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const selectedIds = value.map(t => t._id);
+  const options = results.filter(t => !selectedIds.includes(t._id) && !excludeIds.includes(t._id));
+
+  const addDependency = (task) => {
+    onChange([...value, { _id: task._id, title: task.title, status: task.status }]);
+    setQuery('');
+    setResults([]);
+  };
+
+  const removeDependency = (taskId) => {
+    onChange(value.filter(t => t._id !== taskId));
+  };
+
+  return (
+    <>
+      <Form.Group controlId="dependencySearch" className="mb-2">
+        <Form.Label className="fw-semibold">Blocked by</Form.Label>
+        <Form.Control
+          type="text"
+          placeholder="Search tasks by title..."
+          value={query}
+          disabled={disabled}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <Form.Text className="text-muted">
+          This task can't be started until every task listed here is completed
+        </Form.Text>
+      </Form.Group>
+
+      {searching && <Spinner animation="border" size="sm" className="mb-2" />}
+
+      {options.length > 0 && (
+        <ListGroup className="mb-2" style={{ maxHeight: 220, overflowY: 'auto' }}>
+          {options.map(task => (
+            <ListGroup.Item
+              key={task._id}
+              action
+              type="button"
+              onClick={() => addDependency(task)}
+              className="d-flex justify-content-between align-items-center"
+            >
+              <span className="text-truncate me-2">{task.title}</span>
+              <Badge style={{ backgroundColor: getStatusColor(task.status) }} bg="">
+                {task.status}
+              </Badge>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+
+      {value.length > 0 && (
+        <div className="d-flex flex-wrap gap-2">
+          {value.map(task => (
+            <Badge
+              key={task._id}
+              bg="light"
+              text="dark"
+              className="d-flex align-items-center gap-2 px-3 py-2"
+              style={{ fontSize: '0.9rem', border: `1px solid ${accentColor}40` }}
+            >
+              <i
+                className={`fas ${task.status === 'completed' ? 'fa-check-circle' : 'fa-lock'}`}
+                style={{ color: task.status === 'completed' ? getStatusColor('completed') : accentColor }}
+              ></i>
+              {task.title || 'Untitled task'}
+              {!disabled && (
+                <button
+                  type="button"
+                  className="btn-close btn-close-sm ms-2"
+                  style={{ fontSize: '0.7rem' }}
+                  onClick={() => removeDependency(task._id)}
+                  title="Remove dependency"
+                ></button>
+              )}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DependencyPicker;
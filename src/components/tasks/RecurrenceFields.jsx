@@ -0,0 +1,195 @@
+import React from 'react';
+import { Form, Row, Col, InputGroup, ToggleButton, ToggleButtonGroup } from 'react-bootstrap';
+import {
+  FREQUENCIES,
+  WEEKDAYS,
+  createRecurrence,
+  describeRecurrence,
+  validateRecurrence
+} from '../../utils/recurrence';
+
+// Repeat settings for the task forms. `value` is null for one-off tasks.
+const RecurrenceFields = ({ value, onChange, disabled = false, accentColor = '#dc267f' }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const unit = FREQUENCIES.find(f => f.value === value?.frequency)?.unit;
+  const problem = value ? validateRecurrence(value) : '';
+
+  return (
+    <>
+      <Form.Check
+        type="switch"
+        id="recurrence-enabled"
+        label="Repeat this task"
+        className="mb-3 fw-semibold"
+        checked={Boolean(value)}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.checked ? createRecurrence() : null)}
+      />
+
+      {value && (
+        <>
+          <Row>
+            <Col sm={6} className="mb-3">
+              <Form.Group controlId="recurrenceFrequency">
+                <Form.Label className="fw-semibold">Repeats</Form.Label>
+                <Form.Select
+                  value={value.frequency}
+                  disabled={disabled}
+                  onChange={(e) => update({ frequency: e.target.value })}
+                >
+                  {FREQUENCIES.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+
+            {value.frequency !== 'custom' && (
+              <Col sm={6} className="mb-3">
+                <Form.Group controlId="recurrenceInterval">
+                  <Form.Label className="fw-semibold">Every</Form.Label>
+                  <InputGroup>
+                    <Form.Control
+                      type="number"
+                      min={1}
+                      value={value.interval}
+                      disabled={disabled}
+                      onChange={(e) => update({ interval: e.target.value })}
+                    />
+                    <InputGroup.Text>{unit}{Number(value.interval) === 1 ? '' : 's'}</InputGroup.Text>
+                  </InputGroup>
+                </Form.Group>
+              </Col>
+            )}
+          </Row>
+
+          {value.frequency === 'weekly' && (
+            <Form.Group className="mb-3">
+              <Form.Label className="fw-semibold d-block">On</Form.Label>
+              <ToggleButtonGroup
+                type="checkbox"
+                value={value.weekdays}
+                onChange={(weekdays) => update({ weekdays })}
+                className="flex-wrap"
+              >
+                {WEEKDAYS.map(day => (
+                  <ToggleButton
+                    key={day.code}
+                    id={`recurrence-day-${day.code}`}
+                    value={day.code}
+                    variant="outline-secondary"
+                    size="sm"
+                    disabled={disabled}
+                  >
+                    {day.label}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+              <Form.Text className="d-block text-muted">
+                Leave empty to repeat on the due date's weekday
+              </Form.Text>
+            </Form.Group>
+          )}
+
+          {value.frequency === 'monthly' && (
+            <Form.Group className="mb-3" controlId="recurrenceMonthDay">
+              <Form.Label className="fw-semibold">Day of month</Form.Label>
+              <Form.Control
+                type="number"
+                min={1}
+                max={31}
+                placeholder="Same day as the due date"
+                value={value.monthDay}
+                disabled={disabled}
+                onChange={(e) => update({ monthDay: e.target.value })}
+              />
+            </Form.Group>
+          )}
+
+          {value.frequency === 'custom' && (
+            <Form.Group className="mb-3" controlId="recurrenceRule">
+              <Form.Label className="fw-semibold">Rule</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+                value={value.rule}
+                disabled={disabled}
+                onChange={(e) => update({ rule: e.target.value })}
+                style={{ fontFamily: 'monospace' }}
+              />
+              <Form.Text className="text-muted">
+                iCalendar RRULE syntax: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY, BYMONTHDAY
+              </Form.Text>
+            </Form.Group>
+          )}
+
+          <Form.Group className="mb-2">
+            <Form.Label className="fw-semibold d-block">Ends</Form.Label>
+            <Row className="align-items-center g-2">
+              <Col xs="auto">
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="recurrence-end-never"
+                  label="Never"
+                  checked={value.endType === 'never'}
+                  disabled={disabled}
+                  onChange={() => update({ endType: 'never' })}
+                />
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="recurrence-end-until"
+                  label="On date"
+                  checked={value.endType === 'until'}
+                  disabled={disabled}
+                  onChange={() => update({ endType: 'until' })}
+                />
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="recurrence-end-count"
+                  label="After"
+                  checked={value.endType === 'count'}
+                  disabled={disabled}
+                  onChange={() => update({ endType: 'count' })}
+                />
+              </Col>
+              {value.endType === 'until' && (
+                <Col xs={12} sm={6}>
+                  <Form.Control
+                    type="date"
+                    value={value.until}
+                    disabled={disabled}
+                    onChange={(e) => update({ until: e.target.value })}
+                  />
+                </Col>
+              )}
+              {value.endType === 'count' && (
+                <Col xs={12} sm={6}>
+                  <InputGroup>
+                    <Form.Control
+                      type="number"
+                      min={1}
+                      value={value.count}
+                      disabled={disabled}
+                      onChange={(e) => update({ count: e.target.value })}
+                    />
+                    <InputGroup.Text>occurrences</InputGroup.Text>
+                  </InputGroup>
+                </Col>
+              )}
+            </Row>
+          </Form.Group>
+
+          <Form.Text className="d-block" style={{ color: problem ? '#f44336' : accentColor }}>
+            <i className={`fas ${problem ? 'fa-exclamation-circle' : 'fa-redo'} me-1`}></i>
+            {problem || describeRecurrence(value)}
+          </Form.Text>
+        </>
+      )}
+    </>
+  );
+};
+
+export default RecurrenceFields;
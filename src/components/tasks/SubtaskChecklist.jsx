@@ -0,0 +1,83 @@
+import React from 'react';
+import { Box, Checkbox, Typography, Avatar, Tooltip, Chip } from '@mui/material';
+import { CalendarToday as CalendarIcon } from '@mui/icons-material';
+import { isSubtaskDone } from '../../utils/subtasks';
+import { startOfDay } from '../../utils/dates';
+
+// Subtask assignees may come back populated or as a bare ID of one of the task's assignees
+const resolveAssignee = (assignee, taskAssignees = []) => {
+  if (!assignee) return null;
+  if (typeof assignee === 'object') return assignee;
+  return taskAssignees.find(a => a && typeof a === 'object' && a._id === assignee) || null;
+};
+
+// Tickable subtask list for TaskCard and TaskViewModal
+const SubtaskChecklist = ({ subtasks = [], taskAssignees, onToggle, disabled = false, dense = false }) => {
+  if (subtasks.length === 0) return null;
+
+  const today = startOfDay(new Date());
+
+  return (
+    <Box>
+      {subtasks.map((subtask, index) => {
+        const done = isSubtaskDone(subtask);
+        const assignee = resolveAssignee(subtask.assignee, taskAssignees);
+        const due = subtask.dueDate ? new Date(subtask.dueDate) : null;
+        const overdue = due && !done && startOfDay(due) < today;
+
+        return (
+          <Box
+            key={subtask._id || index}
+            sx={{ display: 'flex', alignItems: 'center', gap: 1, py: dense ? 0 : 0.5 }}
+          >
+            <Checkbox
+              size="small"
+              checked={done}
+              disabled={disabled || !subtask._id}
+              onChange={() => onToggle(subtask)}
+              sx={{ p: 0.5, color: '#1a2752', '&.Mui-checked': { color: '#4caf50' } }}
+              inputProps={{ 'aria-label': `Mark "${subtask.title}" ${done ? 'not done' : 'done'}` }}
+            />
+            <Typography
+              variant="body2"
+              sx={{
+                flex: 1,
+                minWidth: 0,
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+                textDecoration: done ? 'line-through' : 'none',
+                color: done ? 'text.secondary' : 'text.primary'
+              }}
+              title={subtask.title}
+            >
+              {subtask.title}
+            </Typography>
+            {due && (
+              <Chip
+                size="small"
+                icon={<CalendarIcon sx={{ fontSize: '0.9rem !important' }} />}
+                label={due.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                sx={{
+                  height: 22,
+                  fontSize: '0.7rem',
+                  backgroundColor: overdue ? 'rgba(220, 38, 127, 0.1)' : 'rgba(26, 39, 82, 0.06)',
+                  color: overdue ? '#dc267f' : 'text.secondary'
+                }}
+              />
+            )}
+            {assignee && (
+              <Tooltip title={assignee.name || assignee.email || 'Assignee'}>
+                <Avatar sx={{ width: 22, height: 22, fontSize: '0.7rem', bgcolor: '#dc267f' }}>
+                  {(assignee.name || assignee.email || '?').charAt(0).toUpperCase()}
+                </Avatar>
+              </Tooltip>
+            )}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default SubtaskChecklist;
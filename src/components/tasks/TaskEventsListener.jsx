@@ -0,0 +1,19 @@
+import { useDispatch } from 'react-redux';
+import { useTaskEvents } from '../../hooks/useTaskEvents';
+import { taskUpserted, taskRemoved } from '../../features/tasks/taskSlice';
+import { getEventTaskId } from '../../utils/taskEvents';
+
+// Keeps the Redux tasks slice in sync with live task events
+const TaskEventsListener = () => {
+  const dispatch = useDispatch();
+
+  useTaskEvents({
+    onCreated: (task) => dispatch(taskUpserted(task)),
+    onUpdated: (task) => dispatch(taskUpserted(task)),
+    onDeleted: (payload) => dispatch(taskRemoved(getEventTaskId(payload))),
+  });
+
+  return null; // Invisible component
+};
+
+export default TaskEventsListener;
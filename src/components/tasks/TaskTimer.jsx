@@ -0,0 +1,39 @@
+import React from 'react';
+import { Button, Tooltip } from '@mui/material';
+import { PlayArrow as PlayIcon, Stop as StopIcon } from '@mui/icons-material';
+import { useTaskTimer } from '../../hooks/useTaskTimer';
+import { formatElapsed } from '../../utils/time';
+
+// Compact start/stop button for TaskCard
+const TaskTimer = ({ taskId, disabled = false, onStopped }) => {
+  const { running, elapsedSeconds, busy, toggle } = useTaskTimer(taskId, { onStopped });
+
+  return (
+    <Tooltip title={running ? 'Stop timer and log the time' : 'Start timer'}>
+      <span>
+        <Button
+          size="small"
+          variant={running ? 'contained' : 'outlined'}
+          startIcon={running ? <StopIcon /> : <PlayIcon />}
+          onClick={toggle}
+          disabled={busy || (disabled && !running)}
+          sx={{
+            minWidth: 'auto',
+            fontVariantNumeric: 'tabular-nums',
+            borderColor: '#1a2752',
+            color: running ? 'white' : '#1a2752',
+            backgroundColor: running ? '#dc267f' : 'transparent',
+            '&:hover': {
+              borderColor: '#dc267f',
+              backgroundColor: running ? '#b91c5c' : 'rgba(220, 38, 127, 0.04)'
+            }
+          }}
+        >
+          {running ? formatElapsed(elapsedSeconds) : 'Timer'}
+        </Button>
+      </span>
+    </Tooltip>
+  );
+};
+
+export default TaskTimer;
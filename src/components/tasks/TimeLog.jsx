@@ -0,0 +1,163 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button, Form, Row, Col, ListGroup, ProgressBar, Spinner } from 'react-bootstrap';
+import { addTimeEntry, deleteTimeEntry, fetchTaskTimeEntries } from '../../Api/timeEntries';
+import { useTaskTimer } from '../../hooks/useTaskTimer';
+import { useAuth } from '../../contexts/AuthContext';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import { formatDuration, formatElapsed, parseDuration } from '../../utils/time';
+import { toDateInputValue } from '../../utils/dates';
+
+const emptyEntry = () => ({ duration: '', date: toDateInputValue(new Date()), note: '' });
+
+// Timer, logged vs estimated time and manual entries for TaskDetail
+const TimeLog = ({ taskId, estimatedHours, disabled = false }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const [entries, setEntries] = useState([]);
+  const [totalMinutes, setTotalMinutes] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [entry, setEntry] = useState(emptyEntry);
+  const [saving, setSaving] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const data = await fetchTaskTimeEntries(taskId);
+      setEntries(data?.entries || []);
+      setTotalMinutes(data?.totalMinutes ?? (data?.entries || []).reduce((sum, e) => sum + (e.minutes || 0), 0));
+    } catch {
+      notifyError('Failed to load time entries');
+    }
+    setLoading(false);
+  }, [taskId]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const timer = useTaskTimer(taskId, { onStopped: loadEntries });
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const minutes = parseDuration(entry.duration);
+    if (!minutes) {
+      notifyError('Enter a duration like 1h 30m, 45m or 1.5');
+      return;
+    }
+    setSaving(true);
+    try {
+      await addTimeEntry(taskId, { minutes, date: entry.date, note: entry.note.trim() });
+      notifySuccess(`Logged ${formatDuration(minutes)}`);
+      setEntry(emptyEntry());
+      loadEntries();
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to log time');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (entryId) => {
+    try {
+      await deleteTimeEntry(taskId, entryId);
+      loadEntries();
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to delete time entry');
+    }
+  };
+
+  const estimatedMinutes = (Number(estimatedHours) || 0) * 60;
+  const overEstimate = estimatedMinutes > 0 && totalMinutes > estimatedMinutes;
+
+  return (
+    <div>
+      <div className="d-flex flex-wrap align-items-center gap-3 mb-2">
+        <Button
+          variant={timer.running ? 'danger' : 'outline-primary'}
+          onClick={timer.toggle}
+          disabled={timer.busy || (disabled && !timer.running)}
+        >
+          <i className={`fas ${timer.running ? 'fa-stop' : 'fa-play'} me-2`}></i>
+          {timer.running ? `Stop ${formatElapsed(timer.elapsedSeconds)}` : 'Start timer'}
+        </Button>
+        <span>
+          <strong>Logged:</strong> {formatDuration(totalMinutes)}
+          {estimatedMinutes > 0 && <> of {formatDuration(estimatedMinutes)} estimated</>}
+        </span>
+      </div>
+
+      {estimatedMinutes > 0 && (
+        <ProgressBar
+          now={Math.min(100, (totalMinutes / estimatedMinutes) * 100)}
+          variant={overEstimate ? 'danger' : 'success'}
+          className="mb-3"
+          style={{ height: '8px' }}
+        />
+      )}
+
+      {!disabled && (
+        <Form onSubmit={handleAdd} className="mb-3">
+          <Row className="g-2">
+            <Col sm={3}>
+              <Form.Control
+                placeholder="1h 30m"
+                value={entry.duration}
+                onChange={(e) => setEntry(prev => ({ ...prev, duration: e.target.value }))}
+                aria-label="Duration"
+              />
+            </Col>
+            <Col sm={3}>
+              <Form.Control
+                type="date"
+                value={entry.date}
+                max={toDateInputValue(new Date())}
+                onChange={(e) => setEntry(prev => ({ ...prev, date: e.target.value }))}
+                aria-label="Date"
+              />
+            </Col>
+            <Col sm={4}>
+              <Form.Control
+                placeholder="What did you work on?"
+                value={entry.note}
+                onChange={(e) => setEntry(prev => ({ ...prev, note: e.target.value }))}
+                aria-label="Note"
+              />
+            </Col>
+            <Col sm={2}>
+              <Button type="submit" variant="secondary" className="w-100" disabled={saving}>
+                {saving ? 'Saving...' : 'Log time'}
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+      )}
+
+      {loading ? (
+        <Spinner animation="border" size="sm" />
+      ) : entries.length === 0 ? (
+        <p className="text-muted">No time logged yet.</p>
+      ) : (
+        <ListGroup>
+          {entries.map(e => (
+            <ListGroup.Item key={e._id} className="d-flex justify-content-between align-items-start gap-2">
+              <div>
+                <strong>{formatDuration(e.minutes)}</strong>{' '}
+                <small className="text-muted">
+                  {e.user?.name ? `${e.user.name} · ` : ''}
+                  {new Date(e.date || e.startedAt || e.createdAt).toLocaleDateString()}
+                  {e.source === 'timer' && ' · timer'}
+                </small>
+                {e.note && <div>{e.note}</div>}
+              </div>
+              {(e.user?._id || e.user) === userId && (
+                <Button variant="link" size="sm" className="text-danger p-0" onClick={() => handleDelete(e._id)}>
+                  Delete
+                </Button>
+              )}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </div>
+  );
+};
+
+export default TimeLog;
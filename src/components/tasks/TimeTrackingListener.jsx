@@ -0,0 +1,20 @@
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { useAuth } from '../../contexts/AuthContext';
+import { clearTimeTracking, loadActiveTimer } from '../../features/timeTracking/timeTrackingSlice';
+
+// Loads the user's running timer once for every TaskTimer on screen, and forgets it on logout
+const TimeTrackingListener = () => {
+  const dispatch = useDispatch();
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+
+  useEffect(() => {
+    if (myId) dispatch(loadActiveTimer());
+    else dispatch(clearTimeTracking());
+  }, [myId, dispatch]);
+
+  return null; // Invisible component
+};
+
+export default TimeTrackingListener;
@@ -7,6 +7,8 @@ import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { registerServiceWorker, subscribePush, saveSubscription } from '../utils/pushClient';
+import { clearOfflineData } from '../utils/offline';
+import { clearQueuedMutations } from '../utils/offlineQueue';
 
 const AuthContext = createContext();
 
@@ -52,6 +54,8 @@ const validateToken = (token) => {
   const clearAuthData = useCallback(() => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
+    clearOfflineData();
+    clearQueuedMutations(); // also when no service worker controls the page
     try { 
      const { default: axiosInstance } = require('../Api/axiosInstance');
    delete axiosInstance.defaults.headers.common.Authorization;
@@ -6,12 +6,23 @@ import React, {
   useRef,
   useState,
   useCallback,
+  useMemo,
 } from 'react';
+import { useDispatch } from 'react-redux';
 import io from 'socket.io-client';
 import { toast } from 'react-toastify';
 import axiosInstance from '../Api/axiosInstance';
 import { useAuth } from './AuthContext';             // ✅ use auth state
 import notificationSoundUrl from '../assets/sounds/notify.mp3';
+import { describeNotification } from '../utils/notifications';
+import { isChannelEnabled, notificationEvent, summarizeSuppressed } from '../utils/notificationPreferences';
+import { quietReason, shareQuietSettings } from '../utils/quietHours';
+import { useNotificationPreferences } from '../hooks/useNotificationPreferences';
+import { useQuietMode } from '../hooks/useQuietMode';
+import {
+  loadNotificationPreferences,
+  resetNotificationPreferences,
+} from '../features/notifications/notificationPreferencesSlice';
 
 // ENV
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL;
@@ -76,16 +87,30 @@ export const useNotification = useNotifications;
 
 export default function NotificationProvider({ children }) {
   const { isAuthenticated, token } = useAuth();      // ✅ guard everything by auth
+  const dispatch = useDispatch();
+  const { preferences, allowsNotification } = useNotificationPreferences();
 
   const [items, setItems] = useState([]);
-  const [unread, setUnread] = useState(0);
-  const [soundEnabled, setSoundEnabled] = useState(
-    () => localStorage.getItem('notif_sound') !== 'off'
-  );
 
   const audioRef = useRef(null);
   const socketRef = useRef(null);
   const abortRef = useRef(null);
+  const preferencesRef = useRef(preferences); // read by the socket handler without reconnecting
+  const suppressedRef = useRef([]); // { event, at } held back by Do Not Disturb / quiet hours
+  const { reason: quietNow } = useQuietMode();
+  const lastQuietRef = useRef(quietNow);
+
+  useEffect(() => {
+    preferencesRef.current = preferences;
+    shareQuietSettings(preferences);
+  }, [preferences]);
+
+  // The bell only lists event types with "In-app" on
+  const visibleItems = useMemo(
+    () => items.filter(n => allowsNotification(n, 'inApp')),
+    [items, allowsNotification]
+  );
+  const unread = visibleItems.filter(n => !n.read).length;
 
   // ---- UI helpers (toast + in-tab push) ----
   const showToast = useCallback((type, message) => {
@@ -110,6 +135,43 @@ export default function NotificationProvider({ children }) {
     }
   }, []);
 
+  const playSound = useCallback(() => {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = 0;
+    audioRef.current.play().catch(() => {});
+  }, []);
+
+  // Announce an event (a key of NOTIFICATION_EVENTS) on the channels the user keeps on for it:
+  // sound, a toast with `toastMessage`, and a browser notification with `title`/`body`.
+  // During Do Not Disturb / quiet hours nothing is announced, only counted for the summary.
+  const notifyEvent = useCallback((event, { toastType = 'info', toastMessage, title, body, link, tag } = {}) => {
+    if (quietReason(preferencesRef.current)) {
+      suppressedRef.current.push({ event, at: new Date().toISOString() });
+      return;
+    }
+    const allowed = (channel) => isChannelEnabled(preferencesRef.current, event, channel);
+    if (allowed('sound')) playSound();
+    if (toastMessage && allowed('toast')) showToast(toastType, toastMessage);
+    if (title && allowed('push')) showPushNotification(title, { body, tag, data: { link } });
+  }, [playSound, showToast, showPushNotification]);
+
+  // What was held back, once Do Not Disturb / quiet hours are over
+  useEffect(() => {
+    const endedReason = lastQuietRef.current;
+    lastQuietRef.current = quietNow;
+    if (quietNow || !endedReason || suppressedRef.current.length === 0) return;
+    const summary = summarizeSuppressed(suppressedRef.current);
+    suppressedRef.current = [];
+    const ended = endedReason === 'dnd' ? 'Do Not Disturb is off' : 'Quiet hours are over';
+    toast.info(`${ended} — meanwhile you got ${summary}. See the bell for details.`, { autoClose: 8000 });
+  }, [quietNow]);
+
+  // ---- Notification preferences (AFTER login) ----
+  useEffect(() => {
+    if (isAuthenticated && token) dispatch(loadNotificationPreferences());
+    else dispatch(resetNotificationPreferences());
+  }, [isAuthenticated, token, dispatch]);
+
   // ---- Ask permission + register SW + subscribe push (AFTER login) ----
   useEffect(() => {
     (async () => {
@@ -137,7 +199,7 @@ export default function NotificationProvider({ children }) {
     // cancel previous pending fetch (e.g., on logout)
     abortRef.current?.abort();
     setItems([]);
-    setUnread(0);
+    suppressedRef.current = [];
 
     if (!isAuthenticated || !token) return;
 
@@ -150,9 +212,7 @@ export default function NotificationProvider({ children }) {
           signal: ac.signal,
           skipAuthRedirect: true,       // ✅ don’t redirect the app on 401
         });
-        const data = res.data?.data || [];
-        setItems(data);
-        setUnread(data.filter(n => !n.read).length);
+        setItems(res.data?.data || []);
       } catch (e) {
         const name = e.name || e.code;
         if (name !== 'CanceledError' && name !== 'AbortError') {
@@ -182,64 +242,43 @@ export default function NotificationProvider({ children }) {
         if (prev.length && prev[0]?._id === n._id) return prev;
         return [n, ...prev].slice(0, 100);
       });
-      if (!n.read) setUnread(prev => prev + 1);
 
-      if (soundEnabled && audioRef.current) {
-        audioRef.current.currentTime = 0;
-        audioRef.current.play().catch(() => {});
-      }
-
-      showToast('info', n.title || 'New notification');
-
-      if ('Notification' in window && Notification.permission === 'granted') {
-        const notif = new Notification(n.title || 'Notification', {
-          body: n.message,
-          data: { link: n.link },
-        });
-        notif.onclick = () => {
-          window.focus();
-          if (n.link) window.location.href = n.link;
-        };
-      }
+      const { isMention, title, body } = describeNotification(n);
+      notifyEvent(notificationEvent(n), {
+        toastMessage: isMention ? `${title}: ${body}` : (n.title || 'New notification'),
+        title,
+        body,
+        link: n.link,
+        tag: n._id, // same tag as the web push for this notification, so it isn't shown twice
+      });
     });
 
     return () => socket.close();
-  }, [isAuthenticated, token, soundEnabled, showToast]);
+  }, [isAuthenticated, token, notifyEvent]);
 
   // ---- API helpers ----
   const markRead = useCallback(async (id) => {
     if (!isAuthenticated || !token) return;
     await axiosInstance.put(`/notifications/${id}/read`, null, { skipAuthRedirect: true });
     setItems(prev => prev.map(n => (n._id === id ? { ...n, read: true } : n)));
-    setUnread(prev => Math.max(0, prev - 1));
   }, [isAuthenticated, token]);
 
   const markAllRead = useCallback(async () => {
     if (!isAuthenticated || !token) return;
     await axiosInstance.put('/notifications/read-all', null, { skipAuthRedirect: true });
     setItems(prev => prev.map(n => ({ ...n, read: true })));
-    setUnread(0);
   }, [isAuthenticated, token]);
 
-  const toggleSound = useCallback(() => {
-    setSoundEnabled(prev => {
-      const next = !prev;
-      localStorage.setItem('notif_sound', next ? 'on' : 'off');
-      return next;
-    });
-  }, []);
-
   return (
     <NotificationContext.Provider
       value={{
-        items,
+        items: visibleItems,
         unread,
         markRead,
         markAllRead,
         showToast,
         showPushNotification,
-        soundEnabled,
-        toggleSound,
+        notifyEvent,
       }}
     >
       {children}
@@ -0,0 +1,96 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { fetchChatReadState, markChatRoomRead } from '../../Api/chat';
+
+// Last-read position and unread count per chat room ('public' / 'department:<id>'), shared by
+// the chat pages (unread divider) and the Sidebar (badges)
+
+export const loadChatReadState = createAsyncThunk(
+  'chatRead/loadChatReadState',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await fetchChatReadState();
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to load unread messages');
+    }
+  }
+);
+
+export const markRoomRead = createAsyncThunk(
+  'chatRead/markRoomRead',
+  async ({ room, messageId }, { rejectWithValue }) => {
+    try {
+      return await markChatRoomRead(room, messageId);
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to mark messages read');
+    }
+  }
+);
+
+const chatReadSlice = createSlice({
+  name: 'chatRead',
+  initialState: {
+    rooms: {}, // room -> { lastReadAt, unreadCount }
+    activeRoom: null, // the room on screen doesn't collect unread messages
+    loaded: false,
+  },
+  reducers: {
+    roomOpened(state, action) {
+      state.activeRoom = action.payload;
+      if (state.rooms[action.payload]) state.rooms[action.payload].unreadCount = 0;
+    },
+    roomClosed(state, action) {
+      if (state.activeRoom === action.payload) state.activeRoom = null;
+    },
+    chatMessageReceived(state, action) {
+      const { room, fromMe } = action.payload;
+      if (fromMe || room === state.activeRoom) return;
+      const current = state.rooms[room] || { lastReadAt: null, unreadCount: 0 };
+      state.rooms[room] = { ...current, unreadCount: current.unreadCount + 1 };
+    },
+    clearChatReadState(state) {
+      state.rooms = {};
+      state.activeRoom = null;
+      state.loaded = false;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadChatReadState.fulfilled, (state, action) => {
+        state.loaded = true;
+        state.rooms = {};
+        (action.payload || []).forEach(({ room, lastReadAt, unreadCount }) => {
+          state.rooms[room] = {
+            lastReadAt: lastReadAt || null,
+            unreadCount: room === state.activeRoom ? 0 : unreadCount || 0,
+          };
+        });
+      })
+      .addCase(loadChatReadState.rejected, (state) => {
+        state.loaded = true;
+      })
+      .addCase(markRoomRead.pending, (state, action) => {
+        const { room } = action.meta.arg;
+        state.rooms[room] = { ...(state.rooms[room] || { lastReadAt: null }), unreadCount: 0 };
+      })
+      .addCase(markRoomRead.fulfilled, (state, action) => {
+        const { room } = action.meta.arg;
+        const { lastReadAt } = action.payload || {};
+        // A reload or logout may have dropped the room entry while the request was in flight
+        if (lastReadAt) state.rooms[room] = { ...(state.rooms[room] || { unreadCount: 0 }), lastReadAt };
+      });
+  },
+});
+
+export const { roomOpened, roomClosed, chatMessageReceived, clearChatReadState } = chatReadSlice.actions;
+
+// Unread counts as shown in the Sidebar: public room, all department rooms, and the total
+export const selectChatUnread = (state) => {
+  const rooms = state.chatRead?.rooms || {};
+  const count = (room) => rooms[room]?.unreadCount || 0;
+  const department = Object.keys(rooms)
+    .filter(room => room.startsWith('department:'))
+    .reduce((sum, room) => sum + count(room), 0);
+  return { public: count('public'), department, total: count('public') + department };
+};
+
+export default chatReadSlice.reducer;
@@ -0,0 +1,81 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { fetchNotificationPreferences, updateNotificationPreferences } from '../../Api/notificationApi';
+import { DEFAULT_NOTIFICATION_PREFERENCES, normalizePreferences } from '../../utils/notificationPreferences';
+
+// The signed-in user's notification channels per event, read by NotificationContext,
+// NotificationListener and the bells before anything is shown
+
+export const loadNotificationPreferences = createAsyncThunk(
+  'notificationPreferences/load',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await fetchNotificationPreferences();
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to load notification preferences');
+    }
+  }
+);
+
+export const saveNotificationPreferences = createAsyncThunk(
+  'notificationPreferences/save',
+  async (preferences, { rejectWithValue }) => {
+    try {
+      return await updateNotificationPreferences(preferences);
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to save notification preferences');
+    }
+  }
+);
+
+const notificationPreferencesSlice = createSlice({
+  name: 'notificationPreferences',
+  initialState: {
+    values: DEFAULT_NOTIFICATION_PREFERENCES,
+    saved: DEFAULT_NOTIFICATION_PREFERENCES, // last values the server confirmed, restored if a save fails
+    loaded: false,
+    saving: false,
+    error: null,
+  },
+  reducers: {
+    resetNotificationPreferences(state) {
+      state.values = DEFAULT_NOTIFICATION_PREFERENCES;
+      state.saved = DEFAULT_NOTIFICATION_PREFERENCES;
+      state.loaded = false;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadNotificationPreferences.fulfilled, (state, action) => {
+        state.values = normalizePreferences(action.payload);
+        state.saved = state.values;
+        state.loaded = true;
+      })
+      .addCase(loadNotificationPreferences.rejected, (state, action) => {
+        state.loaded = true;
+        state.error = action.payload;
+      })
+      // Applied right away so the app follows the new choices while saving
+      .addCase(saveNotificationPreferences.pending, (state, action) => {
+        state.values = normalizePreferences(action.meta.arg);
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(saveNotificationPreferences.fulfilled, (state, action) => {
+        state.values = normalizePreferences(action.payload || action.meta.arg);
+        state.saved = state.values;
+        state.saving = false;
+      })
+      .addCase(saveNotificationPreferences.rejected, (state, action) => {
+        state.values = state.saved;
+        state.saving = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { resetNotificationPreferences } = notificationPreferencesSlice.actions;
+
+export const selectNotificationPreferences = (state) => state.notificationPreferences.values;
+
+export default notificationPreferencesSlice.reducer;
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import axiosInstance from '../../Api/axiosInstance';
+import { mergeTaskUpdate } from '../../utils/taskEvents';
 
 
 // Fetch task 
@@ -53,6 +54,19 @@ const taskSlice = createSlice({
     clearTasks(state) {
       state.tasks = [];
     },
+    // Live updates from the socket (created or updated task)
+    taskUpserted(state, action) {
+      if (!Array.isArray(state.tasks)) state.tasks = [];
+      const index = state.tasks.findIndex(t => t._id === action.payload?._id);
+      if (index !== -1) {
+        state.tasks[index] = mergeTaskUpdate(state.tasks[index], action.payload);
+      } else if (action.payload?._id) {
+        state.tasks.unshift(action.payload);
+      }
+    },
+    taskRemoved(state, action) {
+      state.tasks = state.tasks.filter(t => t._id !== action.payload);
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -101,6 +115,6 @@ const taskSlice = createSlice({
   },
 });
 
-export const { clearTasks } = taskSlice.actions;
+export const { clearTasks, taskUpserted, taskRemoved } = taskSlice.actions;
 
 export default taskSlice.reducer;
@@ -0,0 +1,95 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { fetchActiveTimer, startTaskTimer, stopTaskTimer } from '../../Api/timeEntries';
+
+// The user has at most one running timer, shared by every TaskCard / TaskDetail on screen.
+// TimeTrackingListener loads it once per login and clears it on logout.
+
+export const loadActiveTimer = createAsyncThunk(
+  'timeTracking/loadActiveTimer',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await fetchActiveTimer();
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to load timer');
+    }
+  }
+);
+
+export const startTimer = createAsyncThunk(
+  'timeTracking/startTimer',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      return await startTaskTimer(taskId);
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to start timer');
+    }
+  }
+);
+
+export const stopTimer = createAsyncThunk(
+  'timeTracking/stopTimer',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      return await stopTaskTimer(taskId);
+    } catch (err) {
+      return rejectWithValue(err.response?.data?.message || 'Failed to stop timer');
+    }
+  }
+);
+
+const timeTrackingSlice = createSlice({
+  name: 'timeTracking',
+  initialState: {
+    activeEntry: null, // { _id, task, startedAt }
+    loaded: false,
+    isLoading: false,
+    error: null,
+  },
+  reducers: {
+    clearTimeTracking(state) {
+      state.activeEntry = null;
+      state.loaded = false;
+      state.isLoading = false;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadActiveTimer.fulfilled, (state, action) => {
+        state.loaded = true;
+        state.activeEntry = action.payload || null;
+      })
+      .addCase(loadActiveTimer.rejected, (state, action) => {
+        state.loaded = true;
+        state.error = action.payload;
+      })
+      .addCase(startTimer.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(startTimer.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.activeEntry = action.payload;
+      })
+      .addCase(startTimer.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(stopTimer.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(stopTimer.fulfilled, (state) => {
+        state.isLoading = false;
+        state.activeEntry = null;
+      })
+      .addCase(stopTimer.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearTimeTracking } = timeTrackingSlice.actions;
+
+export default timeTrackingSlice.reducer;
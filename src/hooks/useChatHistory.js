@@ -0,0 +1,222 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+export const CHAT_PAGE_SIZE = 30;
+const EDGE = 80; // px from the top/bottom of the list that loads the next page
+
+const identity = (m) => m;
+const sameId = (idKey) => (a, b) => String(a[idKey]) === String(b[idKey]);
+
+// Paged history for one chat room.
+// `fetchPage(params)` returns a page oldest first for { limit } plus `before`, `after` or `around`
+// a message ID (see Api/chat.js); `roomKey` reloads the latest page when it changes (null while no
+// room is picked) and `linkedId` opens the room at that message instead.
+// The hook owns the list's scroll position: attach `listRef`/`onScroll` to the scrolling element
+// and `data-message-id` to each message. Loading older pages keeps the reader's place, new
+// messages only pull the list down when the reader is already at the bottom.
+export const useChatHistory = ({ roomKey, fetchPage, normalize = identity, idKey = 'id', linkedId = null }) => {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(roomKey != null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false); // true while an older window is shown after a jump
+  const [highlightId, setHighlightId] = useState(null);
+
+  const listRef = useRef(null);
+  const scrollRef = useRef(null); // what to do with the scroll position after the next render
+  const atBottomRef = useRef(true);
+  const busyRef = useRef(false);
+  const hasNewerRef = useRef(false);
+  const requestRef = useRef(0); // bumped per room and per window load; older responses are dropped
+  const messagesRef = useRef([]);
+  const optionsRef = useRef({ fetchPage, normalize, linkedId });
+  const handledLinkRef = useRef(null);
+
+  useEffect(() => {
+    optionsRef.current = { fetchPage, normalize, linkedId };
+    hasNewerRef.current = hasNewer;
+    messagesRef.current = messages;
+  });
+
+  const loadPage = useCallback(async (params) => {
+    const { fetchPage: fetcher, normalize: normalizer } = optionsRef.current;
+    const list = await fetcher({ limit: CHAT_PAGE_SIZE, ...params });
+    return (Array.isArray(list) ? list : []).map(normalizer);
+  }, []);
+
+  // Replace the list with the latest page, or the page around `target`.
+  // Resolves false when a newer load or a room switch overtook this one.
+  const loadWindow = useCallback(async (target) => {
+    const request = ++requestRef.current;
+    const list = await loadPage(target ? { around: target } : {});
+    if (request !== requestRef.current) return false;
+    scrollRef.current = target ? { to: 'message', id: target } : { to: 'bottom' };
+    setMessages(list);
+    setHasOlder(target ? true : list.length >= CHAT_PAGE_SIZE);
+    setHasNewer(Boolean(target));
+    setHighlightId(target ? String(target) : null);
+    return true;
+  }, [loadPage]);
+
+  useEffect(() => {
+    requestRef.current += 1;
+    if (roomKey == null) {
+      setMessages([]);
+      setLoading(false);
+      return undefined;
+    }
+    let active = true;
+    // The link is only followed once, not again when switching rooms
+    const linked = optionsRef.current.linkedId;
+    const target = linked && linked !== handledLinkRef.current ? linked : null;
+    handledLinkRef.current = linked;
+    (async () => {
+      try {
+        setLoading(true);
+        await loadWindow(target);
+      } catch (e) {
+        console.error('Load chat history failed:', e);
+        if (active) setMessages([]);
+      } finally {
+        if (active) setLoading(false);
+      }
+    })();
+    return () => { active = false; };
+  }, [roomKey, loadWindow]);
+
+  useLayoutEffect(() => {
+    const el = listRef.current;
+    const pending = scrollRef.current;
+    scrollRef.current = null;
+    if (!el) return;
+
+    if (pending?.to === 'anchor') {
+      el.scrollTop = el.scrollHeight - pending.height + pending.top;
+    } else if (pending?.to === 'message') {
+      el.querySelector(`[data-message-id="${CSS.escape(String(pending.id))}"]`)?.scrollIntoView({ block: 'center' });
+    } else if (pending?.to === 'bottom' || (!pending && atBottomRef.current && !hasNewerRef.current)) {
+      el.scrollTop = el.scrollHeight;
+    }
+  }, [messages]);
+
+  useEffect(() => {
+    if (!highlightId) return undefined;
+    const timer = setTimeout(() => setHighlightId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightId]);
+
+  const loadMore = async (older) => {
+    if (busyRef.current || messages.length === 0) return;
+    const edge = older ? messages[0] : messages[messages.length - 1];
+    const request = requestRef.current;
+    busyRef.current = true;
+    setLoadingMore(true);
+    try {
+      const page = await loadPage(older ? { before: edge[idKey] } : { after: edge[idKey] });
+      if (request !== requestRef.current) return;
+      const el = listRef.current;
+      scrollRef.current = older && el
+        ? { to: 'anchor', height: el.scrollHeight, top: el.scrollTop }
+        : { to: 'keep' };
+      const same = sameId(idKey);
+      setMessages(prev => {
+        const fresh = page.filter(m => !prev.some(p => same(p, m)));
+        return older ? [...fresh, ...prev] : [...prev, ...fresh];
+      });
+      if (older) setHasOlder(page.length >= CHAT_PAGE_SIZE);
+      else setHasNewer(page.length >= CHAT_PAGE_SIZE);
+    } catch (e) {
+      console.error('Load more chat history failed:', e);
+    } finally {
+      busyRef.current = false;
+      setLoadingMore(false);
+    }
+  };
+
+  const onScroll = () => {
+    const el = listRef.current;
+    if (!el) return;
+    atBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < EDGE;
+    if (el.scrollTop < EDGE && hasOlder) loadMore(true);
+    else if (atBottomRef.current && hasNewer) loadMore(false);
+  };
+
+  const jumpToLatest = useCallback(async () => {
+    try {
+      return await loadWindow(null);
+    } catch (e) {
+      console.error('Load latest chat messages failed:', e);
+      return false;
+    }
+  }, [loadWindow]);
+
+  // Scroll to a message, loading the page around it when it isn't in the list
+  const jumpTo = useCallback(async (messageId) => {
+    if (!messageId) return;
+    const node = listRef.current?.querySelector(`[data-message-id="${CSS.escape(String(messageId))}"]`);
+    if (node) {
+      node.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      setHighlightId(String(messageId));
+      return;
+    }
+    try {
+      await loadWindow(messageId);
+    } catch (e) {
+      console.error('Jump to chat message failed:', e);
+    }
+  }, [loadWindow]);
+
+  // A new ?message= link while the room is already open
+  useEffect(() => {
+    if (!linkedId || roomKey == null || loading || handledLinkRef.current === linkedId) return;
+    handledLinkRef.current = linkedId;
+    jumpTo(linkedId);
+  }, [linkedId, roomKey, loading, jumpTo]);
+
+  // Load what was stored after the newest saved message in the list
+  const loadStored = useCallback(async () => {
+    const request = requestRef.current;
+    const newest = [...messagesRef.current].reverse().find(m => m.saved !== false);
+    try {
+      const page = await loadPage(newest ? { after: newest[idKey] } : {});
+      if (request !== requestRef.current) return;
+      const same = sameId(idKey);
+      setMessages(prev => [...prev, ...page.filter(m => !prev.some(p => same(p, m)))]);
+    } catch (e) {
+      console.error('Load new chat messages failed:', e);
+    }
+  }, [idKey, loadPage]);
+
+  // Add a live or just-sent message at the end. While an older window is shown, other people's
+  // messages are skipped (they load when scrolling down); your own brings back the latest page first.
+  // Live messages without a stored ID (the socket relay only forwards the text) are loaded from
+  // the server instead, so they come with their ID, attachments and reactions.
+  const append = useCallback(async (message, { own = false } = {}) => {
+    if (hasNewerRef.current) {
+      if (!own) return;
+      // Not loaded (failed, or the room changed meanwhile): don't add it to the wrong list
+      if (!(await jumpToLatest())) return;
+    }
+    if (!own && message.saved === false) {
+      await loadStored();
+      return;
+    }
+    if (own) scrollRef.current = { to: 'bottom' };
+    const same = sameId(idKey);
+    setMessages(prev => (prev.some(m => same(m, message)) ? prev : [...prev, message]));
+  }, [idKey, jumpToLatest, loadStored]);
+
+  return {
+    messages,
+    setMessages,
+    loading,
+    loadingMore,
+    hasOlder,
+    hasNewer,
+    highlightId,
+    listRef,
+    onScroll,
+    append,
+    jumpTo,
+    jumpToLatest,
+  };
+};
@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+import { deleteChatMessage, editChatMessage } from '../Api/chat';
+import { notifyError } from '../utils/notifications';
+import { extractMentionIds } from '../utils/mentions';
+
+// Sent by the server with the stored message after an edit or delete over REST (like reactionUpdated)
+export const CHAT_MESSAGE_UPDATED = 'chatMessageUpdated';
+
+const EDITABLE_FIELDS = ['text', 'editedAt', 'history', 'deleted', 'deletedBy', 'deletedAt'];
+
+// Edit/delete for a normalized chat message list (PublicChat, DepartmentChat).
+// Changes from other clients are applied in place; `normalize` maps the server message to list items.
+export const useChatMessageActions = (setMessages, normalize) => {
+  const { socket } = useSocket() || {};
+  const applyRef = useRef(null);
+
+  // Only the editable fields are merged so the existing sender/reactions stay as they are
+  const applyUpdate = (raw) => {
+    if (!raw) return;
+    const updated = normalize(raw);
+    const patch = Object.fromEntries(EDITABLE_FIELDS.map(key => [key, updated[key]]));
+    setMessages(prev => prev.map(m => (String(m.id) === String(updated.id) ? { ...m, ...patch } : m)));
+  };
+
+  useEffect(() => {
+    applyRef.current = applyUpdate;
+  });
+
+  useEffect(() => {
+    if (!socket || typeof socket.on !== 'function') return undefined;
+    const listener = (raw) => applyRef.current(raw);
+    socket.on(CHAT_MESSAGE_UPDATED, listener);
+    return () => socket.off(CHAT_MESSAGE_UPDATED, listener);
+  }, [socket]);
+
+  // Resolves to true once saved, so the caller can leave edit mode
+  const editMessage = async (messageId, text) => {
+    try {
+      applyUpdate(await editChatMessage(messageId, text, extractMentionIds(text)));
+      return true;
+    } catch (e) {
+      notifyError(e?.response?.data?.message || 'Failed to edit message');
+      return false;
+    }
+  };
+
+  const deleteMessage = async (messageId) => {
+    try {
+      applyUpdate(await deleteChatMessage(messageId));
+    } catch (e) {
+      notifyError(e?.response?.data?.message || 'Failed to delete message');
+    }
+  };
+
+  return { editMessage, deleteMessage };
+};
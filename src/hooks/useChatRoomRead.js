@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useAuth } from '../contexts/AuthContext';
+import { markRoomRead, roomClosed, roomOpened } from '../features/chat/chatReadSlice';
+
+const MARK_READ_DELAY = 800;
+
+// Read tracking for the chat room on screen (a chatRoomKey, null while none is open) with
+// normalized `messages`. Keeps the room out of the unread counts, moves the last-read position
+// to the newest message while the page is visible and `ready` (latest page shown), and returns
+// the first message that was unread when the room was opened, for the "Unread messages" divider.
+// The read positions themselves are loaded by ChatUnreadListener.
+export const useChatRoomRead = ({ room, messages, ready }) => {
+  const dispatch = useDispatch();
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+  const loaded = useSelector(state => state.chatRead.loaded);
+  const lastReadAt = useSelector(state => (room ? state.chatRead.rooms[room]?.lastReadAt || null : null));
+  const [openedAt, setOpenedAt] = useState({ room: null, lastReadAt: null });
+
+  // Position when the room was opened; later reads don't move the divider
+  useEffect(() => {
+    if (!room || !loaded) return;
+    setOpenedAt(prev => (prev.room === room ? prev : { room, lastReadAt }));
+  }, [room, loaded, lastReadAt]);
+
+  useEffect(() => {
+    if (!room) return undefined;
+    dispatch(roomOpened(room));
+    return () => dispatch(roomClosed(room));
+  }, [room, dispatch]);
+
+  let lastSavedId = null;
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    if (messages[i].saved) {
+      lastSavedId = messages[i].id;
+      break;
+    }
+  }
+
+  useEffect(() => {
+    if (!room || !ready || !lastSavedId) return undefined;
+    const mark = () => {
+      if (document.visibilityState === 'visible') dispatch(markRoomRead({ room, messageId: lastSavedId }));
+    };
+    const timer = setTimeout(mark, MARK_READ_DELAY);
+    document.addEventListener('visibilitychange', mark);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', mark);
+    };
+  }, [room, ready, lastSavedId, dispatch]);
+
+  const since = openedAt.room === room ? openedAt.lastReadAt : null;
+  const firstUnread = since
+    ? messages.find(m => m.saved && String(m.userId) !== String(myId) && new Date(m.createdAt) > new Date(since))
+    : null;
+
+  return { firstUnreadId: firstUnread?.id || null };
+};
@@ -0,0 +1,86 @@
+import { useRef, useState } from 'react';
+import { uploadChatAttachment } from '../Api/chat';
+import { notifyError } from '../utils/notifications';
+import { formatFileSize } from '../utils/attachments';
+
+export const MAX_CHAT_FILE_SIZE = 10 * 1024 * 1024;
+
+// Images, PDFs and office/text documents
+const ALLOWED_FILE = /^(image\/|application\/pdf$|application\/msword$|application\/vnd\.openxmlformats-officedocument\.|application\/vnd\.ms-(excel|powerpoint)$|text\/(plain|csv)$)/;
+export const CHAT_FILE_ACCEPT = 'image/*,.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt,.csv';
+
+let nextUploadId = 0;
+
+// Files attached to the message being composed. Each file starts uploading as soon as it is
+// added (picker, paste or drop); `attachments` holds the finished ones to send with the message.
+export const useChatUploads = () => {
+  const [items, setItems] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const dragDepth = useRef(0);
+
+  const update = (id, changes) =>
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+  const addFiles = (fileList) => {
+    Array.from(fileList || []).forEach(file => {
+      if (!ALLOWED_FILE.test(file.type)) {
+        notifyError(`${file.name}: only images, PDFs and documents can be shared`);
+        return;
+      }
+      if (file.size > MAX_CHAT_FILE_SIZE) {
+        notifyError(`${file.name} is larger than ${formatFileSize(MAX_CHAT_FILE_SIZE)}`);
+        return;
+      }
+
+      const id = ++nextUploadId;
+      setItems(prev => [...prev, { id, name: file.name, type: file.type, size: file.size, progress: 0 }]);
+      uploadChatAttachment(file, (progress) => update(id, { progress }))
+        .then(saved => update(id, { progress: 100, url: saved?.url }))
+        .catch(err => {
+          notifyError(err.response?.data?.message || `Failed to upload ${file.name}`);
+          setItems(prev => prev.filter(item => item.id !== id));
+        });
+    });
+  };
+
+  const remove = (id) => setItems(prev => prev.filter(item => item.id !== id));
+  const clear = () => setItems([]);
+
+  // Spread onto the chat box so files can be dropped anywhere on it
+  const dropProps = {
+    onDragEnter: (e) => {
+      if (!e.dataTransfer?.types?.includes('Files')) return;
+      dragDepth.current += 1;
+      setDragging(true);
+    },
+    onDragOver: (e) => {
+      if (e.dataTransfer?.types?.includes('Files')) e.preventDefault();
+    },
+    onDragLeave: () => {
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (dragDepth.current === 0) setDragging(false);
+    },
+    onDrop: (e) => {
+      if (!e.dataTransfer?.files?.length) return;
+      e.preventDefault();
+      dragDepth.current = 0;
+      setDragging(false);
+      addFiles(e.dataTransfer.files);
+    },
+  };
+
+  const attachments = items
+    .filter(item => item.url)
+    .map(({ url, name, type, size }) => ({ url, name, type, size }));
+
+  return {
+    items,
+    attachments,
+    uploading: items.some(item => !item.url),
+    addFiles,
+    remove,
+    clear,
+    dragging,
+    dropProps,
+  };
+};
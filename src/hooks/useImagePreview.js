@@ -0,0 +1,27 @@
+import { useState } from 'react';
+import { isImage } from '../utils/attachments';
+
+// State for ImageLightbox: openPreview(urls, startIndex) shows the images among `urls`,
+// starting from the one at `startIndex`; prevImg/nextImg wrap around.
+export const useImagePreview = () => {
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [previewUrls, setPreviewUrls] = useState([]);
+  const [previewIndex, setPreviewIndex] = useState(0);
+
+  const openPreview = (urls, startIndex = 0) => {
+    const onlyImages = urls.filter(isImage);
+    const images = onlyImages.length ? onlyImages : urls; // fallback if filter removed all due to query params
+    const start = images.indexOf(urls[startIndex]);
+    setPreviewUrls(images);
+    setPreviewIndex(start >= 0 ? start : Math.min(startIndex, images.length - 1));
+    setPreviewOpen(true);
+  };
+
+  const closePreview = () => setPreviewOpen(false);
+  const prevImg = () =>
+    setPreviewIndex((i) => (i === 0 ? previewUrls.length - 1 : i - 1));
+  const nextImg = () =>
+    setPreviewIndex((i) => (i === previewUrls.length - 1 ? 0 : i + 1));
+
+  return { previewOpen, previewUrls, previewIndex, openPreview, closePreview, prevImg, nextImg };
+};
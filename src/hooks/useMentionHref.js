@@ -0,0 +1,15 @@
+import { useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Profile link for a mentioned user: your own profile, or the admin/coordinator-only /users/:id page.
+// Returns null when the viewer can't open that profile, so the mention renders as a plain chip.
+export const useMentionHref = () => {
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+  const canViewProfiles = user?.role === 'admin' || user?.role === 'coordinator';
+
+  return useCallback((id) => {
+    if (String(id) === String(myId)) return '/profile';
+    return canViewProfiles ? `/users/${id}` : null;
+  }, [myId, canViewProfiles]);
+};
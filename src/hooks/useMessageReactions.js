@@ -0,0 +1,30 @@
+import { toggleMessageReaction } from '../Api/chat';
+import { useAuth } from '../contexts/AuthContext';
+import { notifyError } from '../utils/notifications';
+import { toggleReaction } from '../utils/reactions';
+import { useReactionEvents } from './useReactionEvents';
+
+// Reactions for a chat message list kept in `messages` state; `idKey` is the message ID field
+// ('_id' for raw messages, 'id' for the normalized ones in PublicChat/DepartmentChat).
+// Returns react(messageId, emoji), which toggles optimistically and keeps the list in sync.
+export const useMessageReactions = (messages, setMessages, idKey = '_id') => {
+  const { user } = useAuth();
+
+  const setReactions = (messageId, reactions) =>
+    setMessages(prev => prev.map(m => (String(m[idKey]) === String(messageId) ? { ...m, reactions } : m)));
+
+  useReactionEvents('message', (payload) => {
+    setReactions(payload.targetId, payload.reactions || []);
+  });
+
+  return async (messageId, emoji) => {
+    const previous = messages.find(m => String(m[idKey]) === String(messageId))?.reactions || [];
+    setReactions(messageId, toggleReaction(previous, emoji, user));
+    try {
+      setReactions(messageId, await toggleMessageReaction(messageId, emoji));
+    } catch (e) {
+      setReactions(messageId, previous);
+      notifyError(e?.response?.data?.message || 'Failed to update reaction');
+    }
+  };
+};
@@ -0,0 +1,21 @@
+import { useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import { selectNotificationPreferences } from '../features/notifications/notificationPreferencesSlice';
+import { isChannelEnabled, notificationEvent } from '../utils/notificationPreferences';
+
+// { preferences, allows(event, channel), allowsNotification(notification, channel) }
+// event is a key of NOTIFICATION_EVENTS; notifications from the server are matched by their type
+export const useNotificationPreferences = () => {
+  const preferences = useSelector(selectNotificationPreferences);
+
+  const allows = useCallback(
+    (event, channel) => isChannelEnabled(preferences, event, channel),
+    [preferences]
+  );
+  const allowsNotification = useCallback(
+    (notification, channel) => isChannelEnabled(preferences, notificationEvent(notification), channel),
+    [preferences]
+  );
+
+  return { preferences, allows, allowsNotification };
+};
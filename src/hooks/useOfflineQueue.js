@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react';
+import { listMutations, resolveConflict, subscribeQueue } from '../utils/offlineQueue';
+
+// Changes made offline that haven't reached the server yet: { pending, conflicts, resolve }.
+// `resolve(id, 'discard' | 'apply')` settles a conflict (see utils/offlineQueue.js).
+export const useOfflineQueue = () => {
+  const [mutations, setMutations] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      listMutations()
+        .then(list => { if (active) setMutations(list); })
+        .catch(() => {});
+    };
+    load();
+    const unsubscribe = subscribeQueue(load);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const resolve = useCallback((id, choice) => resolveConflict(id, choice), []);
+
+  return {
+    pending: mutations.filter(m => m.status === 'pending'),
+    conflicts: mutations.filter(m => m.status === 'conflict'),
+    resolve,
+  };
+};
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { OFFLINE_ONLINE, OFFLINE_SNAPSHOT } from '../utils/offline';
+
+// Whether the app is offline and, if the service worker served saved data meanwhile, the time
+// of the oldest snapshot on screen: { offline, snapshotAt }
+export const useOfflineStatus = () => {
+  const [offline, setOffline] = useState(() => !navigator.onLine);
+  const [snapshotAt, setSnapshotAt] = useState(null);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOffline(false);
+      setSnapshotAt(null);
+    };
+    const goOffline = () => setOffline(true);
+
+    const onMessage = (event) => {
+      if (event.data?.type === OFFLINE_SNAPSHOT) {
+        setOffline(true);
+        setSnapshotAt(prev => (prev && prev < event.data.savedAt ? prev : event.data.savedAt));
+      } else if (event.data?.type === OFFLINE_ONLINE) {
+        goOnline();
+      }
+    };
+
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    navigator.serviceWorker?.addEventListener('message', onMessage);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      navigator.serviceWorker?.removeEventListener('message', onMessage);
+    };
+  }, []);
+
+  return { offline, snapshotAt };
+};
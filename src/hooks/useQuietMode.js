@@ -0,0 +1,22 @@
+import { useEffect, useReducer } from 'react';
+import { useNotificationPreferences } from './useNotificationPreferences';
+import { nextQuietChange, quietReason, quietUntil } from '../utils/quietHours';
+
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout's limit (~24.8 days)
+
+// Whether notifications are held right now: { reason: 'dnd' | 'quietHours' | null, until }.
+// Re-renders when DND runs out or quiet hours start/end.
+export const useQuietMode = () => {
+  const { preferences } = useNotificationPreferences();
+  const [tick, refresh] = useReducer(n => n + 1, 0);
+
+  useEffect(() => {
+    const next = nextQuietChange(preferences);
+    if (!next) return undefined;
+    const timer = setTimeout(refresh, Math.min(next - Date.now() + 250, MAX_TIMEOUT));
+    return () => clearTimeout(timer);
+  }, [preferences, tick]);
+
+  const now = new Date();
+  return { reason: quietReason(preferences, now), until: quietUntil(preferences, now) };
+};
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+
+// Broadcast to the task/chat room whenever someone reacts:
+// { targetType: 'comment' | 'message', targetId, taskId?, reactions }
+export const REACTION_EVENT = 'reactionUpdated';
+
+// Subscribe to reaction changes for one kind of target; `handler` may change every render
+export const useReactionEvents = (targetType, handler) => {
+  const { socket } = useSocket() || {};
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!socket || typeof socket.on !== 'function') return undefined;
+
+    const listener = (payload) => {
+      if (payload?.targetType === targetType) handlerRef.current?.(payload);
+    };
+    socket.on(REACTION_EVENT, listener);
+    return () => socket.off(REACTION_EVENT, listener);
+  }, [socket, targetType]);
+};
@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Tracks IDs that changed in the last `duration` ms, for briefly highlighting live updates
+export const useRecentlyChanged = (duration = 3000) => {
+  const [changedIds, setChangedIds] = useState({});
+  const timersRef = useRef({});
+
+  const markChanged = useCallback((id) => {
+    if (!id) return;
+    clearTimeout(timersRef.current[id]);
+    setChangedIds(prev => ({ ...prev, [id]: true }));
+    timersRef.current[id] = setTimeout(() => {
+      delete timersRef.current[id];
+      setChangedIds(prev => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    }, duration);
+  }, [duration]);
+
+  useEffect(() => () => {
+    Object.values(timersRef.current).forEach(clearTimeout);
+  }, []);
+
+  const isChanged = useCallback((id) => Boolean(changedIds[id]), [changedIds]);
+
+  return { isChanged, markChanged };
+};
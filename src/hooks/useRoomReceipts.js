@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { fetchRoomReceipts } from '../Api/chat';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+
+// Sent to a room's members when someone's last-read position moves: { room, user, lastReadAt }
+export const CHAT_READ_EVENT = 'chat:read';
+
+const idOf = (user) => String(user?._id || user?.id || user);
+
+// "Seen by" for a room (a chatRoomKey): returns seenBy(message), the names of the other
+// members whose last-read position is at or past that message
+export const useRoomReceipts = (room) => {
+  const { socket } = useSocket() || {};
+  const { user } = useAuth();
+  const myId = String(user?._id || user?.id);
+  const [receipts, setReceipts] = useState([]);
+
+  useEffect(() => {
+    if (!room) {
+      setReceipts([]);
+      return undefined;
+    }
+    let active = true;
+    fetchRoomReceipts(room)
+      .then(list => { if (active) setReceipts(list); })
+      .catch(e => console.error('Load read receipts failed:', e));
+    return () => { active = false; };
+  }, [room]);
+
+  useEffect(() => {
+    if (!socket || typeof socket.on !== 'function' || !room) return undefined;
+
+    const onRead = (payload) => {
+      if (payload?.room !== room || !payload.user) return;
+      setReceipts(prev => [
+        ...prev.filter(r => idOf(r.user) !== idOf(payload.user)),
+        { user: payload.user, lastReadAt: payload.lastReadAt },
+      ]);
+    };
+
+    socket.on(CHAT_READ_EVENT, onRead);
+    return () => socket.off(CHAT_READ_EVENT, onRead);
+  }, [socket, room]);
+
+  return (message) => receipts
+    .filter(r => {
+      const readerId = idOf(r.user);
+      return readerId !== myId
+        && readerId !== String(message.userId)
+        && r.lastReadAt
+        && new Date(r.lastReadAt) >= new Date(message.createdAt);
+    })
+    .map(r => r.user?.name || 'Someone');
+};
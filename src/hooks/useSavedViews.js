@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Named query-string presets ("saved views"), stored per user in localStorage
+const storageKey = (scope, userId) => `savedViews:${scope}:${userId || 'anonymous'}`;
+
+const readViews = (key) => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+export const useSavedViews = (scope, userId) => {
+  const key = storageKey(scope, userId);
+  const [views, setViews] = useState(() => readViews(key));
+
+  // Another user logging in on the same browser gets their own list
+  useEffect(() => {
+    setViews(readViews(key));
+  }, [key]);
+
+  const update = useCallback((updater) => {
+    setViews(prev => {
+      const next = updater(prev);
+      localStorage.setItem(key, JSON.stringify(next));
+      return next;
+    });
+  }, [key]);
+
+  // Saving under an existing name replaces that view
+  const saveView = useCallback((name, query) => {
+    update(prev => {
+      const existing = prev.find(v => v.name.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        return prev.map(v => (v.id === existing.id ? { ...v, name, query } : v));
+      }
+      return [...prev, { id: Date.now().toString(36), name, query }];
+    });
+  }, [update]);
+
+  const deleteView = useCallback((id) => {
+    update(prev => prev.filter(v => v.id !== id));
+  }, [update]);
+
+  return { views, saveView, deleteView };
+};
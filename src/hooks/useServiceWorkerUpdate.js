@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+import { SW_UPDATE_READY, applyUpdate, hasWaitingUpdate } from '../utils/swUpdate';
+
+// Whether a new app version is installed and waiting: { updateReady, applyUpdate }
+export const useServiceWorkerUpdate = () => {
+  const [updateReady, setUpdateReady] = useState(hasWaitingUpdate);
+
+  useEffect(() => {
+    const onReady = () => setUpdateReady(true);
+    window.addEventListener(SW_UPDATE_READY, onReady);
+    return () => window.removeEventListener(SW_UPDATE_READY, onReady);
+  }, []);
+
+  return { updateReady, applyUpdate };
+};
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+
+// Socket events the backend emits for task changes
+export const TASK_EVENTS = {
+  onCreated: 'taskCreated',
+  onUpdated: 'taskUpdated',
+  onDeleted: 'taskDeleted',
+  onCommented: 'taskCommented',
+};
+
+// Subscribe to live task changes: useTaskEvents({ onCreated, onUpdated, onDeleted, onCommented })
+// Handlers can change every render; the socket listeners are only attached once per connection.
+export const useTaskEvents = (handlers) => {
+  const { socket } = useSocket() || {};
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!socket || typeof socket.on !== 'function') return undefined;
+
+    const listeners = Object.entries(TASK_EVENTS).map(([name, event]) => {
+      const listener = (payload) => handlersRef.current[name]?.(payload);
+      socket.on(event, listener);
+      return [event, listener];
+    });
+
+    return () => {
+      listeners.forEach(([event, listener]) => socket.off(event, listener));
+    };
+  }, [socket]);
+};
@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+
+const TYPING_THROTTLE = 3000; // min gap between "typing" pings
+const TYPING_IDLE = 4000;     // stop typing after this long without keystrokes
+const TYPING_EXPIRY = 6000;   // forget remote typists we haven't heard from
+
+// Joins the task's socket room while mounted and tracks who else is typing in it
+export const useTaskRoom = (taskId) => {
+  const { socket, connected } = useSocket() || {};
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const [typingUsers, setTypingUsers] = useState([]);
+  const expiryTimers = useRef({});
+  const lastPingRef = useRef(0);
+  const idleTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (!socket || !connected || !taskId) return undefined;
+
+    socket.emit('joinTask', String(taskId));
+
+    const removeTypist = (id) => {
+      clearTimeout(expiryTimers.current[id]);
+      delete expiryTimers.current[id];
+      setTypingUsers(prev => prev.filter(u => u._id !== id));
+    };
+
+    const onTyping = (payload) => {
+      const typist = payload?.user;
+      if (String(payload?.taskId) !== String(taskId) || !typist?._id || typist._id === userId) return;
+      if (!payload.typing) {
+        removeTypist(typist._id);
+        return;
+      }
+      setTypingUsers(prev => (prev.some(u => u._id === typist._id) ? prev : [...prev, typist]));
+      clearTimeout(expiryTimers.current[typist._id]);
+      expiryTimers.current[typist._id] = setTimeout(() => removeTypist(typist._id), TYPING_EXPIRY);
+    };
+
+    socket.on('taskTyping', onTyping);
+
+    const timers = expiryTimers.current;
+    return () => {
+      socket.off('taskTyping', onTyping);
+      socket.emit('leaveTask', String(taskId));
+      Object.values(timers).forEach(clearTimeout);
+      expiryTimers.current = {};
+      setTypingUsers([]);
+    };
+  }, [socket, connected, taskId, userId]);
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    if (!lastPingRef.current) return;
+    lastPingRef.current = 0;
+    socket?.emit('taskTyping', { taskId, typing: false });
+  }, [socket, taskId]);
+
+  // Call on every keystroke; pings are throttled and a stop is sent once the user goes idle
+  const notifyTyping = useCallback(() => {
+    if (!socket || !taskId) return;
+    const now = Date.now();
+    if (now - lastPingRef.current > TYPING_THROTTLE) {
+      lastPingRef.current = now;
+      socket.emit('taskTyping', { taskId, typing: true });
+    }
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE);
+  }, [socket, taskId, stopTyping]);
+
+  useEffect(() => () => clearTimeout(idleTimerRef.current), []);
+
+  return { typingUsers, notifyTyping, stopTyping };
+};
+
+// "Sam is typing…", "Sam and Alex are typing…", "3 people are typing…"
+export const describeTyping = (users = []) => {
+  if (users.length === 0) return '';
+  const names = users.map(u => u.name || 'Someone');
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return `${names.length} people are typing…`;
+};
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { startTimer, stopTimer } from '../features/timeTracking/timeTrackingSlice';
+import { useInterval } from './useInterval';
+import { notifyError, notifySuccess } from '../utils/notifications';
+import { formatDuration } from '../utils/time';
+
+const getTaskId = (entry) => (entry?.task && typeof entry.task === 'object' ? entry.task._id : entry?.task);
+
+// Start/stop timer for one task (the running timer itself is loaded by TimeTrackingListener). `onStopped(entry)` runs after a timer on this task is stopped.
+export const useTaskTimer = (taskId, { onStopped } = {}) => {
+  const dispatch = useDispatch();
+  const { activeEntry, isLoading } = useSelector(state => state.timeTracking);
+  const running = Boolean(activeEntry) && getTaskId(activeEntry) === taskId;
+  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+
+  const tick = useCallback(() => {
+    if (!activeEntry) return;
+    setElapsedSeconds((Date.now() - new Date(activeEntry.startedAt).getTime()) / 1000);
+  }, [activeEntry]);
+
+  useEffect(() => {
+    tick();
+  }, [tick]);
+  useInterval(tick, running ? 1000 : null);
+
+  const start = async () => {
+    const result = await dispatch(startTimer(taskId));
+    if (startTimer.rejected.match(result)) notifyError(result.payload);
+  };
+
+  const stop = async () => {
+    const result = await dispatch(stopTimer(taskId));
+    if (stopTimer.rejected.match(result)) {
+      notifyError(result.payload);
+      return;
+    }
+    notifySuccess(`Logged ${formatDuration(result.payload?.minutes)}`);
+    onStopped?.(result.payload);
+  };
+
+  return {
+    running,
+    elapsedSeconds: running ? elapsedSeconds : 0,
+    busy: isLoading,
+    start,
+    stop,
+    toggle: running ? stop : start,
+  };
+};
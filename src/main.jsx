@@ -9,15 +9,10 @@ import 'bootstrap/dist/css/bootstrap.min.css';
 import './styles/global.css';
 import './styles/variables.css';
 
-// Service Worker registration
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker
-      .register('/sw.js')
-      .then(reg => console.log('Service Worker registered:', reg.scope))
-      .catch(err => console.error('Service Worker registration failed:', err));
-  });
-}
+// Service Worker registration (and the "new version available" check)
+import { registerAppServiceWorker } from './utils/swUpdate';
+
+window.addEventListener('load', registerAppServiceWorker);
 
 // Redux
 import { Provider } from 'react-redux';
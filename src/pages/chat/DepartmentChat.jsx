@@ -1,36 +1,43 @@
-import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Layout from '../../components/common/Layout';
 import { Button, Form, ListGroup, Dropdown, Spinner, Badge } from 'react-bootstrap';
 import axiosInstance from '../../Api/axiosInstance';
 import { fetchDepartments } from '../../Api/departments';
+import { fetchDepartmentMessages } from '../../Api/chat';
 import { useSocket } from '../../contexts/SocketContext';
 import { useAuth } from '../../contexts/AuthContext';
-
-const normalizeMsg = (raw) => ({
-  id: raw._id || raw.id || `${Date.now()}_${Math.random()}`,
-  text: raw.message || raw.text || raw.msg || '',
-  userName: raw.sender?.name || raw.user || raw.senderName || 'Unknown',
-  userId: raw.sender?._id || raw.sender || raw.userId || null,
-  departmentId: raw.department?._id || raw.department || raw.departmentId || null,
-  createdAt: new Date(raw.createdAt || raw.timestamp || Date.now()).toISOString(),
-});
+import { extractMentionIds } from '../../utils/mentions';
+import { chatMessagePath, chatRoomKey, normalizeChatMessage as normalizeMsg, replaceOptimistic } from '../../utils/chatMessages';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import MentionInput from '../../components/common/MentionInput';
+import ChatMessage from '../../components/chat/ChatMessage';
+import ChatAttachButton from '../../components/chat/ChatAttachButton';
+import ChatUploadTray from '../../components/chat/ChatUploadTray';
+import ChatDropOverlay from '../../components/chat/ChatDropOverlay';
+import ChatHistoryStatus from '../../components/chat/ChatHistoryStatus';
+import ChatSearch from '../../components/chat/ChatSearch';
+import ChatUnreadDivider from '../../components/chat/ChatUnreadDivider';
+import ImageLightbox from '../../components/common/ImageLightbox';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useChatMessageActions } from '../../hooks/useChatMessageActions';
+import { useChatUploads } from '../../hooks/useChatUploads';
+import { useImagePreview } from '../../hooks/useImagePreview';
+import { useChatHistory } from '../../hooks/useChatHistory';
+import { useChatRoomRead } from '../../hooks/useChatRoomRead';
+import { useRoomReceipts } from '../../hooks/useRoomReceipts';
 
 const DepartmentChat = () => {
   const { socket, connected } = useSocket() || {};
   const { user } = useAuth();
   const myId = user?._id;
+  const [searchParams] = useSearchParams();
+  const linkedDeptId = searchParams.get('dept');
 
   const [departments, setDepartments] = useState([]);
   const [selectedDept, setSelectedDept] = useState(null);
-  const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [loadingDept, setLoadingDept] = useState(true);
-  const [loadingChat, setLoadingChat] = useState(false);
-  const endRef = useRef(null);
-
-  const scrollToBottom = useCallback(() => {
-    endRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, []);
 
   // Load departments
   useEffect(() => {
@@ -43,7 +50,9 @@ const DepartmentChat = () => {
         if (!active) return;
 
         setDepartments(list);
+        // A message link (?dept=&message=) opens its department, otherwise the user's own
         const preselect =
+          (linkedDeptId && list.find(d => String(d._id) === String(linkedDeptId))) ||
           list.find(d => String(d._id) === String(user?.department?._id || user?.department)) ||
           list[0];
         if (preselect) setSelectedDept(preselect);
@@ -54,35 +63,27 @@ const DepartmentChat = () => {
       }
     })();
     return () => { active = false; };
-  }, [user?.department]);
+  }, [user?.department, linkedDeptId]);
 
-  // Load messages for selected department
-  useEffect(() => {
-    let active = true;
-    const load = async () => {
-      if (!selectedDept?._id) return;
-      try {
-        setLoadingChat(true);
-        const res = await axiosInstance.get(`/chat/department/${selectedDept._id}`);
-        const list = Array.isArray(res.data?.data) ? res.data.data : [];
-        if (!active) return;
-        setMessages(list.map(normalizeMsg));
-      } catch (e) {
-        console.error('Load dept chat failed:', e);
-        if (active) setMessages([]);
-      } finally {
-        if (active) setLoadingChat(false);
-      }
-    };
-    load();
+  // Paged history for the selected department; ?message=<id> opens it at that message
+  const deptId = selectedDept?._id ? String(selectedDept._id) : null;
+  const history = useChatHistory({
+    roomKey: deptId,
+    fetchPage: (params) => fetchDepartmentMessages(deptId, params),
+    normalize: normalizeMsg,
+    linkedId: searchParams.get('message'),
+  });
+  const { messages, setMessages, loading: loadingChat, append, jumpTo } = history;
+  const room = deptId ? chatRoomKey(deptId) : null;
+  const { firstUnreadId } = useChatRoomRead({ room, messages, ready: !loadingChat && !history.hasNewer });
+  const seenBy = useRoomReceipts(room);
 
-    // join room on switch (provider also tries on connect; this keeps it in sync)
-    if (socket && typeof socket.emit === 'function' && selectedDept?._id) {
-      socket.emit('joinDepartment', String(selectedDept._id));
+  // join room on switch (provider also tries on connect; this keeps it in sync)
+  useEffect(() => {
+    if (socket && typeof socket.emit === 'function' && deptId) {
+      socket.emit('joinDepartment', deptId);
     }
-
-    return () => { active = false; };
-  }, [selectedDept?._id, socket]);
+  }, [deptId, socket]);
 
   // Live updates (filter by current department)
   useEffect(() => {
@@ -92,7 +93,7 @@ const DepartmentChat = () => {
       const msg = normalizeMsg(payload);
       if (!selectedDept?._id) return;
       if (String(msg.departmentId) === String(selectedDept._id)) {
-        setMessages((prev) => [...prev, msg]);
+        append(msg);
       }
     };
 
@@ -100,13 +101,23 @@ const DepartmentChat = () => {
     return () => {
       if (typeof socket.off === 'function') socket.off('newDepartmentMessage', onNew);
     };
-  }, [socket, selectedDept?._id]);
+  }, [socket, selectedDept?._id, append]);
 
-  useEffect(() => { scrollToBottom(); }, [messages, scrollToBottom]);
+  const react = useMessageReactions(messages, setMessages, 'id');
+  const { editMessage, deleteMessage } = useChatMessageActions(setMessages, normalizeMsg);
+  const canModerate = user?.role === 'admin' || user?.role === 'coordinator';
+  const uploads = useChatUploads();
+  const preview = useImagePreview();
+
+  const copyLink = (messageId) => {
+    navigator.clipboard?.writeText(`${window.location.origin}${chatMessagePath(messageId, deptId)}`)
+      .then(() => notifySuccess('Link copied'), () => notifyError('Could not copy the link'));
+  };
 
   const sendMessage = async () => {
     const text = input.trim();
-    if (!text || !selectedDept?._id) return;
+    const { attachments } = uploads;
+    if ((!text && attachments.length === 0) || uploads.uploading || !selectedDept?._id) return;
 
     // Optimistic UI
     const optimistic = normalizeMsg({
@@ -114,19 +125,28 @@ const DepartmentChat = () => {
       sender: myId,
       user: user?.name,
       department: selectedDept._id,
+      attachments,
       createdAt: new Date().toISOString(),
     });
-    setMessages((prev) => [...prev, optimistic]);
     setInput('');
+    uploads.clear();
+    await append(optimistic, { own: true });
 
     try {
       // Persist
-      await axiosInstance.post('/chat/department', {
+      const res = await axiosInstance.post('/chat/department', {
         message: text,
         department: selectedDept._id,
-        isPublic: false
+        isPublic: false,
+        mentions: extractMentionIds(text),
+        attachments
       });
-      // Broadcast
+      // Swap the optimistic copy for the stored message so it has a real ID (reactions need one)
+      const saved = res.data?.data;
+      if (saved?._id) {
+        setMessages((prev) => replaceOptimistic(prev, optimistic.id, normalizeMsg({ user: user?.name, ...saved })));
+      }
+      // Broadcast; other members load the stored copy (with its attachments) from the API
       if (socket && typeof socket.emit === 'function') {
         socket.emit('departmentMessage', { departmentId: String(selectedDept._id), msg: text });
       }
@@ -144,36 +164,41 @@ const DepartmentChat = () => {
   };
 
   const header = useMemo(() => (
-    <div className="d-flex align-items-center justify-content-between mb-2">
+    <div className="d-flex align-items-center justify-content-between gap-2 mb-2">
       <div className="d-flex align-items-center gap-2">
         <h4 className="mb-0">Department Chat</h4>
         <Badge bg={connected ? 'success' : 'secondary'}>{connected ? 'Online' : 'Offline'}</Badge>
       </div>
-      <Dropdown>
-        <Dropdown.Toggle size="sm" variant="outline-primary">
-          {selectedDept?.name || 'Select Department'}
-        </Dropdown.Toggle>
-        <Dropdown.Menu>
-          {departments.map((d) => (
-            <Dropdown.Item
-              key={d._id}
-              active={String(d._id) === String(selectedDept?._id)}
-              onClick={() => setSelectedDept(d)}
-            >
-              {d.name}
-            </Dropdown.Item>
-          ))}
-        </Dropdown.Menu>
-      </Dropdown>
+      <div className="d-flex align-items-center gap-2">
+        <ChatSearch scope="department" departmentId={deptId} onJump={jumpTo} />
+        <Dropdown>
+          <Dropdown.Toggle size="sm" variant="outline-primary">
+            {selectedDept?.name || 'Select Department'}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {departments.map((d) => (
+              <Dropdown.Item
+                key={d._id}
+                active={String(d._id) === String(selectedDept?._id)}
+                onClick={() => setSelectedDept(d)}
+              >
+                {d.name}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
     </div>
-  ), [connected, departments, selectedDept]);
+  ), [connected, departments, selectedDept, deptId, jumpTo]);
 
   return (
     <>
       {header}
 
-      <div style={{ height: 460, border: '1px solid #e0e0e0', borderRadius: 8, padding: 10, display: 'flex', flexDirection: 'column', background: '#fff' }}>
-        <ListGroup style={{ flexGrow: 1, overflowY: 'auto', marginBottom: 10 }}>
+      <div className="position-relative" {...uploads.dropProps} style={{ height: 460, border: '1px solid #e0e0e0', borderRadius: 8, padding: 10, display: 'flex', flexDirection: 'column', background: '#fff' }}>
+        <ChatDropOverlay show={uploads.dragging} />
+        <ChatHistoryStatus history={history} />
+        <ListGroup ref={history.listRef} onScroll={history.onScroll} style={{ flexGrow: 1, overflowY: 'auto', marginBottom: 10 }}>
           {loadingDept || loadingChat ? (
             <div className="d-flex justify-content-center align-items-center" style={{ height: 220 }}>
               <Spinner animation="border" />
@@ -184,37 +209,55 @@ const DepartmentChat = () => {
             messages.map((m) => {
               const mine = m.userId && myId ? String(m.userId) === String(myId) : (m.userName === user?.name);
               return (
-                <ListGroup.Item key={m.id} className="d-flex flex-column" style={{ border: 'none', borderBottom: '1px solid #f3f3f3' }}>
-                  <div className="d-flex justify-content-between">
-                    <strong style={{ color: mine ? '#1a2752' : '#333' }}>
-                      {m.userName}{mine ? ' (you)' : ''}
-                    </strong>
-                    <small className="text-muted">
-                      {new Date(m.createdAt).toLocaleTimeString()}
-                    </small>
-                  </div>
-                  <div>{m.text}</div>
-                </ListGroup.Item>
+                <React.Fragment key={m.id}>
+                  {m.id === firstUnreadId && <ChatUnreadDivider />}
+                  <ChatMessage
+                    message={m}
+                    mine={mine}
+                    canModerate={canModerate}
+                    onReact={react}
+                    onEdit={editMessage}
+                    onDelete={deleteMessage}
+                    onPreview={preview.openPreview}
+                    onCopyLink={copyLink}
+                    highlighted={history.highlightId === String(m.id)}
+                    seenBy={seenBy(m)}
+                  />
+                </React.Fragment>
               );
             })
           )}
-          <div ref={endRef} />
         </ListGroup>
 
-        <Form onSubmit={(e) => { e.preventDefault(); sendMessage(); }} className="d-flex gap-2">
-          <Form.Control
+        <ChatUploadTray uploads={uploads} />
+        <Form
+          onSubmit={(e) => { e.preventDefault(); sendMessage(); }}
+          onPaste={(e) => {
+            if (!e.clipboardData?.files?.length) return;
+            e.preventDefault();
+            uploads.addFiles(e.clipboardData.files);
+          }}
+          className="d-flex gap-2"
+        >
+          <ChatAttachButton uploads={uploads} disabled={!connected || !selectedDept?._id} />
+          <MentionInput
             type="text"
-            placeholder={connected ? 'Type a message…' : 'Reconnecting…'}
+            dropUp
+            placeholder={connected ? 'Type a message… (@ to mention)' : 'Reconnecting…'}
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKey}
             disabled={!connected || !selectedDept?._id}
           />
-          <Button type="submit" disabled={!connected || !selectedDept?._id || !input.trim()}>
+          <Button
+            type="submit"
+            disabled={!connected || !selectedDept?._id || uploads.uploading || (!input.trim() && uploads.attachments.length === 0)}
+          >
             Send
           </Button>
         </Form>
       </div>
+      <ImageLightbox {...preview} />
     </>
   );
 };
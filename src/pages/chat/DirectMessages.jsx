@@ -0,0 +1,307 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Badge, Button, Col, Form, ListGroup, Row, Spinner } from 'react-bootstrap';
+import { fetchConversationMessages, fetchConversations, markConversationRead } from '../../Api/chat';
+import { useSocket } from '../../contexts/SocketContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { extractMentionIds, stripMentions } from '../../utils/mentions';
+import { appendMessages, conversationTitle, normalizeChatMessage as normalizeMsg } from '../../utils/chatMessages';
+import { notifyError } from '../../utils/notifications';
+import MentionInput from '../../components/common/MentionInput';
+import ChatMessage from '../../components/chat/ChatMessage';
+import NewConversationModal from '../../components/chat/NewConversationModal';
+import ChatAttachButton from '../../components/chat/ChatAttachButton';
+import ChatUploadTray from '../../components/chat/ChatUploadTray';
+import ChatDropOverlay from '../../components/chat/ChatDropOverlay';
+import ImageLightbox from '../../components/common/ImageLightbox';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useChatMessageActions } from '../../hooks/useChatMessageActions';
+import { useChatUploads } from '../../hooks/useChatUploads';
+import { useImagePreview } from '../../hooks/useImagePreview';
+
+// Socket events, mirroring chat:dept:new / chat:dept:send
+const CONVERSATION_MESSAGE = 'chat:conv:new';
+const CONVERSATION_CREATED = 'chat:conv:created';
+
+// Move the conversation a message belongs to to the top, with that message as its preview
+const bumpConversation = (conversations, raw, { unread }) => {
+  const id = String(raw.conversation?._id || raw.conversation || raw.conversationId);
+  const current = conversations.find(c => String(c._id) === id);
+  if (!current) return conversations;
+  const updated = {
+    ...current,
+    lastMessage: raw,
+    updatedAt: raw.createdAt || new Date().toISOString(),
+    unreadCount: unread ? (current.unreadCount || 0) + 1 : current.unreadCount || 0,
+  };
+  return [updated, ...conversations.filter(c => c !== current)];
+};
+
+const DirectMessages = () => {
+  const { conversationId } = useParams();
+  const navigate = useNavigate();
+  const { socket, connected } = useSocket() || {};
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+
+  const [conversations, setConversations] = useState([]);
+  const [loadingList, setLoadingList] = useState(true);
+  const [messages, setMessages] = useState([]);
+  const [loadingChat, setLoadingChat] = useState(false);
+  const [input, setInput] = useState('');
+  const [showNew, setShowNew] = useState(false);
+  const endRef = useRef(null);
+  const handlersRef = useRef({});
+
+  const activeConversation = conversations.find(c => String(c._id) === String(conversationId)) || null;
+
+  const loadConversations = useCallback(async () => {
+    try {
+      setConversations(await fetchConversations());
+    } catch (e) {
+      console.error('Load conversations failed:', e);
+    } finally {
+      setLoadingList(false);
+    }
+  }, []);
+
+  useEffect(() => { loadConversations(); }, [loadConversations]);
+
+  // History for the open conversation; opening it also clears its unread count
+  useEffect(() => {
+    if (!conversationId) {
+      setMessages([]);
+      return undefined;
+    }
+    let active = true;
+    (async () => {
+      try {
+        setLoadingChat(true);
+        const list = await fetchConversationMessages(conversationId);
+        if (active) setMessages(list.map(normalizeMsg));
+      } catch (e) {
+        console.error('Load conversation failed:', e);
+        if (active) setMessages([]);
+      } finally {
+        if (active) setLoadingChat(false);
+      }
+    })();
+
+    setConversations(prev => prev.map(c => (String(c._id) === String(conversationId) ? { ...c, unreadCount: 0 } : c)));
+    markConversationRead(conversationId).catch(() => {});
+
+    return () => { active = false; };
+  }, [conversationId]);
+
+  const handleIncoming = (raw) => {
+    const msg = normalizeMsg(raw);
+    const isOpen = String(msg.conversationId) === String(conversationId);
+    const fromMe = String(msg.userId) === String(myId);
+
+    if (isOpen) {
+      setMessages(prev => appendMessages(prev, msg));
+      if (!fromMe) markConversationRead(conversationId).catch(() => {});
+    }
+    if (!conversations.some(c => String(c._id) === String(msg.conversationId))) {
+      loadConversations(); // someone started a conversation with us
+      return;
+    }
+    setConversations(prev => bumpConversation(prev, raw, { unread: !isOpen && !fromMe }));
+  };
+
+  useEffect(() => {
+    handlersRef.current = { handleIncoming, loadConversations };
+  });
+
+  // Live updates for every conversation, so unread counts move even when it isn't open
+  useEffect(() => {
+    if (!socket || typeof socket.on !== 'function') return undefined;
+
+    const onMessage = (raw) => handlersRef.current.handleIncoming(raw);
+    const onCreated = () => handlersRef.current.loadConversations();
+
+    socket.on(CONVERSATION_MESSAGE, onMessage);
+    socket.on(CONVERSATION_CREATED, onCreated);
+    return () => {
+      socket.off(CONVERSATION_MESSAGE, onMessage);
+      socket.off(CONVERSATION_CREATED, onCreated);
+    };
+  }, [socket]);
+
+  const react = useMessageReactions(messages, setMessages, 'id');
+  const { editMessage, deleteMessage } = useChatMessageActions(setMessages, normalizeMsg);
+  const uploads = useChatUploads();
+  const preview = useImagePreview();
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const send = () => {
+    const text = input.trim();
+    const { attachments } = uploads;
+    if (!socket || (!text && attachments.length === 0) || uploads.uploading || !conversationId) return;
+
+    socket.emit(
+      'chat:conv:send',
+      { conversationId, message: text, mentions: extractMentionIds(text), attachments },
+      (ack) => {
+        if (!ack?.ok) {
+          notifyError(ack?.error || 'Message not sent');
+          setInput(prev => prev || text);
+          return;
+        }
+        if (ack.message) handlersRef.current.handleIncoming(ack.message);
+      }
+    );
+    setInput('');
+    uploads.clear();
+  };
+
+  const handleCreated = (conversation) => {
+    setShowNew(false);
+    if (!conversation?._id) return;
+    setConversations(prev => (prev.some(c => c._id === conversation._id) ? prev : [conversation, ...prev]));
+    navigate(`/chat/direct/${conversation._id}`);
+  };
+
+  return (
+    <>
+      <div className="d-flex align-items-center justify-content-between mb-2">
+        <div className="d-flex align-items-center gap-2">
+          <h4 className="mb-0">Direct Messages</h4>
+          <Badge bg={connected ? 'success' : 'secondary'}>{connected ? 'Online' : 'Offline'}</Badge>
+        </div>
+        <Button size="sm" variant="outline-primary" onClick={() => setShowNew(true)}>
+          New conversation
+        </Button>
+      </div>
+
+      <Row className="g-2">
+        {/* Conversations sidebar (replaced by the open conversation on small screens) */}
+        <Col md={4} className={conversationId ? 'd-none d-md-block' : ''}>
+          <div style={{ height: 460, overflowY: 'auto', border: '1px solid #e0e0e0', borderRadius: 8, background: '#fff' }}>
+            {loadingList ? (
+              <div className="d-flex justify-content-center align-items-center" style={{ height: 220 }}>
+                <Spinner animation="border" />
+              </div>
+            ) : conversations.length === 0 ? (
+              <div className="p-3 text-muted">No conversations yet. Start one with "New conversation".</div>
+            ) : (
+              <ListGroup variant="flush">
+                {conversations.map(c => {
+                  const preview = c.lastMessage
+                    ? stripMentions(c.lastMessage.message || c.lastMessage.text || '') || (c.lastMessage.attachments?.length ? '📎 Attachment' : '')
+                    : 'No messages yet';
+                  return (
+                    <ListGroup.Item
+                      key={c._id}
+                      action
+                      active={String(c._id) === String(conversationId)}
+                      onClick={() => navigate(`/chat/direct/${c._id}`)}
+                      className="d-flex justify-content-between align-items-start gap-2"
+                    >
+                      <div style={{ minWidth: 0 }}>
+                        <div className="text-truncate fw-semibold">
+                          {conversationTitle(c, myId)}
+                          {c.isGroup && <Badge bg="secondary" className="ms-2">Group</Badge>}
+                        </div>
+                        <small className="d-block text-truncate opacity-75">{preview}</small>
+                      </div>
+                      {c.unreadCount > 0 && (
+                        <Badge pill bg="" style={{ backgroundColor: '#dc267f' }}>
+                          {c.unreadCount > 99 ? '99+' : c.unreadCount}
+                        </Badge>
+                      )}
+                    </ListGroup.Item>
+                  );
+                })}
+              </ListGroup>
+            )}
+          </div>
+        </Col>
+
+        {/* Open conversation */}
+        <Col md={8} className={conversationId ? '' : 'd-none d-md-block'}>
+          <div className="position-relative" {...(conversationId ? uploads.dropProps : {})} style={{ height: 460, border: '1px solid #e0e0e0', borderRadius: 8, padding: 10, display: 'flex', flexDirection: 'column', background: '#fff' }}>
+            {!conversationId ? (
+              <div className="m-auto text-muted">Select a conversation or start a new one</div>
+            ) : (
+              <>
+                <div className="d-flex align-items-center gap-2 mb-2">
+                  <Button variant="link" size="sm" className="d-md-none p-0" onClick={() => navigate('/chat/direct')}>
+                    ← Back
+                  </Button>
+                  <strong className="text-truncate">{conversationTitle(activeConversation, myId)}</strong>
+                  {activeConversation?.isGroup && (
+                    <small className="text-muted">{activeConversation.participants?.length || 0} people</small>
+                  )}
+                </div>
+
+                <ChatDropOverlay show={uploads.dragging} />
+                <ListGroup style={{ flexGrow: 1, overflowY: 'auto', marginBottom: 10 }}>
+                  {loadingChat ? (
+                    <div className="d-flex justify-content-center align-items-center" style={{ height: 220 }}>
+                      <Spinner animation="border" />
+                    </div>
+                  ) : messages.length === 0 ? (
+                    <ListGroup.Item className="text-muted">No messages yet</ListGroup.Item>
+                  ) : (
+                    messages.map((m) => (
+                      <ChatMessage
+                        key={m.id}
+                        message={m}
+                        mine={String(m.userId) === String(myId)}
+                        canModerate={false}
+                        onReact={react}
+                        onEdit={editMessage}
+                        onDelete={deleteMessage}
+                        onPreview={preview.openPreview}
+                      />
+                    ))
+                  )}
+                  <div ref={endRef} />
+                </ListGroup>
+
+                <ChatUploadTray uploads={uploads} />
+                <Form
+                  onSubmit={(e) => { e.preventDefault(); send(); }}
+                  onPaste={(e) => {
+                    if (!e.clipboardData?.files?.length) return;
+                    e.preventDefault();
+                    uploads.addFiles(e.clipboardData.files);
+                  }}
+                  className="d-flex gap-2"
+                >
+                  <ChatAttachButton uploads={uploads} disabled={!connected} />
+                  <MentionInput
+                    type="text"
+                    dropUp
+                    placeholder={connected ? 'Type a message… (@ to mention)' : 'Reconnecting…'}
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault();
+                        send();
+                      }
+                    }}
+                    disabled={!connected}
+                  />
+                  <Button type="submit" disabled={!connected || uploads.uploading || (!input.trim() && uploads.attachments.length === 0)}>
+                    Send
+                  </Button>
+                </Form>
+              </>
+            )}
+          </div>
+        </Col>
+      </Row>
+
+      <ImageLightbox {...preview} />
+      <NewConversationModal show={showNew} onHide={() => setShowNew(false)} onCreated={handleCreated} />
+    </>
+  );
+};
+
+export default DirectMessages;
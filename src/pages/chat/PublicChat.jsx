@@ -1,84 +1,100 @@
-import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Layout from '../../components/common/Layout';
 import { ListGroup, Form, Button, Badge, Spinner } from 'react-bootstrap';
 import axiosInstance from '../../Api/axiosInstance';
+import { fetchPublicMessages } from '../../Api/chat';
 import { useSocket } from '../../contexts/SocketContext';
 import { useAuth } from '../../contexts/AuthContext';
-
-const normalizeMsg = (raw) => ({
-  id: raw._id || raw.id || `${Date.now()}_${Math.random()}`,
-  text: raw.message || raw.text || raw.msg || '',
-  userName: raw.sender?.name || raw.user || raw.senderName || 'Unknown',
-  userId: raw.sender?._id || raw.sender || raw.userId || null,
-  createdAt: new Date(raw.createdAt || raw.timestamp || Date.now()).toISOString(),
-});
+import { extractMentionIds } from '../../utils/mentions';
+import { chatMessagePath, chatRoomKey, normalizeChatMessage as normalizeMsg, replaceOptimistic } from '../../utils/chatMessages';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import MentionInput from '../../components/common/MentionInput';
+import ChatMessage from '../../components/chat/ChatMessage';
+import ChatAttachButton from '../../components/chat/ChatAttachButton';
+import ChatUploadTray from '../../components/chat/ChatUploadTray';
+import ChatDropOverlay from '../../components/chat/ChatDropOverlay';
+import ChatHistoryStatus from '../../components/chat/ChatHistoryStatus';
+import ChatSearch from '../../components/chat/ChatSearch';
+import ChatUnreadDivider from '../../components/chat/ChatUnreadDivider';
+import ImageLightbox from '../../components/common/ImageLightbox';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useChatMessageActions } from '../../hooks/useChatMessageActions';
+import { useChatUploads } from '../../hooks/useChatUploads';
+import { useImagePreview } from '../../hooks/useImagePreview';
+import { useChatHistory } from '../../hooks/useChatHistory';
+import { useChatRoomRead } from '../../hooks/useChatRoomRead';
 
 const PublicChat = () => {
   const { socket, connected } = useSocket() || {};
   const { user } = useAuth();
-  const [messages, setMessages] = useState([]);
+  const [searchParams] = useSearchParams();
   const [input, setInput] = useState('');
-  const [loading, setLoading] = useState(true);
-  const endRef = useRef(null);
 
   const myId = user?._id;
-  const scrollToBottom = useCallback(() => {
-    endRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, []);
 
-  // Load history
-  useEffect(() => {
-    let active = true;
-    (async () => {
-      try {
-        setLoading(true);
-        const res = await axiosInstance.get('/chat/public');
-        const list = Array.isArray(res.data?.data) ? res.data.data : [];
-        if (!active) return;
-        setMessages(list.map(normalizeMsg));
-      } catch (e) {
-        console.error('Load public chat failed:', e);
-      } finally {
-        if (active) setLoading(false);
-      }
-    })();
-    return () => { active = false; };
-  }, []);
+  // Paged history; ?message=<id> opens the room at that message
+  const history = useChatHistory({
+    roomKey: 'public',
+    fetchPage: fetchPublicMessages,
+    normalize: normalizeMsg,
+    linkedId: searchParams.get('message'),
+  });
+  const { messages, setMessages, loading, append, jumpTo } = history;
+  const { firstUnreadId } = useChatRoomRead({ room: chatRoomKey(), messages, ready: !loading && !history.hasNewer });
 
   // Live updates
   useEffect(() => {
     if (!socket || typeof socket.on !== 'function') return;
 
     const onNew = (payload) => {
-      setMessages((prev) => [...prev, normalizeMsg(payload)]);
+      append(normalizeMsg(payload));
     };
 
     socket.on('newPublicMessage', onNew);
     return () => {
       if (typeof socket.off === 'function') socket.off('newPublicMessage', onNew);
     };
-  }, [socket]);
+  }, [socket, append]);
 
-  useEffect(() => { scrollToBottom(); }, [messages, scrollToBottom]);
+  const react = useMessageReactions(messages, setMessages, 'id');
+  const { editMessage, deleteMessage } = useChatMessageActions(setMessages, normalizeMsg);
+  const canModerate = user?.role === 'admin' || user?.role === 'coordinator';
+  const uploads = useChatUploads();
+  const preview = useImagePreview();
+
+  const copyLink = (messageId) => {
+    navigator.clipboard?.writeText(`${window.location.origin}${chatMessagePath(messageId)}`)
+      .then(() => notifySuccess('Link copied'), () => notifyError('Could not copy the link'));
+  };
 
   const sendMessage = async () => {
     const text = input.trim();
-    if (!text) return;
+    const { attachments } = uploads;
+    if ((!text && attachments.length === 0) || uploads.uploading) return;
 
     // Optimistic UI
     const optimistic = normalizeMsg({
       message: text,
       sender: myId,
       user: user?.name,
+      attachments,
       createdAt: new Date().toISOString(),
     });
-    setMessages((prev) => [...prev, optimistic]);
     setInput('');
+    uploads.clear();
+    await append(optimistic, { own: true });
 
     try {
       // Persist (REST) – public
-      await axiosInstance.post('/chat/public', { message: text, isPublic: true });
-      // Broadcast (Socket) – server already re-broadcasts to others
+      const res = await axiosInstance.post('/chat/public', { message: text, isPublic: true, mentions: extractMentionIds(text), attachments });
+      // Swap the optimistic copy for the stored message so it has a real ID (reactions need one)
+      const saved = res.data?.data;
+      if (saved?._id) {
+        setMessages((prev) => replaceOptimistic(prev, optimistic.id, normalizeMsg({ user: user?.name, ...saved })));
+      }
+      // Broadcast (Socket) – server already re-broadcasts to others, who load the stored copy
+      // (with its attachments) from the API
       if (socket && typeof socket.emit === 'function') {
         socket.emit('publicMessage', text);
       }
@@ -96,20 +112,25 @@ const PublicChat = () => {
   };
 
   const header = useMemo(() => (
-    <div className="d-flex align-items-center justify-content-between mb-2">
+    <div className="d-flex align-items-center justify-content-between gap-2 mb-2">
       <h4 className="mb-0">Public Chat</h4>
-      <Badge bg={connected ? 'success' : 'secondary'}>
-        {connected ? 'Online' : 'Offline'}
-      </Badge>
+      <div className="d-flex align-items-center gap-2">
+        <ChatSearch scope="public" onJump={jumpTo} />
+        <Badge bg={connected ? 'success' : 'secondary'}>
+          {connected ? 'Online' : 'Offline'}
+        </Badge>
+      </div>
     </div>
-  ), [connected]);
+  ), [connected, jumpTo]);
 
   return (
     <>
       {header}
 
-      <div style={{ height: 420, border: '1px solid #e0e0e0', borderRadius: 8, padding: 10, display: 'flex', flexDirection: 'column', background: '#fff' }}>
-        <ListGroup style={{ flexGrow: 1, overflowY: 'auto', marginBottom: 10 }}>
+      <div className="position-relative" {...uploads.dropProps} style={{ height: 420, border: '1px solid #e0e0e0', borderRadius: 8, padding: 10, display: 'flex', flexDirection: 'column', background: '#fff' }}>
+        <ChatDropOverlay show={uploads.dragging} />
+        <ChatHistoryStatus history={history} />
+        <ListGroup ref={history.listRef} onScroll={history.onScroll} style={{ flexGrow: 1, overflowY: 'auto', marginBottom: 10 }}>
           {loading ? (
             <div className="d-flex justify-content-center align-items-center" style={{ height: 200 }}>
               <Spinner animation="border" />
@@ -118,37 +139,51 @@ const PublicChat = () => {
             messages.map((m) => {
               const mine = m.userId && myId ? String(m.userId) === String(myId) : (m.userName === user?.name);
               return (
-                <ListGroup.Item key={m.id} className="d-flex flex-column" style={{ border: 'none', borderBottom: '1px solid #f3f3f3' }}>
-                  <div className="d-flex justify-content-between">
-                    <strong style={{ color: mine ? '#1a2752' : '#333' }}>
-                      {m.userName}{mine ? ' (you)' : ''}
-                    </strong>
-                    <small className="text-muted">
-                      {new Date(m.createdAt).toLocaleTimeString()}
-                    </small>
-                  </div>
-                  <div>{m.text}</div>
-                </ListGroup.Item>
+                <React.Fragment key={m.id}>
+                  {m.id === firstUnreadId && <ChatUnreadDivider />}
+                  <ChatMessage
+                    message={m}
+                    mine={mine}
+                    canModerate={canModerate}
+                    onReact={react}
+                    onEdit={editMessage}
+                    onDelete={deleteMessage}
+                    onPreview={preview.openPreview}
+                    onCopyLink={copyLink}
+                    highlighted={history.highlightId === String(m.id)}
+                  />
+                </React.Fragment>
               );
             })
           )}
-          <div ref={endRef} />
         </ListGroup>
 
-        <Form onSubmit={(e) => { e.preventDefault(); sendMessage(); }} className="d-flex gap-2">
-          <Form.Control
+        <ChatUploadTray uploads={uploads} />
+        <Form
+          onSubmit={(e) => { e.preventDefault(); sendMessage(); }}
+          onPaste={(e) => {
+            if (!e.clipboardData?.files?.length) return;
+            e.preventDefault();
+            uploads.addFiles(e.clipboardData.files);
+          }}
+          className="d-flex gap-2"
+        >
+          <ChatAttachButton uploads={uploads} disabled={!connected} />
+          <MentionInput
             type="text"
-            placeholder={connected ? 'Type a message…' : 'Reconnecting…'}
+            dropUp
+            placeholder={connected ? 'Type a message… (@ to mention)' : 'Reconnecting…'}
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKey}
             disabled={!connected}
           />
-          <Button type="submit" disabled={!connected || !input.trim()}>
+          <Button type="submit" disabled={!connected || uploads.uploading || (!input.trim() && uploads.attachments.length === 0)}>
             Send
           </Button>
         </Form>
       </div>
+      <ImageLightbox {...preview} />
     </>
   );
 };
@@ -57,6 +57,8 @@ import { fetchDashboardData } from '../../Api/dashboardApi';
 import axiosInstance from '../../Api/axiosInstance';
 import { notifyError, notifySuccess } from '../../utils/notifications';
 import { useNavigate } from 'react-router-dom';
+import { useTaskEvents } from '../../hooks/useTaskEvents';
+import { getEventTaskId, mergeTaskUpdate } from '../../utils/taskEvents';
 
 // Custom hook for debouncing
 const useDebounce = (callback, delay) => {
@@ -458,6 +460,33 @@ const Dashboard = () => {
     };
   }, [loadDashboard, loadActiveUsers]);
 
+  // Live task events: patch the recent tasks list right away, refresh the counts shortly after
+  const refreshAfterTaskEvent = useDebounce(useCallback(() => {
+    loadDashboard(false, true);
+  }, [loadDashboard]), 5000);
+
+  const patchRecentTasks = (update) => {
+    setDashboardData(prev => (prev ? { ...prev, recentTasks: update(prev.recentTasks || []) } : prev));
+    refreshAfterTaskEvent();
+  };
+
+  useTaskEvents({
+    onCreated: (task) => {
+      if (!task?._id) return;
+      patchRecentTasks(recent => (
+        recent.some(t => t._id === task._id) ? recent : [task, ...recent].slice(0, Math.max(recent.length, 1))
+      ));
+    },
+    onUpdated: (task) => {
+      if (!task?._id) return;
+      patchRecentTasks(recent => recent.map(t => (t._id === task._id ? mergeTaskUpdate(t, task) : t)));
+    },
+    onDeleted: (payload) => {
+      const taskId = getEventTaskId(payload);
+      patchRecentTasks(recent => recent.filter(t => t._id !== taskId));
+    },
+  });
+
   // Memoized values
   const {
     usersCount = 0,
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import Layout from '../../components/common/Layout';
+import { Link } from 'react-router-dom';
 import { Table, Spinner, Form, Button } from 'react-bootstrap';
 import { getTaskStatusCount, fetchUserReports, fetchDepartmentReports } from '../../Api/reports';
 import { notifyError } from '../../utils/notifications';
@@ -40,7 +41,10 @@ const TaskReports = () => {
 
   return (
     <Layout>
-      <h2>Task Reports</h2>
+      <div className="d-flex justify-content-between align-items-center">
+        <h2>Task Reports</h2>
+        <Link to="/reports/time">Time Reports</Link>
+      </div>
 
       <Form.Group className="mb-3" controlId="reportType">
         <Form.Label>Report Type</Form.Label>
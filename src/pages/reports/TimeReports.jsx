@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Table, Spinner, Form, Row, Col } from 'react-bootstrap';
+import { fetchTimeReport } from '../../Api/reports';
+import { fetchDepartments } from '../../Api/departments';
+import { notifyError } from '../../utils/notifications';
+import { formatDuration } from '../../utils/time';
+
+// Logged vs estimated time, grouped per user and per department
+const TimeReports = () => {
+  const [userRows, setUserRows] = useState([]);
+  const [departmentRows, setDepartmentRows] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState({ type: 'monthly', department: '' });
+
+  useEffect(() => {
+    fetchDepartments()
+      .then(setDepartments)
+      .catch(() => setDepartments([]));
+  }, []);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true);
+      try {
+        const res = await fetchTimeReport({
+          type: filter.type,
+          ...(filter.department ? { department: filter.department } : {}),
+        });
+        setUserRows(res.data?.users || []);
+        setDepartmentRows(res.data?.departments || []);
+      } catch {
+        notifyError('Failed to load time report');
+      }
+      setLoading(false);
+    };
+    fetchReport();
+  }, [filter]);
+
+  const handleFilterChange = (e) => {
+    setFilter({ ...filter, [e.target.name]: e.target.value });
+  };
+
+  // Logged time as a share of the estimate, e.g. "112%"; blank when nothing was estimated
+  const usage = (row) =>
+    row.estimatedMinutes > 0 ? `${Math.round((row.loggedMinutes / row.estimatedMinutes) * 100)}%` : '-';
+
+  return (
+    <>
+      <div className="d-flex justify-content-between align-items-center">
+        <h2>Time Reports</h2>
+        <Link to="/reports/tasks">Task Reports</Link>
+      </div>
+
+      <Row className="mb-3">
+        <Col sm={6} md={4}>
+          <Form.Group controlId="timeReportType">
+            <Form.Label>Period</Form.Label>
+            <Form.Select name="type" value={filter.type} onChange={handleFilterChange}>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col sm={6} md={4}>
+          <Form.Group controlId="timeReportDepartment">
+            <Form.Label>Department</Form.Label>
+            <Form.Select name="department" value={filter.department} onChange={handleFilterChange}>
+              <option value="">All departments</option>
+              {departments.map(d => (
+                <option key={d._id} value={d._id}>{d.name}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <Spinner animation="border" />
+      ) : (
+        <>
+          <h4>By User</h4>
+          <Table striped bordered hover responsive>
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Department</th>
+                <th>Tasks</th>
+                <th>Logged</th>
+                <th>Estimated</th>
+                <th>Used</th>
+              </tr>
+            </thead>
+            <tbody>
+              {userRows.length === 0 ? (
+                <tr><td colSpan="6">No data</td></tr>
+              ) : (
+                userRows.map(row => (
+                  <tr key={row.userId}>
+                    <td>{row.userName}</td>
+                    <td>{row.departmentName || '-'}</td>
+                    <td>{row.taskCount}</td>
+                    <td>{formatDuration(row.loggedMinutes)}</td>
+                    <td>{row.estimatedMinutes ? formatDuration(row.estimatedMinutes) : '-'}</td>
+                    <td>{usage(row)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+
+          <h4>By Department</h4>
+          <Table striped bordered hover responsive>
+            <thead>
+              <tr>
+                <th>Department</th>
+                <th>People</th>
+                <th>Tasks</th>
+                <th>Logged</th>
+                <th>Estimated</th>
+                <th>Used</th>
+              </tr>
+            </thead>
+            <tbody>
+              {departmentRows.length === 0 ? (
+                <tr><td colSpan="6">No data</td></tr>
+              ) : (
+                departmentRows.map(row => (
+                  <tr key={row.departmentId}>
+                    <td>{row.departmentName}</td>
+                    <td>{row.userCount}</td>
+                    <td>{row.taskCount}</td>
+                    <td>{formatDuration(row.loggedMinutes)}</td>
+                    <td>{row.estimatedMinutes ? formatDuration(row.estimatedMinutes) : '-'}</td>
+                    <td>{usage(row)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </>
+      )}
+    </>
+  );
+};
+
+export default TimeReports;
@@ -4,18 +4,13 @@ import { Form, Button, Container, Alert } from 'react-bootstrap';
 import axiosInstance from '../../Api/axiosInstance';
 import { notifySuccess, notifyError } from '../../utils/notifications';
 import { useAuth } from '../../contexts/AuthContext';
+import NotificationPreferences from '../../components/notifications/NotificationPreferences';
 
 const UserProfile = () => {
   const { user, setUser } = useAuth();
 
   // Profile form
   const [profile, setProfile] = useState({ name: '', email: '' });
-  // Notification prefs
-  const [notifications, setNotifications] = useState({
-    toast: true,
-    push: true,
-    sound: true,
-  });
   // Password form
   const [passwords, setPasswords] = useState({
     currentPassword: '',
@@ -29,7 +24,6 @@ const UserProfile = () => {
   useEffect(() => {
     if (user) {
       setProfile({ name: user.name, email: user.email });
-      // Ideally load notification prefs from user or localStorage here
     }
   }, [user]);
 
@@ -38,10 +32,6 @@ const UserProfile = () => {
     setProfile({ ...profile, [e.target.name]: e.target.value });
   };
 
-  const handleNotifChange = (e) => {
-    setNotifications({ ...notifications, [e.target.name]: e.target.checked });
-  };
-
   const handlePasswordChange = (e) => {
     setPasswords({ ...passwords, [e.target.name]: e.target.value });
   };
@@ -114,34 +104,13 @@ const UserProfile = () => {
             />
           </Form.Group>
 
-          <h5>Notifications</h5>
-          <Form.Check
-            type="checkbox"
-            label="Show toast notifications"
-            name="toast"
-            checked={notifications.toast}
-            onChange={handleNotifChange}
-          />
-          <Form.Check
-            type="checkbox"
-            label="Enable push notifications"
-            name="push"
-            checked={notifications.push}
-            onChange={handleNotifChange}
-          />
-          <Form.Check
-            type="checkbox"
-            label="Play notification sounds"
-            name="sound"
-            checked={notifications.sound}
-            onChange={handleNotifChange}
-          />
-
-          <Button variant="primary" type="submit" className="mt-3">
-            Save Profile & Preferences
+          <Button variant="primary" type="submit">
+            Save Profile
           </Button>
         </Form>
 
+        <NotificationPreferences />
+
         {/* Password Change Form */}
         <Form onSubmit={handlePasswordSubmit}>
           <h5>Change Password</h5>
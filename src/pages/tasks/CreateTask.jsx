@@ -10,18 +10,28 @@ import {
   Col,
   Card,
   Badge,
+  Modal,
 } from 'react-bootstrap';
 import { fetchDepartments } from '../../Api/departments';
 import { fetchUsers } from '../../Api/users';
 import { createTask } from '../../Api/tasks';
+import { fetchTaskTemplates, createTaskTemplate } from '../../Api/taskTemplates';
 import axiosInstance from '../../Api/axiosInstance';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { notifySuccess, notifyError } from '../../utils/notifications';
+import RecurrenceFields from '../../components/tasks/RecurrenceFields';
+import DependencyPicker from '../../components/tasks/DependencyPicker';
+import MarkdownEditor from '../../components/common/MarkdownEditor';
+import { toRecurrencePayload, validateRecurrence } from '../../utils/recurrence';
+import { buildTemplate, templateToTaskForm } from '../../utils/taskTemplates';
+import { getBlockedMessage } from '../../utils/taskDependencies';
+import { createSubtask, toSubtaskPayload } from '../../utils/subtasks';
 import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
 const TaskCreate = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
 
   // Color scheme extracted from your Layout component
   const colorScheme = {
@@ -52,8 +62,19 @@ const TaskCreate = () => {
     department: '',
     assignees: [],
     dueDate: '',
+    estimatedHours: '',
+    recurrence: null, // null = one-off task
+    subtasks: [],
+    dependencies: [], // tasks this one is blocked by
   });
 
+  // Templates
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [savingTemplate, setSavingTemplate] = useState(false);
+
   // Data lists
   const [departments, setDepartments] = useState([]);
   const [users, setUsers] = useState([]);
@@ -88,6 +109,79 @@ const TaskCreate = () => {
     loadData();
   }, []);
 
+  // Templates are optional - the form still works if they fail to load
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const list = await fetchTaskTemplates();
+        setTemplates(list || []);
+      } catch (err) {
+        console.error('Failed to load task templates:', err);
+      }
+    };
+    loadTemplates();
+  }, []);
+
+  // Prefill from /tasks/create?template=<id>
+  const templateParam = searchParams.get('template');
+  useEffect(() => {
+    if (!templateParam || templates.length === 0) return;
+    const template = templates.find(t => t._id === templateParam);
+    if (template) {
+      setSelectedTemplateId(template._id);
+      setForm(prev => ({ ...prev, ...templateToTaskForm(template) }));
+    }
+  }, [templateParam, templates]);
+
+  const applyTemplate = (templateId) => {
+    setSelectedTemplateId(templateId);
+    const template = templates.find(t => t._id === templateId);
+    if (template) {
+      setForm(prev => ({ ...prev, ...templateToTaskForm(template) }));
+      notifySuccess(`Template "${template.name}" applied`);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!templateName.trim()) return;
+    setSavingTemplate(true);
+    try {
+      const template = await createTaskTemplate(buildTemplate(templateName.trim(), form));
+      setTemplates(prev => [...prev, template]);
+      notifySuccess('Template saved');
+      setShowSaveTemplate(false);
+      setTemplateName('');
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  // Subtask management (same shape as EditTask)
+  const handleSubtaskChange = (index, field, value) => {
+    setForm(prev => {
+      const newSubtasks = [...prev.subtasks];
+      newSubtasks[index] = { ...newSubtasks[index], [field]: value };
+      return { ...prev, subtasks: newSubtasks };
+    });
+  };
+
+  const addSubtask = () => {
+    setForm(prev => ({
+      ...prev,
+      subtasks: [...prev.subtasks, createSubtask()],
+    }));
+  };
+
+  const removeSubtask = (index) => {
+    setForm(prev => {
+      const newSubtasks = [...prev.subtasks];
+      newSubtasks.splice(index, 1);
+      return { ...prev, subtasks: newSubtasks };
+    });
+  };
+
   // Handle form input changes
   const handleChange = (e) => {
     const { name, value, type, selectedOptions } = e.target;
@@ -146,9 +240,32 @@ const TaskCreate = () => {
       return;
     }
 
+    // Recurring tasks repeat from the first occurrence's due date
+    if (form.recurrence) {
+      const recurrenceError = form.dueDate
+        ? validateRecurrence(form.recurrence)
+        : 'Recurring tasks need a due date for the first occurrence';
+      if (recurrenceError) {
+        setError(recurrenceError);
+        return;
+      }
+    }
+
+    const blockedMessage = getBlockedMessage(form.dependencies, form.status);
+    if (blockedMessage) {
+      setError(`${blockedMessage} - keep the task pending until they are completed`);
+      return;
+    }
+
     try {
       // Create task first
-      const createdTask = await createTask(form);
+      const createdTask = await createTask({
+        ...form,
+        subtasks: toSubtaskPayload(form.subtasks),
+        estimatedHours: form.estimatedHours === '' ? null : Number(form.estimatedHours),
+        dependencies: form.dependencies.map(t => t._id),
+        recurrence: toRecurrencePayload(form.recurrence),
+      });
       toast.success('Task created and assignees notified!');
       notifySuccess('Task created successfully');
 
@@ -252,6 +369,36 @@ const TaskCreate = () => {
                 </Alert>
               )}
 
+              {/* Template picker */}
+              <div
+                className="d-flex flex-column flex-sm-row gap-2 align-items-sm-center mb-4 p-3 border rounded"
+                style={{ backgroundColor: `${colorScheme.primary}08` }}
+              >
+                <Form.Label className="fw-semibold mb-0 text-nowrap" htmlFor="templatePicker">
+                  <i className="fas fa-clone me-2" style={{ color: colorScheme.secondary }}></i>
+                  Start from template
+                </Form.Label>
+                <Form.Select
+                  id="templatePicker"
+                  value={selectedTemplateId}
+                  onChange={(e) => applyTemplate(e.target.value)}
+                  disabled={templates.length === 0}
+                >
+                  <option value="">{templates.length ? 'Choose a template…' : 'No templates yet'}</option>
+                  {templates.map(t => (
+                    <option key={t._id} value={t._id}>{t.name}</option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="link"
+                  className="text-nowrap p-0"
+                  style={{ color: colorScheme.secondary }}
+                  onClick={() => navigate('/tasks/templates')}
+                >
+                  Manage
+                </Button>
+              </div>
+
               <Form onSubmit={handleSubmit}>
                 {/* Basic Information Section */}
                 <div className="mb-4">
@@ -290,21 +437,12 @@ const TaskCreate = () => {
                     <Col md={12} className="mb-3">
                       <Form.Group controlId="description">
                         <Form.Label className="fw-semibold">Description</Form.Label>
-                        <Form.Control
-                          as="textarea"
-                          rows={4}
+                        {/* Image paste needs a task ID for the attachments upload, so it's only offered in EditTask */}
+                        <MarkdownEditor
                           name="description"
                           value={form.description}
                           onChange={handleChange}
-                          placeholder="Describe the task in detail..."
-                          style={{ 
-                            resize: 'vertical',
-                            borderColor: colorScheme.light,
-                            borderWidth: '2px',
-                            transition: 'all 0.2s ease'
-                          }}
-                          onFocus={(e) => e.target.style.borderColor = colorScheme.primary}
-                          onBlur={(e) => e.target.style.borderColor = colorScheme.light}
+                          placeholder="Describe the task in detail... (Markdown: **bold**, - [ ] checklist, `code`, [link](https://...))"
                         />
                       </Form.Group>
                     </Col>
@@ -510,9 +648,124 @@ const TaskCreate = () => {
                         />
                       </Form.Group>
                     </Col>
+                    <Col md={6} className="mb-3">
+                      <Form.Group controlId="estimatedHours">
+                        <Form.Label className="fw-semibold">
+                          <i className="fas fa-hourglass-half me-1"></i>
+                          Estimated Time (hours)
+                        </Form.Label>
+                        <Form.Control
+                          type="number"
+                          name="estimatedHours"
+                          min={0}
+                          step={0.25}
+                          placeholder="e.g. 4"
+                          value={form.estimatedHours}
+                          onChange={handleChange}
+                        />
+                      </Form.Group>
+                    </Col>
                   </Row>
                 </div>
 
+                {/* Subtasks Section */}
+                <div className="mb-4">
+                  <h5 
+                    className="border-bottom pb-2 mb-3"
+                    style={{ color: colorScheme.dark, borderColor: `${colorScheme.primary}40` }}
+                  >
+                    <i className="fas fa-tasks me-2"></i>
+                    Subtasks ({form.subtasks.length})
+                  </h5>
+
+                  {form.subtasks.map((subtask, idx) => (
+                    <div key={idx} className="d-flex flex-wrap flex-md-nowrap gap-2 mb-2">
+                      <Form.Control
+                        type="text"
+                        placeholder="Enter subtask title"
+                        value={subtask.title}
+                        onChange={(e) => handleSubtaskChange(idx, 'title', e.target.value)}
+                      />
+                      <Form.Select
+                        value={subtask.assignee}
+                        onChange={(e) => handleSubtaskChange(idx, 'assignee', e.target.value)}
+                        style={{ maxWidth: 200 }}
+                        title="Subtask assignee"
+                      >
+                        <option value="">Unassigned</option>
+                        {form.assignees.map(userId => (
+                          <option key={userId} value={userId}>{getUserName(userId)}</option>
+                        ))}
+                      </Form.Select>
+                      <Form.Control
+                        type="date"
+                        value={subtask.dueDate}
+                        min={new Date().toISOString().split('T')[0]}
+                        max={form.dueDate || undefined}
+                        onChange={(e) => handleSubtaskChange(idx, 'dueDate', e.target.value)}
+                        style={{ maxWidth: 170 }}
+                        title="Subtask due date"
+                      />
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => removeSubtask(idx)}
+                        title="Remove Subtask"
+                      >
+                        <i className="fas fa-trash"></i>
+                      </Button>
+                    </div>
+                  ))}
+
+                  <Button 
+                    variant="outline-secondary" 
+                    onClick={addSubtask}
+                    className="w-100"
+                    style={{ 
+                      borderColor: colorScheme.secondary,
+                      color: colorScheme.secondary,
+                      borderStyle: 'dashed'
+                    }}
+                  >
+                    <i className="fas fa-plus me-2"></i>
+                    Add Subtask
+                  </Button>
+                </div>
+
+                {/* Dependencies Section */}
+                <div className="mb-4">
+                  <h5 
+                    className="border-bottom pb-2 mb-3"
+                    style={{ color: colorScheme.dark, borderColor: `${colorScheme.primary}40` }}
+                  >
+                    <i className="fas fa-project-diagram me-2"></i>
+                    Dependencies ({form.dependencies.length})
+                  </h5>
+
+                  <DependencyPicker
+                    value={form.dependencies}
+                    onChange={(dependencies) => setForm(prev => ({ ...prev, dependencies }))}
+                    accentColor={colorScheme.secondary}
+                  />
+                </div>
+
+                {/* Recurrence Section */}
+                <div className="mb-4">
+                  <h5 
+                    className="border-bottom pb-2 mb-3"
+                    style={{ color: colorScheme.dark, borderColor: `${colorScheme.primary}40` }}
+                  >
+                    <i className="fas fa-redo me-2"></i>
+                    Recurrence
+                  </h5>
+
+                  <RecurrenceFields
+                    value={form.recurrence}
+                    onChange={(recurrence) => setForm(prev => ({ ...prev, recurrence }))}
+                    accentColor={colorScheme.secondary}
+                  />
+                </div>
+
                 {/* Attachments Section */}
                 <div className="mb-4">
                   <h5 
@@ -634,10 +887,24 @@ const TaskCreate = () => {
                     <i className="fas fa-arrow-left me-2"></i>
                     Cancel
                   </Button>
+
+                  <Button
+                    variant="outline-secondary"
+                    onClick={() => {
+                      setTemplateName(form.title);
+                      setShowSaveTemplate(true);
+                    }}
+                    disabled={!form.title.trim()}
+                    className="order-3 order-sm-2"
+                    style={{ borderColor: colorScheme.primary, color: colorScheme.primary }}
+                  >
+                    <i className="fas fa-save me-2"></i>
+                    Save as Template
+                  </Button>
                   
                   <Button
                     type="submit"
-                    className="order-1 order-sm-2"
+                    className="order-1 order-sm-3"
                     style={{ 
                       background: colorScheme.gradient,
                       borderColor: colorScheme.primary,
@@ -662,6 +929,41 @@ const TaskCreate = () => {
           </Card>
         </Col>
       </Row>
+
+      {/* Save as template */}
+      <Modal show={showSaveTemplate} onHide={() => setShowSaveTemplate(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title style={{ color: colorScheme.dark }}>Save as Template</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group controlId="templateName">
+            <Form.Label className="fw-semibold">Template name</Form.Label>
+            <Form.Control
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder="e.g. Weekly site inspection"
+              autoFocus
+            />
+            <Form.Text className="text-muted">
+              Title, description, priority, department, assignees, subtasks and repeat settings are saved.
+              The due date is stored relative to today.
+            </Form.Text>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="outline-secondary" onClick={() => setShowSaveTemplate(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSaveTemplate}
+            disabled={!templateName.trim() || savingTemplate}
+            style={{ background: colorScheme.gradient, borderColor: colorScheme.primary }}
+          >
+            {savingTemplate ? <Spinner animation="border" size="sm" /> : 'Save Template'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 };
@@ -1,10 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { Form, Button, Container, Spinner, Alert, Row, Col, ProgressBar, Card, Badge, Dropdown } from 'react-bootstrap';
-import { fetchTaskById, updateTask } from '../../Api/tasks';
+import { fetchTaskById, fetchTaskDependencies, updateTask, uploadTaskImages } from '../../Api/tasks';
 import { fetchDepartments } from '../../Api/departments';
 import { fetchUsers } from '../../Api/users';
 import { useParams, useNavigate } from 'react-router-dom';
 import { notifySuccess, notifyError } from '../../utils/notifications';
+import RecurrenceFields from '../../components/tasks/RecurrenceFields';
+import DependencyPicker from '../../components/tasks/DependencyPicker';
+import MarkdownEditor from '../../components/common/MarkdownEditor';
+import { fromRecurrencePayload, toRecurrencePayload, validateRecurrence } from '../../utils/recurrence';
+import { getBlockedMessage } from '../../utils/taskDependencies';
+import { computeSubtaskProgress, createSubtask, normalizeSubtask, toSubtaskPayload } from '../../utils/subtasks';
 
 const EditTask = () => {
   const { id } = useParams();
@@ -32,10 +38,20 @@ const EditTask = () => {
     department: '',
     assignees: [], // Multiple assignees array
     dueDate: '',
+    estimatedHours: '',
     progress: 0,
     subtasks: [],
+    recurrence: null,
+    dependencies: [], // tasks this one is blocked by
   });
 
+  // Tasks waiting on this one - they can't also be picked as blockers
+  const [blockedTaskIds, setBlockedTaskIds] = useState([]);
+
+  // For tasks that belong to a recurring series: apply edits to 'this' occurrence or 'future' ones
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [recurrenceScope, setRecurrenceScope] = useState('this');
+
   const [departments, setDepartments] = useState([]);
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -83,13 +99,15 @@ const EditTask = () => {
           department: taskData.department?._id || '',
           assignees: assigneesArray,
           dueDate: taskData.dueDate ? taskData.dueDate.slice(0, 10) : '',
+          estimatedHours: taskData.estimatedHours ?? '',
           progress: taskData.progress || 0,
-          subtasks: taskData.subtasks?.map(st => ({
-            _id: st._id || null,
-            title: st.title || '',
-            progress: st.progress || 0,
-          })) || [],
+          subtasks: (taskData.subtasks || []).map(normalizeSubtask),
+          recurrence: fromRecurrencePayload(taskData.recurrence),
+          dependencies: (taskData.dependencies || []).map(dep =>
+            typeof dep === 'object' ? dep : { _id: dep, title: '', status: '' }
+          ),
         });
+        setIsRecurring(Boolean(taskData.recurrence));
         
         setDepartments(deptList);
         setUsers(userList);
@@ -105,6 +123,20 @@ const EditTask = () => {
     loadData();
   }, [id]);
 
+  // Dependency titles/statuses and the reverse "blocks" list come from a separate endpoint
+  useEffect(() => {
+    const loadDependencies = async () => {
+      try {
+        const { blockedBy = [], blocks = [] } = await fetchTaskDependencies(id);
+        setForm(prev => ({ ...prev, dependencies: blockedBy }));
+        setBlockedTaskIds(blocks.map(t => t._id));
+      } catch (err) {
+        console.error('Failed to load task dependencies:', err);
+      }
+    };
+    loadDependencies();
+  }, [id]);
+
   const handleChange = (e) => {
     const { name, value, type, selectedOptions } = e.target;
     
@@ -155,11 +187,7 @@ const EditTask = () => {
   const handleSubtaskChange = (index, field, value) => {
     setForm(prev => {
       const newSubtasks = [...prev.subtasks];
-      if (field === 'progress') {
-        newSubtasks[index][field] = Math.min(100, Math.max(0, Number(value)));
-      } else {
-        newSubtasks[index][field] = value;
-      }
+      newSubtasks[index] = { ...newSubtasks[index], [field]: value };
       return { ...prev, subtasks: newSubtasks };
     });
   };
@@ -167,10 +195,13 @@ const EditTask = () => {
   const addSubtask = () => {
     setForm(prev => ({
       ...prev,
-      subtasks: [...prev.subtasks, { title: '', progress: 0 }],
+      subtasks: [...prev.subtasks, createSubtask()],
     }));
   };
 
+  // With subtasks, overall progress follows the checklist instead of the manual field
+  const subtaskProgress = computeSubtaskProgress(form.subtasks);
+
   const removeSubtask = (index) => {
     setForm(prev => {
       const newSubtasks = [...prev.subtasks];
@@ -207,6 +238,23 @@ const EditTask = () => {
       }
     }
 
+    // Recurring tasks repeat from the first occurrence's due date
+    if (form.recurrence) {
+      const recurrenceError = form.dueDate
+        ? validateRecurrence(form.recurrence)
+        : 'Recurring tasks need a due date for the first occurrence';
+      if (recurrenceError) {
+        setError(recurrenceError);
+        return;
+      }
+    }
+
+    const blockedMessage = getBlockedMessage(form.dependencies, form.status);
+    if (blockedMessage) {
+      setError(`${blockedMessage} - keep the task pending until they are completed`);
+      return;
+    }
+
     try {
       console.log('📤 Submitting form data:', form);
       
@@ -214,9 +262,20 @@ const EditTask = () => {
       const updateData = {
         ...form,
         // Ensure assignees is always an array
-        assignees: Array.isArray(form.assignees) ? form.assignees : [form.assignees].filter(Boolean)
+        assignees: Array.isArray(form.assignees) ? form.assignees : [form.assignees].filter(Boolean),
+        subtasks: toSubtaskPayload(form.subtasks),
+        progress: subtaskProgress ?? form.progress,
+        estimatedHours: form.estimatedHours === '' ? null : Number(form.estimatedHours),
+        dependencies: form.dependencies.map(t => t._id),
+        recurrence: toRecurrencePayload(form.recurrence)
       };
 
+      // Editing a single occurrence leaves the series rule alone
+      if (isRecurring) {
+        updateData.recurrenceScope = recurrenceScope;
+        if (recurrenceScope === 'this') delete updateData.recurrence;
+      }
+
       console.log('📤 Update data:', updateData);
       
       await updateTask(id, updateData);
@@ -307,14 +366,12 @@ const EditTask = () => {
                   {/* Description */}
                   <Form.Group className="mb-3" controlId="description">
                     <Form.Label className="fw-semibold">Description</Form.Label>
-                    <Form.Control
-                      as="textarea"
-                      rows={4}
+                    <MarkdownEditor
                       name="description"
                       value={form.description}
                       onChange={handleChange}
-                      placeholder="Describe the task in detail..."
-                      style={{ resize: 'vertical' }}
+                      onPasteImages={(images) => uploadTaskImages(id, images)}
+                      placeholder="Describe the task in detail... (Markdown: **bold**, - [ ] checklist, `code`, [link](https://...))"
                     />
                   </Form.Group>
                 </div>
@@ -520,9 +577,87 @@ const EditTask = () => {
                         />
                       </Form.Group>
                     </Col>
+                    <Col md={6} className="mb-3">
+                      <Form.Group controlId="estimatedHours">
+                        <Form.Label className="fw-semibold">
+                          <i className="fas fa-hourglass-half me-1"></i>
+                          Estimated Time (hours)
+                        </Form.Label>
+                        <Form.Control
+                          type="number"
+                          name="estimatedHours"
+                          min={0}
+                          step={0.25}
+                          placeholder="e.g. 4"
+                          value={form.estimatedHours}
+                          onChange={handleChange}
+                        />
+                      </Form.Group>
+                    </Col>
                   </Row>
                 </div>
 
+                {/* Dependencies Section */}
+                <div className="mb-4">
+                  <h5 
+                    className="border-bottom pb-2 mb-3"
+                    style={{ color: colorScheme.dark, borderColor: `${colorScheme.primary}40` }}
+                  >
+                    <i className="fas fa-project-diagram me-2"></i>
+                    Dependencies ({form.dependencies.length})
+                  </h5>
+
+                  <DependencyPicker
+                    value={form.dependencies}
+                    onChange={(dependencies) => setForm(prev => ({ ...prev, dependencies }))}
+                    excludeIds={[id, ...blockedTaskIds]}
+                    accentColor={colorScheme.secondary}
+                  />
+                </div>
+
+                {/* Recurrence Section */}
+                <div className="mb-4">
+                  <h5 
+                    className="border-bottom pb-2 mb-3"
+                    style={{ color: colorScheme.dark, borderColor: `${colorScheme.primary}40` }}
+                  >
+                    <i className="fas fa-redo me-2"></i>
+                    Recurrence
+                  </h5>
+
+                  {isRecurring && (
+                    <div className="p-3 mb-3 border rounded" style={{ backgroundColor: `${colorScheme.primary}08` }}>
+                      <Form.Label className="fw-semibold d-block">This task is part of a recurring series. Apply changes to:</Form.Label>
+                      <Form.Check
+                        type="radio"
+                        id="recurrence-scope-this"
+                        label="This occurrence only"
+                        checked={recurrenceScope === 'this'}
+                        onChange={() => setRecurrenceScope('this')}
+                      />
+                      <Form.Check
+                        type="radio"
+                        id="recurrence-scope-future"
+                        label="This and all future occurrences"
+                        checked={recurrenceScope === 'future'}
+                        onChange={() => setRecurrenceScope('future')}
+                      />
+                      {recurrenceScope === 'this' && (
+                        <Form.Text className="text-muted">
+                          Switch to "all future occurrences" to change the repeat schedule.
+                        </Form.Text>
+                      )}
+                    </div>
+                  )}
+
+                  <RecurrenceFields
+                    value={form.recurrence}
+                    onChange={(recurrence) => setForm(prev => ({ ...prev, recurrence }))}
+                    disabled={isRecurring && recurrenceScope === 'this'}
+                    accentColor={colorScheme.secondary}
+                  />
+                </div>
+
                 {/* Progress Section */}
                 <div className="mb-4">
                   <h5 
@@ -540,13 +675,19 @@ const EditTask = () => {
                       min={0}
                       max={100}
                       name="progress"
-                      value={form.progress}
+                      value={subtaskProgress ?? form.progress}
                       onChange={handleChange}
+                      disabled={subtaskProgress !== null}
                       placeholder="Enter progress percentage"
                     />
+                    {subtaskProgress !== null && (
+                      <Form.Text className="text-muted">
+                        Calculated from completed subtasks
+                      </Form.Text>
+                    )}
                     <ProgressBar
-                      now={form.progress}
-                      label={`${form.progress}%`}
+                      now={subtaskProgress ?? form.progress}
+                      label={`${subtaskProgress ?? form.progress}%`}
                       className="mt-2"
                       variant="success"
                       style={{ height: '25px' }}
@@ -561,41 +702,52 @@ const EditTask = () => {
                     style={{ color: colorScheme.dark, borderColor: `${colorScheme.primary}40` }}
                   >
                     <i className="fas fa-tasks me-2"></i>
-                    Subtasks ({form.subtasks.length})
+                    Subtasks ({form.subtasks.filter(st => st.done).length}/{form.subtasks.length} done)
                   </h5>
                   
                   {form.subtasks.map((subtask, idx) => (
                     <Card key={idx} className="mb-3 border" style={{ borderColor: `${colorScheme.primary}20` }}>
                       <Card.Body className="p-3">
-                        <Row className="align-items-center">
-                          <Col xs={12} md={6} className="mb-2 mb-md-0">
+                        <Row className="align-items-end">
+                          <Col xs={12} md={5} className="mb-2 mb-md-0">
                             <Form.Label className="fw-semibold mb-1">Subtask Title</Form.Label>
-                            <Form.Control
-                              type="text"
-                              placeholder="Enter subtask title"
-                              value={subtask.title}
-                              onChange={(e) => handleSubtaskChange(idx, 'title', e.target.value)}
-                              required
-                            />
+                            <div className="d-flex align-items-center gap-2">
+                              <Form.Check
+                                type="checkbox"
+                                id={`subtask-done-${idx}`}
+                                checked={subtask.done}
+                                onChange={(e) => handleSubtaskChange(idx, 'done', e.target.checked)}
+                                title="Done"
+                              />
+                              <Form.Control
+                                type="text"
+                                placeholder="Enter subtask title"
+                                value={subtask.title}
+                                onChange={(e) => handleSubtaskChange(idx, 'title', e.target.value)}
+                                style={{ textDecoration: subtask.done ? 'line-through' : 'none' }}
+                                required
+                              />
+                            </div>
                           </Col>
-                          <Col xs={8} md={3} className="mb-2 mb-md-0">
-                            <Form.Label className="fw-semibold mb-1">Progress (%)</Form.Label>
-                            <Form.Control
-                              type="number"
-                              min={0}
-                              max={100}
-                              value={subtask.progress}
-                              onChange={(e) => handleSubtaskChange(idx, 'progress', e.target.value)}
-                              placeholder="0-100"
-                            />
+                          <Col xs={6} md={3} className="mb-2 mb-md-0">
+                            <Form.Label className="fw-semibold mb-1">Assignee</Form.Label>
+                            <Form.Select
+                              value={subtask.assignee}
+                              onChange={(e) => handleSubtaskChange(idx, 'assignee', e.target.value)}
+                            >
+                              <option value="">Unassigned</option>
+                              {form.assignees.map(userId => (
+                                <option key={userId} value={userId}>{getUserName(userId)}</option>
+                              ))}
+                            </Form.Select>
                           </Col>
-                          <Col xs={4} md={2} className="mb-2 mb-md-0">
-                            <Form.Label className="fw-semibold mb-1 d-none d-md-block">Visual</Form.Label>
-                            <ProgressBar 
-                              now={subtask.progress} 
-                              label={`${subtask.progress}%`}
-                              variant={subtask.progress === 100 ? 'success' : 'info'}
-                              style={{ height: '20px' }}
+                          <Col xs={6} md={3} className="mb-2 mb-md-0">
+                            <Form.Label className="fw-semibold mb-1">Due Date</Form.Label>
+                            <Form.Control
+                              type="date"
+                              value={subtask.dueDate}
+                              max={form.dueDate || undefined}
+                              onChange={(e) => handleSubtaskChange(idx, 'dueDate', e.target.value)}
                             />
                           </Col>
                           <Col xs={12} md={1} className="text-center">
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { fetchRecommendedTasks } from '../../Api/tasks';
+import { markdownToText } from '../../utils/markdown';
 import { Card, Typography, Box, CircularProgress, Button } from '@mui/material';
 
 const RecommendedTasks = () => {
@@ -67,7 +68,7 @@ const RecommendedTasks = () => {
             {task.title}
           </Typography>
           <Typography variant="body2" color="text.secondary">
-            {task.description?.slice(0, 120) || 'No description'}
+            {markdownToText(task.description, 120) || 'No description'}
           </Typography>
         </Card>
       ))}
@@ -0,0 +1,423 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Menu,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  TextField,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  LinearProgress,
+  CircularProgress,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import {
+  Update as UpdateIcon,
+  PriorityHigh as PriorityIcon,
+  Business as BusinessIcon,
+  CalendarToday as CalendarIcon,
+  Group as GroupIcon,
+  Delete as DeleteIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { updateTask, updateTaskStatus, deleteTask } from '../../Api/tasks';
+import { fetchDepartments } from '../../Api/departments';
+import { fetchUsers } from '../../Api/users';
+import { notifyError, notifyQueued } from '../../utils/notifications';
+import { getBlockedMessage } from '../../utils/taskDependencies';
+import { fromDateInputValue } from '../../utils/dates';
+
+const ACTION_LABELS = {
+  status: 'Change status',
+  priority: 'Change priority',
+  department: 'Change department',
+  dueDate: 'Change due date',
+  addAssignees: 'Add assignees',
+  removeAssignees: 'Remove assignees',
+  delete: 'Delete'
+};
+
+const getAssigneeIds = (task) =>
+  (task.assignees || []).map(a => (typeof a === 'object' ? a._id : a)).filter(Boolean);
+
+// Same rules as the single-task handlers in TaskList: completed tasks are locked
+const getRejection = (task, action) => {
+  if (action.type === 'delete') return null;
+  if (task.status === 'completed') return 'Completed tasks cannot be changed';
+  if (action.type === 'status' && task.status === action.value) return `Task is already "${action.value}"`;
+  if (action.type === 'status') {
+    const blockedMessage = getBlockedMessage(task.dependencies, action.value);
+    if (blockedMessage) return blockedMessage;
+  }
+  if (action.type === 'removeAssignees') {
+    const remaining = getAssigneeIds(task).filter(id => !action.value.includes(id));
+    if (remaining.length === 0) return 'A task needs at least one assignee';
+  }
+  return null;
+};
+
+const applyAction = (task, action) => {
+  switch (action.type) {
+    case 'status':
+      return updateTaskStatus(task._id, action.value, { expectedStatus: task.status });
+    case 'priority':
+    case 'department':
+      return updateTask(task._id, { [action.type]: action.value });
+    case 'dueDate':
+      // Local midnight, not the bare yyyy-mm-dd the server would read as UTC
+      return updateTask(task._id, { dueDate: fromDateInputValue(action.value).toISOString() });
+    case 'addAssignees':
+      return updateTask(task._id, { assignees: [...new Set([...getAssigneeIds(task), ...action.value])] });
+    case 'removeAssignees':
+      return updateTask(task._id, { assignees: getAssigneeIds(task).filter(id => !action.value.includes(id)) });
+    case 'delete':
+      return deleteTask(task._id);
+    default:
+      return Promise.reject(new Error('Unknown action'));
+  }
+};
+
+const getErrorMessage = (err) =>
+  err?.response?.data?.message || err?.message || 'Request failed';
+
+// Bulk action bar for the TaskList table view.
+// Tasks are processed one at a time so large selections don't trip the API rate limit.
+const TaskBulkActions = ({ selectedTasks, onClearSelection, onCompleted }) => {
+  const [menu, setMenu] = useState({ type: null, anchorEl: null });
+  const [dialog, setDialog] = useState(null);
+  const [dialogValue, setDialogValue] = useState('');
+  const [assigneeIds, setAssigneeIds] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [optionsLoading, setOptionsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const count = selectedTasks.length;
+
+  const run = async (action) => {
+    setMenu({ type: null, anchorEl: null });
+    setDialog(null);
+
+    const outcome = [];
+    setProgress({ done: 0, total: count, label: ACTION_LABELS[action.type] });
+
+    for (const task of selectedTasks) {
+      const rejection = getRejection(task, action);
+      if (rejection) {
+        outcome.push({ task, ok: false, message: rejection });
+      } else {
+        try {
+          const result = await applyAction(task, action);
+          outcome.push({ task, ok: true, queued: Boolean(result?.queued) });
+        } catch (err) {
+          outcome.push({ task, ok: false, message: getErrorMessage(err) });
+        }
+      }
+      setProgress(prev => ({ ...prev, done: outcome.length }));
+    }
+
+    setProgress(null);
+    const queued = outcome.filter(r => r.queued).length;
+    if (queued > 0) notifyQueued(queued === 1 ? '1 status change' : `${queued} status changes`);
+    onCompleted({ label: ACTION_LABELS[action.type], items: outcome });
+  };
+
+  const openDialog = async (type) => {
+    setDialog(type);
+    setDialogValue('');
+    setAssigneeIds([]);
+
+    const needsDepartments = type === 'department' && departments.length === 0;
+    const needsUsers = (type === 'addAssignees' || type === 'removeAssignees') && users.length === 0;
+    if (!needsDepartments && !needsUsers) return;
+
+    setOptionsLoading(true);
+    try {
+      if (needsDepartments) setDepartments(await fetchDepartments() || []);
+      if (needsUsers) setUsers(await fetchUsers() || []);
+    } catch {
+      notifyError('Failed to load options');
+    } finally {
+      setOptionsLoading(false);
+    }
+  };
+
+  // Only offer users that are assigned to at least one selected task when removing
+  const selectableUsers = dialog === 'removeAssignees'
+    ? users.filter(u => selectedTasks.some(t => getAssigneeIds(t).includes(u._id)))
+    : users;
+
+  const dialogReady = dialog === 'addAssignees' || dialog === 'removeAssignees'
+    ? assigneeIds.length > 0
+    : dialog === 'delete' || Boolean(dialogValue);
+
+  const handleConfirm = () => {
+    if (dialog === 'addAssignees' || dialog === 'removeAssignees') {
+      run({ type: dialog, value: assigneeIds });
+    } else {
+      run({ type: dialog, value: dialog === 'delete' ? null : dialogValue });
+    }
+  };
+
+  const actionButtonSx = {
+    color: '#1a2752',
+    textTransform: 'none',
+    fontWeight: 600
+  };
+
+  return (
+    <>
+      <Paper
+        elevation={3}
+        sx={{
+          position: 'sticky',
+          top: 8,
+          zIndex: 5,
+          mb: 2,
+          px: 2,
+          py: 1,
+          borderRadius: 2,
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 1,
+          border: '1px solid rgba(220, 38, 127, 0.3)',
+          backgroundColor: 'rgba(220, 38, 127, 0.04)'
+        }}
+      >
+        <Typography variant="subtitle2" sx={{ fontWeight: 700, color: '#1a2752', mr: 1 }}>
+          {count} selected
+        </Typography>
+
+        <Button
+          size="small"
+          startIcon={<UpdateIcon />}
+          onClick={(e) => setMenu({ type: 'status', anchorEl: e.currentTarget })}
+          disabled={Boolean(progress)}
+          sx={actionButtonSx}
+        >
+          Status
+        </Button>
+        <Button
+          size="small"
+          startIcon={<PriorityIcon />}
+          onClick={(e) => setMenu({ type: 'priority', anchorEl: e.currentTarget })}
+          disabled={Boolean(progress)}
+          sx={actionButtonSx}
+        >
+          Priority
+        </Button>
+        <Button
+          size="small"
+          startIcon={<BusinessIcon />}
+          onClick={() => openDialog('department')}
+          disabled={Boolean(progress)}
+          sx={actionButtonSx}
+        >
+          Department
+        </Button>
+        <Button
+          size="small"
+          startIcon={<CalendarIcon />}
+          onClick={() => openDialog('dueDate')}
+          disabled={Boolean(progress)}
+          sx={actionButtonSx}
+        >
+          Due Date
+        </Button>
+        <Button
+          size="small"
+          startIcon={<GroupIcon />}
+          onClick={(e) => setMenu({ type: 'assignees', anchorEl: e.currentTarget })}
+          disabled={Boolean(progress)}
+          sx={actionButtonSx}
+        >
+          Assignees
+        </Button>
+        <Button
+          size="small"
+          startIcon={<DeleteIcon />}
+          onClick={() => openDialog('delete')}
+          disabled={Boolean(progress)}
+          sx={{ ...actionButtonSx, color: '#d32f2f' }}
+        >
+          Delete
+        </Button>
+
+        <Box sx={{ flexGrow: 1 }} />
+
+        <Tooltip title="Clear selection">
+          <IconButton size="small" onClick={onClearSelection} disabled={Boolean(progress)}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+
+        {progress && (
+          <Box sx={{ width: '100%' }}>
+            <Typography variant="caption" color="text.secondary">
+              {progress.label}: {progress.done} of {progress.total}
+            </Typography>
+            <LinearProgress
+              variant="determinate"
+              value={(progress.done / progress.total) * 100}
+              sx={{ '& .MuiLinearProgress-bar': { backgroundColor: '#dc267f' } }}
+            />
+          </Box>
+        )}
+      </Paper>
+
+      {/* Status / priority / assignee mode menus */}
+      <Menu
+        anchorEl={menu.anchorEl}
+        open={Boolean(menu.anchorEl)}
+        onClose={() => setMenu({ type: null, anchorEl: null })}
+      >
+        {menu.type === 'status' && ['pending', 'ongoing', 'completed'].map(status => (
+          <MenuItem key={status} onClick={() => run({ type: 'status', value: status })} sx={{ textTransform: 'capitalize' }}>
+            {status}
+          </MenuItem>
+        ))}
+        {menu.type === 'priority' && ['low', 'medium', 'high'].map(priority => (
+          <MenuItem key={priority} onClick={() => run({ type: 'priority', value: priority })} sx={{ textTransform: 'capitalize' }}>
+            {priority}
+          </MenuItem>
+        ))}
+        {menu.type === 'assignees' && [
+          <MenuItem
+            key="add"
+            onClick={() => {
+              setMenu({ type: null, anchorEl: null });
+              openDialog('addAssignees');
+            }}
+          >
+            Add assignees…
+          </MenuItem>,
+          <MenuItem
+            key="remove"
+            onClick={() => {
+              setMenu({ type: null, anchorEl: null });
+              openDialog('removeAssignees');
+            }}
+          >
+            Remove assignees…
+          </MenuItem>
+        ]}
+      </Menu>
+
+      {/* Parameter / confirmation dialog */}
+      <Dialog open={Boolean(dialog)} onClose={() => setDialog(null)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ color: '#1a2752', fontWeight: 600 }}>
+          {ACTION_LABELS[dialog]} ({count} task{count > 1 ? 's' : ''})
+        </DialogTitle>
+        <DialogContent>
+          {optionsLoading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress size={28} sx={{ color: '#1a2752' }} />
+            </Box>
+          ) : (
+            <>
+              {dialog === 'department' && (
+                <FormControl fullWidth margin="dense">
+                  <InputLabel>Department</InputLabel>
+                  <Select value={dialogValue} label="Department" onChange={(e) => setDialogValue(e.target.value)}>
+                    {departments.map(dept => (
+                      <MenuItem key={dept._id} value={dept._id}>{dept.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+
+              {dialog === 'dueDate' && (
+                <TextField
+                  fullWidth
+                  margin="dense"
+                  type="date"
+                  label="Due Date"
+                  value={dialogValue}
+                  onChange={(e) => setDialogValue(e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+              )}
+
+              {(dialog === 'addAssignees' || dialog === 'removeAssignees') && (
+                <>
+                  <ToggleButtonGroup
+                    exclusive
+                    size="small"
+                    value={dialog}
+                    onChange={(_, value) => {
+                      if (!value) return;
+                      setDialog(value);
+                      setAssigneeIds([]);
+                    }}
+                    sx={{ mb: 2 }}
+                  >
+                    <ToggleButton value="addAssignees">Add</ToggleButton>
+                    <ToggleButton value="removeAssignees">Remove</ToggleButton>
+                  </ToggleButtonGroup>
+                  <FormControl fullWidth>
+                    <InputLabel>Users</InputLabel>
+                    <Select
+                      multiple
+                      value={assigneeIds}
+                      label="Users"
+                      onChange={(e) => setAssigneeIds(e.target.value)}
+                      renderValue={(ids) => (
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                          {ids.map(id => (
+                            <Chip key={id} size="small" label={users.find(u => u._id === id)?.name || id} />
+                          ))}
+                        </Box>
+                      )}
+                    >
+                      {selectableUsers.map(u => (
+                        <MenuItem key={u._id} value={u._id}>
+                          {u.name} {u.email && `(${u.email})`}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </>
+              )}
+
+              {dialog === 'delete' && (
+                <Typography>
+                  Delete {count} task{count > 1 ? 's' : ''}? This cannot be undone.
+                </Typography>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)} sx={{ color: '#1a2752' }}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleConfirm}
+            disabled={!dialogReady || optionsLoading}
+            sx={{
+              backgroundColor: dialog === 'delete' ? '#d32f2f' : '#dc267f',
+              '&:hover': { backgroundColor: dialog === 'delete' ? '#b71c1c' : '#b91c5c' }
+            }}
+          >
+            {dialog === 'delete' ? 'Delete' : 'Apply'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default TaskBulkActions;
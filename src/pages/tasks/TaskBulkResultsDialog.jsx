@@ -0,0 +1,52 @@
+import React from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Error as ErrorIcon
+} from '@mui/icons-material';
+
+// Per-task outcome of a TaskBulkActions run: { label, items: [{ task, ok, queued, message }] }.
+// Owned by TaskList, since the bulk bar unmounts once a fully successful run clears the selection.
+const TaskBulkResultsDialog = ({ results, onClose }) => {
+  const failed = results?.items.filter(r => !r.ok) || [];
+  const succeeded = results?.items.filter(r => r.ok) || [];
+
+  return (
+    <Dialog open={Boolean(results)} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ color: '#1a2752', fontWeight: 600 }}>
+        {results?.label}: {succeeded.length} succeeded, {failed.length} failed
+      </DialogTitle>
+      <DialogContent dividers>
+        <List dense>
+          {[...failed, ...succeeded].map(({ task, ok, queued, message }) => (
+            <ListItem key={task._id}>
+              <ListItemIcon sx={{ minWidth: 36 }}>
+                {ok
+                  ? <CheckCircleIcon sx={{ color: '#4caf50' }} />
+                  : <ErrorIcon sx={{ color: '#d32f2f' }} />}
+              </ListItemIcon>
+              <ListItemText primary={task.title} secondary={ok ? (queued ? 'Saved offline, will sync later' : 'Done') : message} />
+            </ListItem>
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ color: '#1a2752' }}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TaskBulkResultsDialog;
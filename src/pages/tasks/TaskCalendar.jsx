@@ -0,0 +1,669 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  ButtonGroup,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert,
+  Chip,
+  useTheme,
+  useMediaQuery
+} from '@mui/material';
+import {
+  ChevronLeft as ChevronLeftIcon,
+  ChevronRight as ChevronRightIcon,
+  Today as TodayIcon,
+  CalendarMonth as CalendarMonthIcon,
+  ViewWeek as ViewWeekIcon,
+  ViewTimeline as ViewTimelineIcon,
+  ViewList as ViewListIcon
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { fetchMyTasks, updateTask } from '../../Api/tasks';
+import { useAuth } from '../../contexts/AuthContext';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import { getPriorityColor, getStatusColor, PRIORITY_COLORS, STATUS_COLORS } from '../../utils/taskColors';
+import {
+  addDays,
+  diffInDays,
+  isSameDay,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+  toDateInputValue
+} from '../../utils/dates';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIMELINE_DAYS = 28;
+const DAY_WIDTH = 40;
+const RESCHEDULE_ROLES = ['admin', 'coordinator'];
+
+// Tasks run from createdAt to dueDate; tasks without a due date are not placed
+const getTaskSpan = (task) => {
+  if (!task.dueDate) return null;
+  const end = startOfDay(task.dueDate);
+  let start = task.createdAt ? startOfDay(task.createdAt) : end;
+  if (start > end) start = end;
+  return { start, end };
+};
+
+const getBarStyles = (task) => ({
+  backgroundColor: getPriorityColor(task.priority),
+  borderLeft: `4px solid ${getStatusColor(task.status)}`,
+  opacity: task.status === 'completed' ? 0.55 : 1,
+  color: 'white'
+});
+
+// Small draggable task chip used by the month view
+const TaskChip = ({ task, draggable, onDragStart, onOpen }) => (
+  <Tooltip title={`${task.title} • ${task.status} • ${task.priority} priority`} placement="top" arrow>
+    <Box
+      draggable={draggable}
+      onDragStart={(e) => onDragStart(e, task)}
+      onClick={() => onOpen(task._id)}
+      sx={{
+        ...getBarStyles(task),
+        px: 0.75,
+        py: 0.25,
+        mb: 0.5,
+        borderRadius: 1,
+        fontSize: '0.72rem',
+        fontWeight: 600,
+        whiteSpace: 'nowrap',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        cursor: draggable ? 'grab' : 'pointer'
+      }}
+    >
+      {task.title}
+    </Box>
+  </Tooltip>
+);
+
+// Month grid - tasks are shown on their due date
+const MonthView = ({ anchor, tasks, canReschedule, onReschedule, onOpen }) => {
+  const [dropDay, setDropDay] = useState(null);
+  const draggedRef = useRef(null);
+  const gridStart = startOfWeek(startOfMonth(anchor));
+  const days = Array.from({ length: 42 }, (_, i) => addDays(gridStart, i));
+  const today = startOfDay(new Date());
+
+  const tasksByDay = useMemo(() => {
+    const map = {};
+    tasks.forEach(task => {
+      if (!task.dueDate) return;
+      const key = toDateInputValue(task.dueDate);
+      (map[key] = map[key] || []).push(task);
+    });
+    return map;
+  }, [tasks]);
+
+  const handleDragStart = (event, task) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', task._id);
+    draggedRef.current = task;
+  };
+
+  const handleDrop = (event, day) => {
+    event.preventDefault();
+    setDropDay(null);
+    const task = draggedRef.current;
+    draggedRef.current = null;
+    if (task && !isSameDay(task.dueDate, day)) onReschedule(task._id, day);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', mb: 0.5 }}>
+        {WEEKDAYS.map(d => (
+          <Typography key={d} variant="caption" sx={{ textAlign: 'center', fontWeight: 700, color: '#1a2752' }}>
+            {d}
+          </Typography>
+        ))}
+      </Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 0.5 }}>
+        {days.map(day => {
+          const key = toDateInputValue(day);
+          const dayTasks = tasksByDay[key] || [];
+          const inMonth = day.getMonth() === anchor.getMonth();
+          const isToday = isSameDay(day, today);
+
+          return (
+            <Box
+              key={key}
+              onDragOver={(e) => {
+                if (!draggedRef.current) return;
+                e.preventDefault();
+                if (dropDay !== key) setDropDay(key);
+              }}
+              onDragLeave={() => setDropDay(prev => (prev === key ? null : prev))}
+              onDrop={(e) => handleDrop(e, day)}
+              sx={{
+                minHeight: 96,
+                p: 0.5,
+                borderRadius: 1,
+                border: dropDay === key ? '2px dashed #dc267f' : '1px solid rgba(26, 39, 82, 0.1)',
+                backgroundColor: isToday ? 'rgba(220, 38, 127, 0.06)' : inMonth ? 'white' : 'rgba(26, 39, 82, 0.03)',
+                overflow: 'hidden'
+              }}
+            >
+              <Typography
+                variant="caption"
+                sx={{
+                  display: 'block',
+                  fontWeight: isToday ? 700 : 500,
+                  color: isToday ? '#dc267f' : inMonth ? '#1a2752' : 'text.disabled',
+                  mb: 0.5
+                }}
+              >
+                {day.getDate()}
+              </Typography>
+              {dayTasks.slice(0, 3).map(task => (
+                <TaskChip
+                  key={task._id}
+                  task={task}
+                  draggable={canReschedule(task)}
+                  onDragStart={handleDragStart}
+                  onOpen={onOpen}
+                />
+              ))}
+              {dayTasks.length > 3 && (
+                <Tooltip title={dayTasks.slice(3).map(t => t.title).join(', ')}>
+                  <Typography variant="caption" color="text.secondary" sx={{ cursor: 'default' }}>
+                    +{dayTasks.length - 3} more
+                  </Typography>
+                </Tooltip>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+// Week view - one row per task spanning createdAt -> dueDate across the 7 days
+const WeekView = ({ anchor, tasks, canReschedule, onReschedule, onOpen }) => {
+  const draggedRef = useRef(null);
+  const weekStart = startOfWeek(anchor);
+  const weekEnd = addDays(weekStart, 6);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  const today = startOfDay(new Date());
+
+  const rows = tasks
+    .map(task => ({ task, span: getTaskSpan(task) }))
+    .filter(({ span }) => span && span.end >= weekStart && span.start <= weekEnd)
+    .sort((a, b) => a.span.end - b.span.end);
+
+  const handleDrop = (event, day) => {
+    event.preventDefault();
+    const task = draggedRef.current;
+    draggedRef.current = null;
+    if (task && !isSameDay(task.dueDate, day)) onReschedule(task._id, day);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 0.5, mb: 1 }}>
+        {days.map(day => (
+          <Box
+            key={day.toISOString()}
+            sx={{
+              textAlign: 'center',
+              py: 0.5,
+              borderRadius: 1,
+              backgroundColor: isSameDay(day, today) ? 'rgba(220, 38, 127, 0.1)' : 'rgba(26, 39, 82, 0.04)'
+            }}
+          >
+            <Typography variant="caption" sx={{ fontWeight: 700, color: '#1a2752', display: 'block' }}>
+              {WEEKDAYS[day.getDay()]}
+            </Typography>
+            <Typography variant="body2">{day.getDate()}</Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {rows.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+          No tasks scheduled this week
+        </Typography>
+      ) : (
+        rows.map(({ task, span }) => {
+          const startCol = Math.max(0, diffInDays(weekStart, span.start));
+          const endCol = Math.min(6, diffInDays(weekStart, span.end));
+          const draggable = canReschedule(task);
+
+          return (
+            <Box
+              key={task._id}
+              sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 0.5, mb: 0.5 }}
+            >
+              {days.map((day, i) => (
+                <Box
+                  key={i}
+                  onDragOver={(e) => {
+                    if (draggedRef.current?._id === task._id) e.preventDefault();
+                  }}
+                  onDrop={(e) => handleDrop(e, day)}
+                  sx={{ gridRow: 1, gridColumn: i + 1, minHeight: 28 }}
+                />
+              ))}
+              <Tooltip title={`${task.title} • due ${span.end.toLocaleDateString()}`} arrow>
+                <Box
+                  draggable={draggable}
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', task._id);
+                    draggedRef.current = task;
+                  }}
+                  onClick={() => onOpen(task._id)}
+                  sx={{
+                    ...getBarStyles(task),
+                    gridRow: 1,
+                    gridColumn: `${startCol + 1} / ${endCol + 2}`,
+                    px: 1,
+                    borderRadius: 1,
+                    fontSize: '0.78rem',
+                    fontWeight: 600,
+                    display: 'flex',
+                    alignItems: 'center',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    cursor: draggable ? 'grab' : 'pointer',
+                    zIndex: 1
+                  }}
+                >
+                  {task.title}
+                </Box>
+              </Tooltip>
+            </Box>
+          );
+        })
+      )}
+    </Box>
+  );
+};
+
+// Gantt-style timeline - drag the right edge of a bar to move the due date
+const TimelineView = ({ anchor, tasks, canReschedule, onReschedule, onOpen }) => {
+  const windowStart = startOfWeek(anchor);
+  const windowEnd = addDays(windowStart, TIMELINE_DAYS - 1);
+  const days = Array.from({ length: TIMELINE_DAYS }, (_, i) => addDays(windowStart, i));
+  const today = startOfDay(new Date());
+  const resizeRef = useRef(null);
+  const detachResizeRef = useRef(null); // removes the window listeners of a drag in progress
+  const [resizing, setResizing] = useState(null);
+
+  useEffect(() => () => detachResizeRef.current?.(), []);
+
+  const rows = tasks
+    .map(task => ({ task, span: getTaskSpan(task) }))
+    .filter(({ span }) => span && span.end >= windowStart && span.start <= windowEnd)
+    .sort((a, b) => a.span.start - b.span.start);
+
+  const startResize = (event, task, span) => {
+    event.preventDefault();
+    event.stopPropagation();
+    resizeRef.current = { taskId: task._id, originX: event.clientX, span, deltaDays: 0 };
+    setResizing(resizeRef.current);
+
+    const onMove = (e) => {
+      const current = resizeRef.current;
+      if (!current) return;
+      // Never let the end move before the start
+      const minDelta = diffInDays(current.span.end, current.span.start);
+      const deltaDays = Math.max(minDelta, Math.round((e.clientX - current.originX) / DAY_WIDTH));
+      if (deltaDays !== current.deltaDays) {
+        resizeRef.current = { ...current, deltaDays };
+        setResizing(resizeRef.current);
+      }
+    };
+
+    const detach = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      detachResizeRef.current = null;
+    };
+
+    const onUp = () => {
+      detach();
+      const current = resizeRef.current;
+      resizeRef.current = null;
+      setResizing(null);
+      if (current && current.deltaDays !== 0) {
+        onReschedule(current.taskId, addDays(current.span.end, current.deltaDays));
+      }
+    };
+
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+    detachResizeRef.current = detach;
+  };
+
+  return (
+    <Box sx={{ display: 'flex', border: '1px solid rgba(26, 39, 82, 0.1)', borderRadius: 2, overflow: 'hidden' }}>
+      {/* Task titles */}
+      <Box sx={{ width: 220, flexShrink: 0, borderRight: '1px solid rgba(26, 39, 82, 0.1)', backgroundColor: 'white' }}>
+        <Box sx={{ height: 44, px: 1.5, display: 'flex', alignItems: 'center', borderBottom: '1px solid rgba(26, 39, 82, 0.1)' }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 700, color: '#1a2752' }}>Task</Typography>
+        </Box>
+        {rows.map(({ task }) => (
+          <Box
+            key={task._id}
+            onClick={() => onOpen(task._id)}
+            sx={{
+              height: 36,
+              px: 1.5,
+              display: 'flex',
+              alignItems: 'center',
+              borderBottom: '1px solid rgba(26, 39, 82, 0.05)',
+              cursor: 'pointer',
+              '&:hover': { backgroundColor: 'rgba(26, 39, 82, 0.03)' }
+            }}
+          >
+            <Typography variant="body2" noWrap title={task.title}>{task.title}</Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {/* Bars */}
+      <Box sx={{ overflowX: 'auto', flexGrow: 1 }}>
+        <Box sx={{ width: DAY_WIDTH * TIMELINE_DAYS, position: 'relative' }}>
+          <Box sx={{ display: 'flex', height: 44, borderBottom: '1px solid rgba(26, 39, 82, 0.1)' }}>
+            {days.map(day => (
+              <Box
+                key={day.toISOString()}
+                sx={{
+                  width: DAY_WIDTH,
+                  flexShrink: 0,
+                  textAlign: 'center',
+                  borderLeft: day.getDay() === 0 ? '1px solid rgba(26, 39, 82, 0.15)' : 'none',
+                  backgroundColor: isSameDay(day, today) ? 'rgba(220, 38, 127, 0.1)' : 'transparent'
+                }}
+              >
+                <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', lineHeight: 1.6 }}>
+                  {WEEKDAYS[day.getDay()].charAt(0)}
+                </Typography>
+                <Typography variant="caption" sx={{ fontWeight: 600 }}>{day.getDate()}</Typography>
+              </Box>
+            ))}
+          </Box>
+
+          {rows.map(({ task, span }) => {
+            const preview = resizing?.taskId === task._id ? addDays(span.end, resizing.deltaDays) : span.end;
+            const clippedStart = span.start < windowStart ? windowStart : span.start;
+            const clippedEnd = preview > windowEnd ? windowEnd : preview;
+            const left = diffInDays(windowStart, clippedStart) * DAY_WIDTH;
+            const width = Math.max(1, diffInDays(clippedStart, clippedEnd) + 1) * DAY_WIDTH;
+            const resizable = canReschedule(task) && span.end <= windowEnd;
+
+            return (
+              <Box key={task._id} sx={{ height: 36, position: 'relative', borderBottom: '1px solid rgba(26, 39, 82, 0.05)' }}>
+                <Tooltip
+                  title={`${span.start.toLocaleDateString()} → ${preview.toLocaleDateString()}`}
+                  open={resizing?.taskId === task._id ? true : undefined}
+                  arrow
+                >
+                  <Box
+                    onClick={() => onOpen(task._id)}
+                    sx={{
+                      ...getBarStyles(task),
+                      position: 'absolute',
+                      top: 6,
+                      left: left + 2,
+                      width: width - 4,
+                      height: 24,
+                      borderRadius: 1,
+                      cursor: 'pointer',
+                      boxShadow: '0 2px 6px rgba(26, 39, 82, 0.15)'
+                    }}
+                  >
+                    {resizable && (
+                      <Box
+                        onMouseDown={(e) => startResize(e, task, span)}
+                        onClick={(e) => e.stopPropagation()}
+                        sx={{
+                          position: 'absolute',
+                          right: 0,
+                          top: 0,
+                          bottom: 0,
+                          width: 8,
+                          cursor: 'ew-resize',
+                          borderTopRightRadius: 4,
+                          borderBottomRightRadius: 4,
+                          backgroundColor: 'rgba(255, 255, 255, 0.35)'
+                        }}
+                      />
+                    )}
+                  </Box>
+                </Tooltip>
+              </Box>
+            );
+          })}
+
+          {rows.length === 0 && (
+            <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+              No tasks in this period
+            </Typography>
+          )}
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+// Task calendar page: month / week calendar and a Gantt-style timeline
+const TaskCalendar = ({ initialView = 'month' }) => {
+  const navigate = useNavigate();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { user } = useAuth();
+
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [view, setView] = useState(initialView);
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+
+  const loadTasks = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await fetchMyTasks();
+      setTasks(data || []);
+      setError('');
+    } catch (err) {
+      console.error('❌ Failed to load tasks:', err);
+      setError('Failed to load tasks. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  const canReschedule = useCallback(
+    (task) => RESCHEDULE_ROLES.includes(user?.role) && task.status !== 'completed',
+    [user?.role]
+  );
+
+  const handleReschedule = async (taskId, newDueDate) => {
+    const task = tasks.find(t => t._id === taskId);
+    if (!task) return;
+    if (task.status === 'completed') {
+      notifyError('Completed tasks cannot be rescheduled');
+      return;
+    }
+
+    const previousDueDate = task.dueDate;
+    // Local midnight as a full timestamp: a bare yyyy-mm-dd is read as UTC and lands a day early west of UTC
+    const dueDate = startOfDay(newDueDate).toISOString();
+    setTasks(prev => prev.map(t => (t._id === taskId ? { ...t, dueDate } : t)));
+
+    try {
+      await updateTask(taskId, { dueDate });
+      notifySuccess(`"${task.title}" rescheduled to ${newDueDate.toLocaleDateString()}`);
+    } catch (err) {
+      setTasks(prev => prev.map(t => (t._id === taskId ? { ...t, dueDate: previousDueDate } : t)));
+      notifyError(err?.message || 'Failed to reschedule task');
+    }
+  };
+
+  const handleOpen = (taskId) => navigate(`/tasks/${taskId}`);
+
+  const step = (direction) => {
+    setAnchor(prev => {
+      if (view === 'month') return new Date(prev.getFullYear(), prev.getMonth() + direction, 1);
+      if (view === 'week') return addDays(prev, 7 * direction);
+      return addDays(prev, 14 * direction);
+    });
+  };
+
+  const periodLabel = useMemo(() => {
+    if (view === 'month') {
+      return anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    const start = startOfWeek(anchor);
+    const end = addDays(start, view === 'week' ? 6 : TIMELINE_DAYS - 1);
+    return `${start.toLocaleDateString()} – ${end.toLocaleDateString()}`;
+  }, [anchor, view]);
+
+  const unscheduledCount = tasks.filter(t => !t.dueDate).length;
+  const viewProps = { anchor, tasks, canReschedule, onReschedule: handleReschedule, onOpen: handleOpen };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '50vh' }}>
+        <Box sx={{ textAlign: 'center' }}>
+          <CircularProgress sx={{ color: '#1a2752' }} />
+          <Typography variant="body1" sx={{ mt: 2, color: '#1a2752' }}>
+            Loading tasks...
+          </Typography>
+        </Box>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container sx={{ mt: 3 }}>
+        <Alert
+          severity="error"
+          sx={{ borderRadius: 2 }}
+          action={<Button color="inherit" size="small" onClick={loadTasks}>Retry</Button>}
+        >
+          {error}
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl" sx={{ py: isMobile ? 2 : 3, px: isMobile ? 1 : 3 }}>
+      <Paper
+        elevation={2}
+        sx={{
+          p: isMobile ? 2 : 3,
+          mb: 3,
+          borderRadius: 3,
+          background: 'linear-gradient(135deg, #1a2752 0%, #2a3f6f 100%)',
+          color: 'white',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 2
+        }}
+      >
+        <Box>
+          <Typography variant={isMobile ? 'h5' : 'h4'} sx={{ fontWeight: 700, mb: 0.5 }}>
+            Task Calendar
+          </Typography>
+          <Typography variant="body2" sx={{ opacity: 0.9 }}>
+            Workload by due date
+            {RESCHEDULE_ROLES.includes(user?.role) && ' • drag tasks to reschedule'}
+          </Typography>
+        </Box>
+        <ButtonGroup variant="outlined" size="small" sx={{ '& .MuiButton-root': { color: 'white', borderColor: 'rgba(255, 255, 255, 0.5)' } }}>
+          <Button
+            startIcon={<CalendarMonthIcon />}
+            onClick={() => setView('month')}
+            sx={{ backgroundColor: view === 'month' ? 'rgba(255, 255, 255, 0.2)' : 'transparent' }}
+          >
+            Month
+          </Button>
+          <Button
+            startIcon={<ViewWeekIcon />}
+            onClick={() => setView('week')}
+            sx={{ backgroundColor: view === 'week' ? 'rgba(255, 255, 255, 0.2)' : 'transparent' }}
+          >
+            Week
+          </Button>
+          <Button
+            startIcon={<ViewTimelineIcon />}
+            onClick={() => setView('timeline')}
+            sx={{ backgroundColor: view === 'timeline' ? 'rgba(255, 255, 255, 0.2)' : 'transparent' }}
+          >
+            Timeline
+          </Button>
+          <Button startIcon={<ViewListIcon />} onClick={() => navigate('/tasks')}>
+            List
+          </Button>
+        </ButtonGroup>
+      </Paper>
+
+      <Paper sx={{ p: isMobile ? 1.5 : 2.5, borderRadius: 3, border: '1px solid rgba(26, 39, 82, 0.1)' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <IconButton size="small" onClick={() => step(-1)}><ChevronLeftIcon /></IconButton>
+            <IconButton size="small" onClick={() => step(1)}><ChevronRightIcon /></IconButton>
+            <Button size="small" startIcon={<TodayIcon />} onClick={() => setAnchor(startOfDay(new Date()))} sx={{ color: '#1a2752' }}>
+              Today
+            </Button>
+            <Typography variant="h6" sx={{ fontWeight: 600, color: '#1a2752', ml: 1 }}>
+              {periodLabel}
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', alignItems: 'center' }}>
+            {Object.entries(PRIORITY_COLORS).map(([priority, color]) => (
+              <Chip
+                key={priority}
+                label={priority}
+                size="small"
+                sx={{ backgroundColor: color, color: 'white', fontWeight: 600, textTransform: 'capitalize' }}
+              />
+            ))}
+            {Object.entries(STATUS_COLORS).map(([status, color]) => (
+              <Chip
+                key={status}
+                label={status}
+                size="small"
+                variant="outlined"
+                sx={{ borderColor: color, color, fontWeight: 600, textTransform: 'capitalize' }}
+              />
+            ))}
+          </Box>
+        </Box>
+
+        {view === 'month' && <MonthView {...viewProps} />}
+        {view === 'week' && <WeekView {...viewProps} />}
+        {view === 'timeline' && <TimelineView {...viewProps} />}
+
+        {unscheduledCount > 0 && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+            {unscheduledCount} task{unscheduledCount > 1 ? 's' : ''} without a due date {unscheduledCount > 1 ? 'are' : 'is'} not shown.
+          </Typography>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default TaskCalendar;
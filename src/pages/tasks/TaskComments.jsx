@@ -4,11 +4,24 @@ import {
   Button,
   Form,
   Spinner,
-  Modal,
   Badge as RB_Badge,
 } from 'react-bootstrap';
 import axiosInstance from '../../Api/axiosInstance';
-import { notifyError, notifySuccess } from '../../utils/notifications';
+import { notifyError, notifyQueued, notifySuccess } from '../../utils/notifications';
+import { useTaskEvents } from '../../hooks/useTaskEvents';
+import { useTaskRoom, describeTyping } from '../../hooks/useTaskRoom';
+import { getEventTaskId } from '../../utils/taskEvents';
+import { findComment, insertComment, updateComment } from '../../utils/commentTree';
+import { toggleReaction } from '../../utils/reactions';
+import { useReactionEvents } from '../../hooks/useReactionEvents';
+import { extractMentionIds } from '../../utils/mentions';
+import { addTaskComment, toggleCommentReaction, uploadTaskImages } from '../../Api/tasks';
+import MarkdownEditor from '../../components/common/MarkdownEditor';
+import MarkdownView from '../../components/common/MarkdownView';
+import ReactionBar from '../../components/common/ReactionBar';
+import ImageLightbox from '../../components/common/ImageLightbox';
+import { useImagePreview } from '../../hooks/useImagePreview';
+import { isImage } from '../../utils/attachments';
 
 const STATUS_OPTS = [
   { value: '', label: 'No status change' },
@@ -17,8 +30,6 @@ const STATUS_OPTS = [
   { value: 'completed', label: 'Mark as Completed' },
 ];
 
-const isImage = (url = '') => /\.(png|jpe?g|gif|webp|bmp|svg)$/i.test(url);
-
 const ChatBubble = ({ me, children }) => (
   <div
     className={`p-3 rounded-3 ${me ? 'ms-auto text-white' : 'me-auto'} shadow-sm`}
@@ -133,6 +144,8 @@ const CommentNode = ({
   currentUserId,
   onReply,
   onOpenPreview, // (urls, startIndex)
+  onTyping,
+  onReact, // (commentId, emoji)
 }) => {
   const [showReply, setShowReply] = useState(false);
   const [replyText, setReplyText] = useState('');
@@ -201,7 +214,7 @@ const CommentNode = ({
 
         {/* Body */}
         {comment.comment && (
-          <div style={{ whiteSpace: 'pre-wrap' }}>{comment.comment}</div>
+          <MarkdownView text={comment.comment} />
         )}
 
         {/* Attachments toggle */}
@@ -225,6 +238,11 @@ const CommentNode = ({
           </div>
         )}
 
+        <ReactionBar
+          reactions={comment.reactions}
+          onToggle={(emoji) => onReact(comment._id, emoji)}
+        />
+
         {/* Actions */}
         <div className="mt-2">
           <Button
@@ -239,12 +257,16 @@ const CommentNode = ({
         {/* Reply composer */}
         {showReply && (
           <div className="mt-3">
-            <Form.Control
-              as="textarea"
-              rows={2}
+            <MarkdownEditor
+              mentions
+              minHeight={64}
+              onPasteImages={(images) => uploadTaskImages(taskId, images)}
               placeholder="Write a reply… (Enter to send, Shift+Enter for newline)"
               value={replyText}
-              onChange={(e) => setReplyText(e.target.value)}
+              onChange={(e) => {
+                setReplyText(e.target.value);
+                onTyping?.();
+              }}
               onKeyDown={(e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
@@ -333,6 +355,8 @@ const CommentNode = ({
               currentUserId={currentUserId}
               onReply={onReply}
               onOpenPreview={onOpenPreview}
+              onTyping={onTyping}
+              onReact={onReact}
             />
           ))}
         </div>
@@ -355,9 +379,8 @@ const TaskComments = ({ taskId }) => {
   const [sending, setSending] = useState(false);
 
   // image preview modal state
-  const [previewOpen, setPreviewOpen] = useState(false);
-  const [previewUrls, setPreviewUrls] = useState([]);
-  const [previewIndex, setPreviewIndex] = useState(0);
+  const preview = useImagePreview();
+  const { openPreview } = preview;
 
   const currentUserId = useMemo(() => {
     try {
@@ -368,8 +391,9 @@ const TaskComments = ({ taskId }) => {
     }
   }, []);
 
-  const load = async () => {
-    setLoading(true);
+  // `silent` refetches without swapping the thread for a spinner (used for live updates)
+  const load = async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
     try {
       const res = await axiosInstance.get(`/tasks/${taskId}/comments`);
       setComments(res.data?.data || []);
@@ -384,6 +408,44 @@ const TaskComments = ({ taskId }) => {
     if (taskId) load();
   }, [taskId]);
 
+  // Live thread: everyone viewing the task gets new comments, replies and status changes
+  const { typingUsers, notifyTyping, stopTyping } = useTaskRoom(taskId);
+
+  const mergeComment = (comment) => {
+    if (!comment?._id || insertComment(comments, comment) === null) {
+      load({ silent: true }); // reply to a comment we don't have yet
+      return;
+    }
+    setComments(prev => insertComment(prev, comment) || prev);
+  };
+
+  useTaskEvents({
+    onCommented: (payload) => {
+      if (String(getEventTaskId(payload)) !== String(taskId)) return;
+      mergeComment(payload.comment);
+    },
+  });
+
+  const setReactions = (commentId, reactions) =>
+    setComments(prev => updateComment(prev, commentId, c => ({ ...c, reactions })));
+
+  useReactionEvents('comment', (payload) => {
+    if (String(payload.taskId) !== String(taskId)) return;
+    setReactions(payload.targetId, payload.reactions || []);
+  });
+
+  // Optimistic toggle; the server's list (also broadcast to other tabs) is authoritative
+  const handleReact = async (commentId, emoji) => {
+    const previous = findComment(comments, commentId)?.reactions || [];
+    setReactions(commentId, toggleReaction(previous, emoji, { _id: currentUserId }));
+    try {
+      setReactions(commentId, await toggleCommentReaction(taskId, commentId, emoji));
+    } catch (e) {
+      setReactions(commentId, previous);
+      notifyError(e?.response?.data?.message || 'Failed to update reaction');
+    }
+  };
+
   const handleUpload = async () => {
     try {
       setUploading(true);
@@ -404,12 +466,15 @@ const TaskComments = ({ taskId }) => {
     urls = [],
     statusChange = null,
   }) => {
-    await axiosInstance.post(`/tasks/${taskId}/comments`, {
+    const created = await addTaskComment(taskId, {
       comment: body,
       parentComment,
       attachments: urls,     // ensure backend stores this array
       statusChange,          // ensure backend supports statusChange in comment or also updates task status server-side
+      mentions: extractMentionIds(body), // backend notifies each mentioned user
     });
+    stopTyping();
+    return created; // { queued: true } when saved offline
   };
 
   const send = async () => {
@@ -417,7 +482,7 @@ const TaskComments = ({ taskId }) => {
     if (!body && !status && uploadedUrls.length === 0) return;
     setSending(true);
     try {
-      await postComment({
+      const created = await postComment({
         body,
         urls: uploadedUrls,
         statusChange: status || null,
@@ -425,8 +490,12 @@ const TaskComments = ({ taskId }) => {
       setText('');
       setStatus('');
       setUploadedUrls([]);
-      notifySuccess('Comment posted');
-      await load();
+      if (created?.queued) {
+        notifyQueued('Comment');
+      } else {
+        notifySuccess('Comment posted');
+        mergeComment(created);
+      }
     } catch (e) {
       notifyError(e?.response?.data?.message || 'Failed to post comment');
     } finally {
@@ -441,36 +510,19 @@ const TaskComments = ({ taskId }) => {
     statusChange = null
   ) => {
     try {
-      await postComment({
+      const created = await postComment({
         parentComment: parentId,
         body: replyText,
         urls: replyUrls,
         statusChange,
       });
-      await load();
+      if (created?.queued) notifyQueued('Reply');
+      else mergeComment(created);
     } catch {
       notifyError('Failed to post reply');
     }
   };
 
-  const openPreview = (urls, startIndex = 0) => {
-    const onlyImages = urls.filter(isImage);
-    const mapIndexToImages = onlyImages.length ? onlyImages : urls; // fallback if filter removed all due to query params
-    setPreviewUrls(mapIndexToImages);
-    setPreviewIndex(Math.min(startIndex, mapIndexToImages.length - 1));
-    setPreviewOpen(true);
-  };
-
-  const closePreview = () => setPreviewOpen(false);
-  const prevImg = () =>
-    setPreviewIndex((i) =>
-      i === 0 ? previewUrls.length - 1 : i - 1
-    );
-  const nextImg = () =>
-    setPreviewIndex((i) =>
-      i === previewUrls.length - 1 ? 0 : i + 1
-    );
-
   if (loading) return <Spinner animation="border" />;
 
   return (
@@ -490,18 +542,29 @@ const TaskComments = ({ taskId }) => {
             currentUserId={currentUserId}
             onReply={handleReply}
             onOpenPreview={openPreview}
+            onTyping={notifyTyping}
+            onReact={handleReact}
           />
         ))}
       </div>
 
+      {/* typing indicator */}
+      <div className="small text-muted fst-italic mb-1" style={{ minHeight: '1.25rem' }} aria-live="polite">
+        {describeTyping(typingUsers)}
+      </div>
+
       {/* composer */}
       <div className="p-3 border rounded-3 bg-light">
-        <Form.Control
-          as="textarea"
-          rows={2}
+        <MarkdownEditor
+          mentions
+          minHeight={64}
+          onPasteImages={(images) => uploadTaskImages(taskId, images)}
           placeholder="Write a message… (Enter to send, Shift+Enter for newline)"
           value={text}
-          onChange={(e) => setText(e.target.value)}
+          onChange={(e) => {
+            setText(e.target.value);
+            notifyTyping();
+          }}
           onKeyDown={(e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
               e.preventDefault();
@@ -591,39 +654,7 @@ const TaskComments = ({ taskId }) => {
       </div>
 
       {/* ---------- Image Preview Modal ---------- */}
-      <Modal show={previewOpen} onHide={closePreview} size="lg" centered>
-        <Modal.Header closeButton>
-          <Modal.Title>
-            {previewUrls[previewIndex]
-              ? previewUrls[previewIndex].split('/').pop()
-              : 'Preview'}
-          </Modal.Title>
-        </Modal.Header>
-        <Modal.Body className="text-center">
-          {previewUrls.length === 0 ? (
-            <div className="text-muted">No image to preview</div>
-          ) : (
-            <img
-              src={previewUrls[previewIndex]}
-              alt="preview"
-              style={{
-                maxWidth: '100%',
-                maxHeight: '70vh',
-                borderRadius: 8,
-              }}
-            />
-          )}
-        </Modal.Body>
-        {previewUrls.length > 1 && (
-          <Modal.Footer className="d-flex justify-content-between">
-            <Button variant="secondary" onClick={prevImg}>‹ Prev</Button>
-            <div className="text-muted small">
-              {previewIndex + 1} / {previewUrls.length}
-            </div>
-            <Button variant="secondary" onClick={nextImg}>Next ›</Button>
-          </Modal.Footer>
-        )}
-      </Modal>
+      <ImageLightbox {...preview} />
     </div>
   );
 };
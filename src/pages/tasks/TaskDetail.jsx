@@ -1,9 +1,17 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 
 import { Card, Button, Form, ListGroup, Spinner } from 'react-bootstrap';
 import axiosInstance from '../../Api/axiosInstance';
-import { notifyError, notifySuccess } from '../../utils/notifications';
+import { addTaskComment, fetchTaskDependencies, updateTaskStatus } from '../../Api/tasks';
+import DependencyGraph from '../../components/tasks/DependencyGraph';
+import TimeLog from '../../components/tasks/TimeLog';
+import MarkdownView from '../../components/common/MarkdownView';
+import { notifyError, notifyQueued, notifySuccess } from '../../utils/notifications';
+import { describeRecurrence } from '../../utils/recurrence';
+import { getBlockedMessage } from '../../utils/taskDependencies';
+import { useTaskEvents } from '../../hooks/useTaskEvents';
+import { getEventTaskId, mergeTaskUpdate } from '../../utils/taskEvents';
 
 
 const TaskDetail = () => {
@@ -15,6 +23,8 @@ const TaskDetail = () => {
     const [uploading, setUploading] = useState(false);
     const fileInputRef = useRef(null);
     const [history, setHistory] = useState([]);
+    const [dependencies, setDependencies] = useState({ blockedBy: [], blocks: [] });
+    const navigate = useNavigate();
 
     const uploadAttachment = async () => {
         if (!fileInputRef.current.files.length) {
@@ -62,15 +72,55 @@ useEffect(() => {
         fetchTask();
     }, [taskId]);
 
+    useEffect(() => {
+        const fetchDependencies = async () => {
+            try {
+                const data = await fetchTaskDependencies(taskId);
+                setDependencies({ blockedBy: data?.blockedBy || [], blocks: data?.blocks || [] });
+            } catch {
+                setDependencies({ blockedBy: [], blocks: [] });
+            }
+        };
+        fetchDependencies();
+    }, [taskId]);
+
+    // Live updates for the open task
+    useTaskEvents({
+        onUpdated: (updated) => {
+            if (updated?._id !== taskId) return;
+            setTask(prev => (prev ? mergeTaskUpdate(prev, updated) : prev));
+        },
+        onCommented: (payload) => {
+            if (getEventTaskId(payload) !== taskId) return;
+            if (!payload?.comment) {
+                fetchTask();
+                return;
+            }
+            setTask(prev => {
+                if (!prev || prev.comments?.some(c => c._id === payload.comment._id)) return prev;
+                return { ...prev, comments: [...(prev.comments || []), payload.comment] };
+            });
+        },
+        onDeleted: (payload) => {
+            if (getEventTaskId(payload) !== taskId) return;
+            notifyError('This task was deleted');
+            setTask(null);
+        },
+    });
+
     const addComment = async (e) => {
         e.preventDefault();
         if (!commentText.trim()) return;
         setAddingComment(true);
         try {
-            await axiosInstance.post(`/tasks/${taskId}/comments`, { text: commentText });
-            notifySuccess('Comment added');
+            const created = await addTaskComment(taskId, commentText);
             setCommentText('');
-            fetchTask();
+            if (created?.queued) {
+                notifyQueued('Comment');
+            } else {
+                notifySuccess('Comment added');
+                fetchTask();
+            }
         } catch (err) {
             notifyError('Failed to add comment');
         }
@@ -78,12 +128,22 @@ useEffect(() => {
     };
 
     const updateStatus = async (newStatus) => {
+        const blockedMessage = getBlockedMessage(dependencies.blockedBy, newStatus);
+        if (blockedMessage) {
+            notifyError(`${blockedMessage} - finish those first`);
+            return;
+        }
         try {
-            await axiosInstance.patch(`/tasks/${taskId}/status`, { status: newStatus });
-            notifySuccess('Status updated');
-            fetchTask();
+            const updated = await updateTaskStatus(taskId, newStatus, { expectedStatus: task.status });
+            if (updated?.queued) {
+                notifyQueued('Status change');
+                setTask(prev => (prev ? { ...prev, status: newStatus } : prev));
+            } else {
+                notifySuccess('Status updated');
+                fetchTask();
+            }
         } catch (err) {
-            notifyError('Failed to update status');
+            notifyError(err.response?.data?.message || 'Failed to update status');
         }
     };
 
@@ -99,8 +159,41 @@ useEffect(() => {
                     <small>Status: {task.status}</small>
                 </Card.Header>
                 <Card.Body>
-                    <p>{task.description}</p>
+                    {task.description && <MarkdownView text={task.description} className="mb-3" />}
                     <p><strong>Due Date:</strong> {new Date(task.dueDate).toLocaleDateString()}</p>
+                    {task.recurrence && (
+                        <p><strong>Repeats:</strong> {describeRecurrence(task.recurrence)}</p>
+                    )}
+
+                    {/* Dependencies */}
+                    {(dependencies.blockedBy.length > 0 || dependencies.blocks.length > 0) && (
+                        <div className="mb-3">
+                            <h5>Dependencies</h5>
+                            {[
+                                { label: 'Blocked by', items: dependencies.blockedBy },
+                                { label: 'Blocks', items: dependencies.blocks },
+                            ].map(({ label, items }) => items.length > 0 && (
+                                <p key={label} className="mb-1">
+                                    <strong>{label}:</strong>{' '}
+                                    {items.map((dep, i) => (
+                                        <span key={dep._id}>
+                                            {i > 0 && ', '}
+                                            <Link to={`/tasks/${dep._id}`}>{dep.title}</Link>{' '}
+                                            <small className="text-muted">({dep.status})</small>
+                                        </span>
+                                    ))}
+                                </p>
+                            ))}
+                            <div className="mt-2">
+                                <DependencyGraph
+                                    task={task}
+                                    blockedBy={dependencies.blockedBy}
+                                    blocks={dependencies.blocks}
+                                    onNodeClick={(dep) => navigate(`/tasks/${dep._id}`)}
+                                />
+                            </div>
+                        </div>
+                    )}
 
                     {/* Status update buttons */}
                     {task.status !== 'Completed' && (
@@ -110,6 +203,16 @@ useEffect(() => {
                         </div>
                     )}
 
+                    {/* Time Tracking */}
+                    <div className="mb-3">
+                        <h5>Time Tracking</h5>
+                        <TimeLog
+                            taskId={taskId}
+                            estimatedHours={task.estimatedHours}
+                            disabled={task.status === 'completed'}
+                        />
+                    </div>
+
                     {/* Comments Section */}
                     <h5>Comments</h5>
                     <ListGroup>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Container,
   Paper,
@@ -47,7 +47,9 @@ import {
   Toolbar,
   FormControlLabel,
   Switch,
-  Badge
+  Badge,
+  Pagination,
+  Checkbox
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -76,20 +78,50 @@ import {
   Menu as MenuIcon,
   ViewModule as ViewModuleIcon,
   ViewList as ViewListIcon,
+  ViewKanban as ViewKanbanIcon,
   Sort as SortIcon,
   SortByAlpha as SortByAlphaIcon,
   AccessTime as AccessTimeIcon,
   DateRange as DateRangeIcon,
   Today as TodayIcon,
-  FilterAlt as FilterAltIcon
+  FilterAlt as FilterAltIcon,
+  Bookmarks as BookmarksIcon,
+  BookmarkAdd as BookmarkAddIcon,
+  Delete as DeleteIcon,
+  Link as LinkIcon,
+  Repeat as RepeatIcon,
+  LibraryAdd as LibraryAddIcon,
+  Lock as LockIcon,
+  Timer as TimerIcon
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
-import { fetchMyTasks, updateTaskStatus } from '../../Api/tasks';
-import { useNavigate } from 'react-router-dom';
-import { notifyError, notifySuccess } from '../../utils/notifications';
+import { fetchTaskDependencies, fetchTasksPage, updateSubtask, updateTaskStatus } from '../../Api/tasks';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { notifyError, notifyQueued, notifySuccess } from '../../utils/notifications';
 import TaskComments from './TaskComments';
 import AttachmentModal from '../../components/common/AttachmentModal';
 import RecommendedTasks from './RecommendedTasks';
+import TaskBulkActions from './TaskBulkActions';
+import TaskBulkResultsDialog from './TaskBulkResultsDialog';
+import DependencyGraph from '../../components/tasks/DependencyGraph';
+import SubtaskChecklist from '../../components/tasks/SubtaskChecklist';
+import TaskTimer from '../../components/tasks/TaskTimer';
+import { getPriorityColor, getStatusColor } from '../../utils/taskColors';
+import { addDays, fromDateInputValue, startOfDay, startOfMonth, startOfWeek } from '../../utils/dates';
+import { useSavedViews } from '../../hooks/useSavedViews';
+import { useTaskEvents } from '../../hooks/useTaskEvents';
+import { useRecentlyChanged } from '../../hooks/useRecentlyChanged';
+import { getEventTaskId, mergeTaskUpdate } from '../../utils/taskEvents';
+import { describeRecurrence } from '../../utils/recurrence';
+import { buildTemplate } from '../../utils/taskTemplates';
+import { getBlockedMessage } from '../../utils/taskDependencies';
+import { computeSubtaskProgress, isSubtaskDone } from '../../utils/subtasks';
+import { fetchTaskTimeEntries } from '../../Api/timeEntries';
+import { formatDuration } from '../../utils/time';
+import { markdownToText } from '../../utils/markdown';
+import MarkdownView from '../../components/common/MarkdownView';
+import { createTaskTemplate } from '../../Api/taskTemplates';
+import { useAuth } from '../../contexts/AuthContext';
 
 // Helper function to render assignee avatars - Responsive
 const AssigneeAvatars = ({ assignees, maxDisplay = 3, size = 'medium' }) => {
@@ -183,14 +215,7 @@ const AssigneeAvatars = ({ assignees, maxDisplay = 3, size = 'medium' }) => {
 
 // Priority Badge Component - Responsive
 const PriorityBadge = ({ priority, size = 'medium' }) => {
-  const getColor = () => {
-    switch (priority) {
-      case 'high': return '#dc267f';
-      case 'medium': return '#ff9800';
-      case 'low': return '#4caf50';
-      default: return '#9e9e9e';
-    }
-  };
+  const getColor = () => getPriorityColor(priority);
 
   return (
     <Chip
@@ -210,14 +235,7 @@ const PriorityBadge = ({ priority, size = 'medium' }) => {
 
 // Status Badge Component - Responsive
 const StatusBadge = ({ status, size = 'medium' }) => {
-  const getColor = () => {
-    switch (status) {
-      case 'completed': return '#4caf50';
-      case 'ongoing': return '#ff9800';
-      case 'pending': return '#9e9e9e';
-      default: return '#9e9e9e';
-    }
-  };
+  const getColor = () => getStatusColor(status);
 
   return (
     <Chip
@@ -323,31 +341,40 @@ const LastUpdatedBadge = ({ updatedAt, size = 'medium' }) => {
 };
 
 // Responsive Task View Modal Component
-const TaskViewModal = ({ open, onClose, task, onEdit }) => {
+const TaskViewModal = ({ open, onClose, task, onEdit, onSaveAsTemplate, onToggleSubtask }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const isTablet = useMediaQuery(theme.breakpoints.between('sm', 'md'));
   const [imagePreview, setImagePreview] = useState(null);
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocks: [] });
+  const [loggedMinutes, setLoggedMinutes] = useState(null);
+  const navigate = useNavigate();
 
-  if (!task) return null;
+  const taskId = task?._id;
+  useEffect(() => {
+    if (!open || !taskId) return undefined;
+    let cancelled = false;
+    setDependencies({ blockedBy: [], blocks: [] });
+    fetchTaskDependencies(taskId)
+      .then(data => {
+        if (!cancelled) setDependencies({ blockedBy: data?.blockedBy || [], blocks: data?.blocks || [] });
+      })
+      .catch(err => console.error('Failed to load task dependencies:', err));
+    setLoggedMinutes(null);
+    fetchTaskTimeEntries(taskId)
+      .then(data => {
+        if (!cancelled) setLoggedMinutes(data?.totalMinutes ?? 0);
+      })
+      .catch(err => console.error('Failed to load time entries:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, taskId]);
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed': return '#4caf50';
-      case 'ongoing': return '#ff9800';
-      case 'pending': return '#9e9e9e';
-      default: return '#9e9e9e';
-    }
-  };
+  if (!task) return null;
 
-  const getPriorityColor = (priority) => {
-    switch (priority) {
-      case 'high': return '#dc267f';
-      case 'medium': return '#ff9800';
-      case 'low': return '#4caf50';
-      default: return '#9e9e9e';
-    }
-  };
+  const openTask = (dep) => navigate(`/tasks/${dep._id}`);
+  const estimatedMinutes = (Number(task.estimatedHours) || 0) * 60;
 
   const getFileIcon = (filename) => {
     const extension = filename.split('.').pop().toLowerCase();
@@ -451,8 +478,8 @@ const TaskViewModal = ({ open, onClose, task, onEdit }) => {
               </Box>
 
               {task.description && (
-                <Typography variant="body1" color="text.secondary" sx={{ lineHeight: 1.6 }}>
-                  {task.description}
+                <Typography component="div" variant="body1" color="text.secondary" sx={{ lineHeight: 1.6 }}>
+                  <MarkdownView text={task.description} />
                 </Typography>
               )}
             </Box>
@@ -483,6 +510,20 @@ const TaskViewModal = ({ open, onClose, task, onEdit }) => {
                   }
                 }}
               />
+
+              {task.subtasks?.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#1a2752', mb: 1 }}>
+                    Subtasks ({task.subtasks.filter(isSubtaskDone).length}/{task.subtasks.length})
+                  </Typography>
+                  <SubtaskChecklist
+                    subtasks={task.subtasks}
+                    taskAssignees={task.assignees}
+                    onToggle={(subtask) => onToggleSubtask(task._id, subtask)}
+                    disabled={task.status === 'completed'}
+                  />
+                </Box>
+              )}
             </Paper>
 
             {/* Assignment Details */}
@@ -527,8 +568,106 @@ const TaskViewModal = ({ open, onClose, task, onEdit }) => {
                   {task.updatedAt ? new Date(task.updatedAt).toLocaleString() : 'Not available'}
                 </Typography>
               </Grid>
+
+              <Grid item xs={12} sm={6}>
+                <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#1a2752', mb: 1 }}>
+                  <TimerIcon sx={{ mr: 1, fontSize: 20 }} />
+                  Time Logged
+                </Typography>
+                <Typography variant="body1" color="text.secondary">
+                  {loggedMinutes === null ? '...' : formatDuration(loggedMinutes)}
+                  {estimatedMinutes > 0 && ` of ${formatDuration(estimatedMinutes)} estimated`}
+                </Typography>
+                {estimatedMinutes > 0 && loggedMinutes !== null && (
+                  <LinearProgress
+                    variant="determinate"
+                    value={Math.min(100, (loggedMinutes / estimatedMinutes) * 100)}
+                    sx={{
+                      mt: 1,
+                      height: 6,
+                      borderRadius: 3,
+                      backgroundColor: 'rgba(26, 39, 82, 0.1)',
+                      '& .MuiLinearProgress-bar': {
+                        borderRadius: 3,
+                        backgroundColor: loggedMinutes > estimatedMinutes ? '#dc267f' : '#4caf50'
+                      }
+                    }}
+                  />
+                )}
+              </Grid>
+
+              {task.recurrence && (
+                <Grid item xs={12} sm={6}>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#1a2752', mb: 1 }}>
+                    <RepeatIcon sx={{ mr: 1, fontSize: 20 }} />
+                    Repeats
+                  </Typography>
+                  <Typography variant="body1" color="text.secondary">
+                    {describeRecurrence(task.recurrence)}
+                  </Typography>
+                </Grid>
+              )}
             </Grid>
 
+            {/* Dependencies */}
+            {(dependencies.blockedBy.length > 0 || dependencies.blocks.length > 0) && (
+              <Paper
+                elevation={1}
+                sx={{
+                  p: isMobile ? 2 : 3,
+                  mb: 3,
+                  borderRadius: 2,
+                  border: '1px solid rgba(26, 39, 82, 0.1)'
+                }}
+              >
+                <Typography variant="h6" sx={{ fontWeight: 600, color: '#1a2752', mb: 2 }}>
+                  Dependencies
+                </Typography>
+
+                <Grid container spacing={2} sx={{ mb: 2 }}>
+                  {[
+                    { label: 'Blocked by', items: dependencies.blockedBy },
+                    { label: 'Blocks', items: dependencies.blocks }
+                  ].map(({ label, items }) => (
+                    <Grid item xs={12} sm={6} key={label}>
+                      <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#1a2752', mb: 1 }}>
+                        {label} ({items.length})
+                      </Typography>
+                      {items.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary">None</Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                          {items.map(dep => (
+                            <Chip
+                              key={dep._id}
+                              size="small"
+                              label={dep.title}
+                              icon={dep.status === 'completed' ? <CheckCircleIcon /> : <LockIcon />}
+                              onClick={() => openTask(dep)}
+                              sx={{
+                                borderColor: getStatusColor(dep.status),
+                                '& .MuiChip-icon': { color: getStatusColor(dep.status) }
+                              }}
+                              variant="outlined"
+                            />
+                          ))}
+                        </Box>
+                      )}
+                    </Grid>
+                  ))}
+                </Grid>
+
+                {!isMobile && (
+                  <DependencyGraph
+                    task={task}
+                    blockedBy={dependencies.blockedBy}
+                    blocks={dependencies.blocks}
+                    onNodeClick={openTask}
+                  />
+                )}
+              </Paper>
+            )}
+
             {/* Attachments */}
             {task.attachments && task.attachments.length > 0 && (
               <Paper
@@ -628,23 +767,42 @@ const TaskViewModal = ({ open, onClose, task, onEdit }) => {
           >
             Close
           </Button>
-          
-          {task.status !== 'completed' && (
+
+          <Box sx={{ display: 'flex', gap: 1, flexDirection: isMobile ? 'column' : 'row', width: isMobile ? '100%' : 'auto' }}>
             <Button
-              variant="contained"
-              startIcon={<EditIcon />}
-              onClick={() => onEdit(task._id)}
+              variant="outlined"
+              startIcon={<LibraryAddIcon />}
+              onClick={() => onSaveAsTemplate(task)}
               fullWidth={isMobile}
               sx={{
-                backgroundColor: '#dc267f',
+                borderColor: '#1a2752',
+                color: '#1a2752',
                 '&:hover': {
-                  backgroundColor: '#b91c5c'
+                  borderColor: '#dc267f',
+                  color: '#dc267f'
                 }
               }}
             >
-              Edit Task
+              Save as Template
             </Button>
-          )}
+            
+            {task.status !== 'completed' && (
+              <Button
+                variant="contained"
+                startIcon={<EditIcon />}
+                onClick={() => onEdit(task._id)}
+                fullWidth={isMobile}
+                sx={{
+                  backgroundColor: '#dc267f',
+                  '&:hover': {
+                    backgroundColor: '#b91c5c'
+                  }
+                }}
+              >
+                Edit Task
+              </Button>
+            )}
+          </Box>
         </DialogActions>
       </Dialog>
 
@@ -694,9 +852,13 @@ const TaskViewModal = ({ open, onClose, task, onEdit }) => {
   );
 };
 
+// Background for rows/cards that just changed via a live update
+const CHANGED_HIGHLIGHT = 'rgba(220, 38, 127, 0.08)';
+
 // Enhanced Mobile Task Card Component
-const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleComments, onViewTask, showComments }) => {
+const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleComments, onViewTask, onToggleSubtask, showComments, highlighted = false }) => {
   const [anchorEl, setAnchorEl] = useState(null);
+  const [showSubtasks, setShowSubtasks] = useState(false);
   const theme = useTheme();
   const isSmallMobile = useMediaQuery(theme.breakpoints.down(400));
 
@@ -724,7 +886,8 @@ const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleCom
           mb: 2,
           borderRadius: 3,
           boxShadow: '0 4px 20px rgba(26, 39, 82, 0.1)',
-          border: '1px solid rgba(26, 39, 82, 0.1)',
+          border: highlighted ? '1px solid #dc267f' : '1px solid rgba(26, 39, 82, 0.1)',
+          backgroundColor: highlighted ? CHANGED_HIGHLIGHT : undefined,
           '&:hover': {
             boxShadow: '0 8px 30px rgba(26, 39, 82, 0.15)',
             transform: 'translateY(-2px)',
@@ -781,7 +944,7 @@ const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleCom
                 textOverflow: 'ellipsis'
               }}
             >
-              {task.description}
+              {markdownToText(task.description)}
             </Typography>
           )}
 
@@ -806,6 +969,29 @@ const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleCom
             />
           </Box>
 
+          {/* Subtasks */}
+          {task.subtasks?.length > 0 && (
+            <Box sx={{ mb: 2 }}>
+              <Button
+                size="small"
+                onClick={() => setShowSubtasks(prev => !prev)}
+                endIcon={showSubtasks ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                sx={{ color: '#1a2752', px: 0, textTransform: 'none', fontWeight: 600 }}
+              >
+                Subtasks {task.subtasks.filter(isSubtaskDone).length}/{task.subtasks.length}
+              </Button>
+              <Collapse in={showSubtasks}>
+                <SubtaskChecklist
+                  subtasks={task.subtasks}
+                  taskAssignees={task.assignees}
+                  onToggle={(subtask) => onToggleSubtask(task._id, subtask)}
+                  disabled={task.status === 'completed'}
+                  dense
+                />
+              </Collapse>
+            </Box>
+          )}
+
           {/* Details Grid */}
           <Grid container spacing={isSmallMobile ? 1 : 2} sx={{ mb: 2 }}>
             <Grid item xs={12} sm={6}>
@@ -940,8 +1126,10 @@ const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleCom
             display: 'flex', 
             gap: 0.5,
             width: isSmallMobile ? '100%' : 'auto',
-            justifyContent: isSmallMobile ? 'center' : 'flex-end'
+            justifyContent: isSmallMobile ? 'center' : 'flex-end',
+            alignItems: 'center'
           }}>
+            <TaskTimer taskId={task._id} disabled={task.status === 'completed'} />
             <IconButton
               size="small"
               onClick={() => onViewAttachments(task.attachments)}
@@ -972,6 +1160,297 @@ const TaskCard = ({ task, onEdit, onStatusUpdate, onViewAttachments, onToggleCom
   );
 };
 
+// Board columns, in workflow order
+const BOARD_COLUMNS = [
+  { status: 'pending', title: 'Pending' },
+  { status: 'ongoing', title: 'Ongoing' },
+  { status: 'completed', title: 'Completed' }
+];
+
+// Compact card used inside the Kanban board
+const BoardCard = ({ task, onViewTask, onDragStart, onDragEnd, isDragging, highlighted = false }) => {
+  const locked = task.status === 'completed';
+
+  return (
+    <Card
+      draggable={!locked}
+      onDragStart={(e) => onDragStart(e, task)}
+      onDragEnd={onDragEnd}
+      onClick={() => onViewTask(task)}
+      sx={{
+        mb: 1.5,
+        borderRadius: 2,
+        cursor: locked ? 'pointer' : 'grab',
+        opacity: isDragging ? 0.4 : 1,
+        border: highlighted ? '1px solid #dc267f' : '1px solid rgba(26, 39, 82, 0.1)',
+        backgroundColor: highlighted ? CHANGED_HIGHLIGHT : undefined,
+        boxShadow: '0 2px 10px rgba(26, 39, 82, 0.08)',
+        '&:hover': {
+          boxShadow: '0 4px 16px rgba(26, 39, 82, 0.15)'
+        },
+        '&:active': {
+          cursor: locked ? 'pointer' : 'grabbing'
+        },
+        transition: 'all 0.2s ease'
+      }}
+    >
+      <CardContent sx={{ p: 1.5, '&:last-child': { pb: 1.5 } }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 1, mb: 1 }}>
+          <Typography
+            variant="subtitle2"
+            sx={{ fontWeight: 700, color: '#1a2752', lineHeight: 1.3, wordBreak: 'break-word' }}
+          >
+            {task.title}
+          </Typography>
+          <PriorityBadge priority={task.priority} size="small" />
+        </Box>
+
+        <LinearProgress
+          variant="determinate"
+          value={task.progress || 0}
+          sx={{
+            height: 4,
+            borderRadius: 2,
+            mb: 1,
+            backgroundColor: 'rgba(26, 39, 82, 0.1)',
+            '& .MuiLinearProgress-bar': {
+              borderRadius: 2,
+              backgroundColor: '#4caf50'
+            }
+          }}
+        />
+
+        <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+          <CalendarIcon sx={{ fontSize: 16, color: 'text.secondary' }} />
+          <Typography variant="caption" color="text.secondary">
+            {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date'}
+          </Typography>
+          {!locked && <DueDateWarning dueDate={task.dueDate} size="small" />}
+        </Box>
+
+        <AssigneeAvatars assignees={task.assignees} maxDisplay={3} size="small" />
+      </CardContent>
+    </Card>
+  );
+};
+
+// Kanban board view - dragging a card between columns changes its status
+const TaskBoard = ({ tasks, onStatusChange, onViewTask, isChanged = () => false }) => {
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const handleDragStart = (event, task) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', task._id);
+    setDraggedTask(task);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedTask(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (event, status) => {
+    if (!draggedTask || draggedTask.status === status) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== status) setDropTarget(status);
+  };
+
+  const handleDrop = (event, status) => {
+    event.preventDefault();
+    const task = draggedTask;
+    handleDragEnd();
+    if (task && task.status !== status) {
+      onStatusChange(task._id, status);
+    }
+  };
+
+  return (
+    <Grid container spacing={2} sx={{ alignItems: 'stretch' }}>
+      {BOARD_COLUMNS.map(column => {
+        const columnTasks = tasks.filter(t => t.status === column.status);
+        const isTarget = dropTarget === column.status;
+
+        return (
+          <Grid item xs={12} md={4} key={column.status}>
+            <Paper
+              onDragOver={(e) => handleDragOver(e, column.status)}
+              onDragLeave={() => setDropTarget(prev => (prev === column.status ? null : prev))}
+              onDrop={(e) => handleDrop(e, column.status)}
+              sx={{
+                p: 1.5,
+                height: '100%',
+                minHeight: 300,
+                borderRadius: 3,
+                backgroundColor: isTarget ? 'rgba(220, 38, 127, 0.06)' : 'rgba(26, 39, 82, 0.03)',
+                border: isTarget ? '2px dashed #dc267f' : '2px dashed transparent',
+                transition: 'all 0.2s ease'
+              }}
+            >
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1.5, px: 0.5 }}>
+                <Typography variant="subtitle1" sx={{ fontWeight: 700, color: '#1a2752' }}>
+                  {column.title}
+                </Typography>
+                <Chip label={columnTasks.length} size="small" sx={{ fontWeight: 600 }} />
+              </Box>
+
+              {columnTasks.length === 0 ? (
+                <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+                  {column.status === 'completed' ? 'Drop tasks here to complete them' : 'No tasks'}
+                </Typography>
+              ) : (
+                columnTasks.map(task => (
+                  <BoardCard
+                    key={task._id}
+                    task={task}
+                    onViewTask={onViewTask}
+                    onDragStart={handleDragStart}
+                    onDragEnd={handleDragEnd}
+                    isDragging={draggedTask?._id === task._id}
+                    highlighted={isChanged(task._id)}
+                  />
+                ))
+              )}
+            </Paper>
+          </Grid>
+        );
+      })}
+    </Grid>
+  );
+};
+
+// Saved views menu - apply, save or delete named filter presets, or copy a link to the current view
+const SavedViewsMenu = ({ views, activeViewId, onApply, onSave, onDelete, buttonSx, size = 'medium' }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const nameTaken = views.some(v => v.name.toLowerCase() === name.trim().toLowerCase());
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setSaveOpen(false);
+    setName('');
+  };
+
+  const handleCopyLink = async () => {
+    setAnchorEl(null);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      notifySuccess('Link to this view copied');
+    } catch {
+      notifyError('Could not copy link');
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<BookmarksIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        size={size}
+        sx={buttonSx}
+      >
+        Views
+      </Button>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{
+          sx: {
+            minWidth: 240,
+            borderRadius: 2,
+            border: '1px solid rgba(26, 39, 82, 0.1)',
+            boxShadow: '0 8px 32px rgba(26, 39, 82, 0.15)'
+          }
+        }}
+      >
+        {views.length === 0 && (
+          <MenuItem disabled>No saved views yet</MenuItem>
+        )}
+        {views.map(view => (
+          <MenuItem
+            key={view.id}
+            selected={view.id === activeViewId}
+            onClick={() => {
+              onApply(view);
+              setAnchorEl(null);
+            }}
+          >
+            <Typography variant="body2" sx={{ flexGrow: 1, mr: 1 }} noWrap>
+              {view.name}
+            </Typography>
+            <IconButton
+              size="small"
+              edge="end"
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete(view.id);
+              }}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setAnchorEl(null);
+            setSaveOpen(true);
+          }}
+        >
+          <BookmarkAddIcon fontSize="small" sx={{ mr: 1, color: '#1a2752' }} />
+          Save current view…
+        </MenuItem>
+        <MenuItem onClick={handleCopyLink}>
+          <LinkIcon fontSize="small" sx={{ mr: 1, color: '#1a2752' }} />
+          Copy link
+        </MenuItem>
+      </Menu>
+
+      <Dialog open={saveOpen} onClose={() => setSaveOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ color: '#1a2752', fontWeight: 600 }}>Save View</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="View name"
+            placeholder="e.g. My overdue high-priority"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSave();
+            }}
+            helperText={nameTaken
+              ? 'A view with this name will be replaced'
+              : 'Saves the current filters, sorting and layout'}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)} sx={{ color: '#1a2752' }}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={!name.trim()}
+            sx={{ backgroundColor: '#dc267f', '&:hover': { backgroundColor: '#b91c5c' } }}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
 // Responsive Header Component
 const ResponsiveHeader = ({ 
   searchQuery, 
@@ -984,12 +1463,38 @@ const ResponsiveHeader = ({
   sortBy,
   setSortBy,
   sortOrder,
-  setSortOrder
+  setSortOrder,
+  savedViews,
+  activeViewId,
+  onApplyView,
+  onSaveView,
+  onDeleteView
 }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const isTablet = useMediaQuery(theme.breakpoints.between('sm', 'md'));
 
+  const outlinedButtonSx = {
+    borderColor: 'white',
+    color: 'white',
+    '&:hover': {
+      borderColor: '#dc267f',
+      backgroundColor: 'rgba(220, 38, 127, 0.1)'
+    }
+  };
+
+  const savedViewsMenu = (
+    <SavedViewsMenu
+      views={savedViews}
+      activeViewId={activeViewId}
+      onApply={onApplyView}
+      onSave={onSaveView}
+      onDelete={onDeleteView}
+      buttonSx={outlinedButtonSx}
+      size={isMobile ? 'small' : 'medium'}
+    />
+  );
+
   return (
     <motion.div
       initial={{ opacity: 0, y: -20 }}
@@ -1117,22 +1622,18 @@ const ResponsiveHeader = ({
 
             {/* Action Buttons */}
             <Box sx={{ display: 'flex', gap: 1, justifyContent: 'space-between', alignItems: 'center' }}>
-              <Button
-                variant="outlined"
-                startIcon={<FilterIcon />}
-                onClick={() => setShowFilters(!showFilters)}
-                size="small"
-                sx={{
-                  borderColor: 'white',
-                  color: 'white',
-                  '&:hover': {
-                    borderColor: '#dc267f',
-                    backgroundColor: 'rgba(220, 38, 127, 0.1)'
-                  }
-                }}
-              >
-                Filters
-              </Button>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  variant="outlined"
+                  startIcon={<FilterIcon />}
+                  onClick={() => setShowFilters(!showFilters)}
+                  size="small"
+                  sx={outlinedButtonSx}
+                >
+                  Filters
+                </Button>
+                {savedViewsMenu}
+              </Box>
               
               <Fab
                 color="primary"
@@ -1259,17 +1760,12 @@ const ResponsiveHeader = ({
                 variant="outlined"
                 startIcon={<FilterIcon />}
                 onClick={() => setShowFilters(!showFilters)}
-                sx={{
-                  borderColor: 'white',
-                  color: 'white',
-                  '&:hover': {
-                    borderColor: '#dc267f',
-                    backgroundColor: 'rgba(220, 38, 127, 0.1)'
-                  }
-                }}
+                sx={outlinedButtonSx}
               >
                 Filters
               </Button>
+
+              {savedViewsMenu}
               
               <Button
                 variant="contained"
@@ -1299,7 +1795,6 @@ const ResponsiveFilters = ({
   priorityFilter, 
   setPriorityFilter,
   searchQuery,
-  setSearchQuery,
   filteredTasksCount,
   totalTasksCount,
   dateFilter,
@@ -1307,7 +1802,8 @@ const ResponsiveFilters = ({
   dateRangeStart,
   setDateRangeStart,
   dateRangeEnd,
-  setDateRangeEnd
+  setDateRangeEnd,
+  onClearFilters
 }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
@@ -1484,14 +1980,7 @@ const ResponsiveFilters = ({
                 {activeFiltersCount > 0 && (
                   <Button
                     size="small"
-                    onClick={() => {
-                      setStatusFilter('');
-                      setPriorityFilter('');
-                      setSearchQuery('');
-                      setDateFilter('all');
-                      setDateRangeStart('');
-                      setDateRangeEnd('');
-                    }}
+                    onClick={onClearFilters}
                     sx={{
                       color: '#dc267f',
                       textTransform: 'none',
@@ -1514,6 +2003,58 @@ const ResponsiveFilters = ({
   );
 };
 
+// Query string defaults - values equal to these are left out of the URL
+const TASK_QUERY_DEFAULTS = {
+  status: '',
+  priority: '',
+  q: '',
+  sort: 'updatedAt',
+  order: 'desc',
+  date: 'all',
+  start: '',
+  end: '',
+  page: '1',
+  limit: '25',
+  view: 'table'
+};
+
+// Query string without the page number, in a stable order, for comparing saved views
+const normalizeViewQuery = (params) => {
+  const normalized = new URLSearchParams(params);
+  normalized.delete('page');
+  normalized.sort();
+  return normalized.toString();
+};
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Turn the Date Filter selection into an updatedAt range for the API (from inclusive, to exclusive)
+const getDateFilterRange = (filterType, customStart, customEnd) => {
+  const today = startOfDay(new Date());
+
+  switch (filterType) {
+    case 'today':
+      return { from: today };
+    case 'yesterday':
+      return { from: addDays(today, -1), to: today };
+    case 'thisWeek':
+      return { from: startOfWeek(today) };
+    case 'lastWeek':
+      return { from: addDays(startOfWeek(today), -7), to: startOfWeek(today) };
+    case 'thisMonth':
+      return { from: startOfMonth(today) };
+    case 'lastMonth':
+      return { from: new Date(today.getFullYear(), today.getMonth() - 1, 1), to: startOfMonth(today) };
+    case 'custom':
+      return {
+        from: customStart ? fromDateInputValue(customStart) : undefined,
+        to: customEnd ? addDays(fromDateInputValue(customEnd), 1) : undefined
+      };
+    default:
+      return {};
+  }
+};
+
 // Main TaskList Component with Enhanced Sorting and Filtering
 const TaskList = () => {
   const navigate = useNavigate();
@@ -1522,37 +2063,132 @@ const TaskList = () => {
   const isTablet = useMediaQuery(theme.breakpoints.between('sm', 'md'));
   const isDesktop = useMediaQuery(theme.breakpoints.up('lg'));
   
+  const [searchParams, setSearchParams] = useSearchParams();
   const [tasks, setTasks] = useState([]);
+  const [totalTasks, setTotalTasks] = useState(0);
+  const [pageCount, setPageCount] = useState(1);
   const [loading, setLoading] = useState(true);
+  const [fetching, setFetching] = useState(false);
   const [error, setError] = useState('');
-  const [statusFilter, setStatusFilter] = useState('');
-  const [priorityFilter, setPriorityFilter] = useState('');
-  const [searchQuery, setSearchQuery] = useState('');
   const [showFilters, setShowFilters] = useState(false);
   const [showAttachmentModal, setShowAttachmentModal] = useState(false);
   const [selectedAttachments, setSelectedAttachments] = useState([]);
   const [visibleCommentsTaskId, setVisibleCommentsTaskId] = useState(null);
   const [showViewModal, setShowViewModal] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
-  const [viewMode, setViewMode] = useState(isMobile ? 'card' : 'table');
-  
-  // New sorting and date filtering states
-  const [sortBy, setSortBy] = useState('updatedAt');
-  const [sortOrder, setSortOrder] = useState('desc');
-  const [dateFilter, setDateFilter] = useState('all');
-  const [dateRangeStart, setDateRangeStart] = useState('');
-  const [dateRangeEnd, setDateRangeEnd] = useState('');
-
-  // Load tasks function with proper error handling
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [bulkResults, setBulkResults] = useState(null);
+  const [templateSource, setTemplateSource] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const { user } = useAuth();
+  const { views: savedViews, saveView, deleteView } = useSavedViews('tasks', user?._id || user?.id);
+  const requestIdRef = useRef(0);
+
+  // Filters, sorting and paging live in the query string so links can be shared
+  const getParam = (key) => searchParams.get(key) ?? TASK_QUERY_DEFAULTS[key];
+  const statusFilter = getParam('status');
+  const priorityFilter = getParam('priority');
+  const searchQuery = getParam('q');
+  const sortBy = getParam('sort');
+  const sortOrder = getParam('order');
+  const dateFilter = getParam('date');
+  const dateRangeStart = getParam('start');
+  const dateRangeEnd = getParam('end');
+  const page = Number(getParam('page')) || 1;
+  const limit = Number(getParam('limit')) || Number(TASK_QUERY_DEFAULTS.limit);
+  const viewMode = getParam('view');
+
+  // Search box is debounced before it reaches the URL (and the API)
+  const [searchInput, setSearchInput] = useState(searchQuery);
+
+  // Any change other than the page itself sends the user back to page 1
+  const updateParams = useCallback((changes, { resetPage = true } = {}) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === undefined || value === null || String(value) === TASK_QUERY_DEFAULTS[key]) {
+          next.delete(key);
+        } else {
+          next.set(key, String(value));
+        }
+      });
+      if (resetPage) next.delete('page');
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const setStatusFilter = (value) => updateParams({ status: value });
+  const setPriorityFilter = (value) => updateParams({ priority: value });
+  const setSortBy = (value) => updateParams({ sort: value });
+  const setSortOrder = (value) => updateParams({ order: value });
+  const setDateFilter = (value) => updateParams({ date: value });
+  const setDateRangeStart = (value) => updateParams({ start: value });
+  const setDateRangeEnd = (value) => updateParams({ end: value });
+  const setViewMode = (value) => updateParams({ view: value }, { resetPage: false });
+
+  const currentViewQuery = normalizeViewQuery(searchParams);
+  const activeViewId = savedViews.find(v => v.query === currentViewQuery)?.id || null;
+
+  const handleApplyView = (view) => {
+    setSearchParams(new URLSearchParams(view.query));
+  };
+
+  const handleSaveView = (name) => {
+    saveView(name, currentViewQuery);
+    notifySuccess(`View "${name}" saved`);
+  };
+
+  const handleClearFilters = () => {
+    setSearchInput('');
+    updateParams({ status: '', priority: '', q: '', date: '', start: '', end: '' });
+  };
+
+  const handlePageChange = (_, value) => {
+    updateParams({ page: value }, { resetPage: false });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  useEffect(() => {
+    setSearchInput(searchQuery);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    if (searchInput.trim() === searchQuery) return;
+    const timer = setTimeout(() => updateParams({ q: searchInput.trim() }), 400);
+    return () => clearTimeout(timer);
+  }, [searchInput, searchQuery, updateParams]);
+
+  // Load one page of tasks; responses from superseded requests are ignored
   const loadTasks = useCallback(async () => {
-    setLoading(true);
+    const requestId = ++requestIdRef.current;
+    setFetching(true);
     try {
-      console.log('📡 Loading tasks...');
-      const data = await fetchMyTasks();
-      setTasks(data || []);
+      const { from, to } = getDateFilterRange(dateFilter, dateRangeStart, dateRangeEnd);
+      const result = await fetchTasksPage({
+        page,
+        limit,
+        sort: sortBy,
+        order: sortOrder,
+        status: statusFilter,
+        priority: priorityFilter,
+        q: searchQuery,
+        from: from?.toISOString(),
+        to: to?.toISOString()
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      setTasks(result.tasks);
+      setTotalTasks(result.total);
+      setPageCount(result.pages);
       setError('');
-      console.log('✅ Tasks loaded successfully:', data?.length || 0, 'tasks');
+
+      // Deleted or filtered-out tasks can leave us past the last page
+      if (page > result.pages) {
+        updateParams({ page: result.pages }, { resetPage: false });
+      }
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       console.error('❌ Failed to load tasks:', err);
       
       if (err.response?.status === 429) {
@@ -1562,21 +2198,64 @@ const TaskList = () => {
         notifyError('Failed to load tasks');
       }
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setFetching(false);
+      }
     }
-  }, []);
+  }, [page, limit, sortBy, sortOrder, statusFilter, priorityFilter, searchQuery, dateFilter, dateRangeStart, dateRangeEnd, updateParams]);
 
   // Load tasks on component mount
   useEffect(() => {
     loadTasks();
   }, [loadTasks]);
 
-  // Update view mode based on screen size
-  useEffect(() => {
-    if (isMobile) {
-      setViewMode('card');
+  // Live updates: merge socket events into the current page instead of reloading it
+  const { isChanged, markChanged } = useRecentlyChanged();
+
+  const matchesFilters = (task) =>
+    (!statusFilter || task.status === statusFilter) &&
+    (!priorityFilter || task.priority === priorityFilter);
+
+  // Merge a changed task into the page; drop it if it no longer matches the filters
+  const applyTaskUpdate = (changes) => {
+    const existing = tasks.find(t => t._id === changes._id);
+    if (!existing) return;
+    if (matchesFilters(mergeTaskUpdate(existing, changes))) {
+      setTasks(prev => prev.map(t => (t._id === changes._id ? mergeTaskUpdate(t, changes) : t)));
+    } else {
+      setTasks(prev => prev.filter(t => t._id !== changes._id));
+      setTotalTasks(total => Math.max(0, total - 1));
     }
-  }, [isMobile]);
+  };
+
+  useTaskEvents({
+    onCreated: (task) => {
+      // New tasks show up on the first page of an unsearched list
+      if (!task?._id || page !== 1 || searchQuery || dateFilter !== 'all' || !matchesFilters(task)) return;
+      if (tasks.some(t => t._id === task._id)) return;
+      setTasks(prev => [task, ...prev].slice(0, limit));
+      setTotalTasks(total => total + 1);
+      markChanged(task._id);
+    },
+    onUpdated: (task) => {
+      if (!task?._id) return;
+      applyTaskUpdate(task);
+      markChanged(task._id);
+    },
+    onDeleted: (payload) => {
+      const taskId = getEventTaskId(payload);
+      if (!tasks.some(t => t._id === taskId)) return;
+      setTasks(prev => prev.filter(t => t._id !== taskId));
+      setTotalTasks(total => Math.max(0, total - 1));
+    },
+    onCommented: (payload) => markChanged(getEventTaskId(payload)),
+  });
+
+  // Drop selections for tasks that are no longer on the current page
+  useEffect(() => {
+    setSelectedTaskIds(prev => prev.filter(id => tasks.some(t => t._id === id)));
+  }, [tasks]);
 
   const handleViewAttachments = (attachments) => {
     setSelectedAttachments(attachments || []);
@@ -1593,12 +2272,76 @@ const TaskList = () => {
       notifyError(`Task is already "${newStatus}"`);
       return;
     }
+    const blockedMessage = getBlockedMessage(task.dependencies, newStatus);
+    if (blockedMessage) {
+      notifyError(`${blockedMessage} - finish those first`);
+      return;
+    }
     try {
-      await updateTaskStatus(taskId, newStatus);
-      notifySuccess(`Task status updated to "${newStatus}"`);
-      loadTasks(); // Reload tasks after status update
-    } catch {
-      notifyError('Failed to update task status');
+      const updated = await updateTaskStatus(taskId, newStatus, { expectedStatus: task.status });
+      if (updated?.queued) {
+        notifyQueued('Status change');
+        applyTaskUpdate({ _id: taskId, status: newStatus });
+      } else {
+        notifySuccess(`Task status updated to "${newStatus}"`);
+        applyTaskUpdate({ ...updated, _id: taskId, status: newStatus });
+      }
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to update task status');
+    }
+  };
+
+  // Board drag-and-drop: apply the new status immediately, roll back if the API call fails
+  const handleBoardStatusChange = async (taskId, newStatus) => {
+    const task = tasks.find(t => t._id === taskId);
+    if (!task || task.status === newStatus) return;
+    if (task.status === 'completed') {
+      notifyError('Cannot update status of a completed task');
+      return;
+    }
+    const blockedMessage = getBlockedMessage(task.dependencies, newStatus);
+    if (blockedMessage) {
+      notifyError(`${blockedMessage} - finish those first`);
+      return;
+    }
+
+    const previousStatus = task.status;
+    setTasks(prev => prev.map(t => (t._id === taskId ? { ...t, status: newStatus } : t)));
+
+    try {
+      const updated = await updateTaskStatus(taskId, newStatus, { expectedStatus: previousStatus });
+      if (updated?.queued) notifyQueued('Status change');
+      else notifySuccess(`Task status updated to "${newStatus}"`);
+    } catch (err) {
+      setTasks(prev => prev.map(t => (t._id === taskId ? { ...t, status: previousStatus } : t)));
+      notifyError(err.response?.data?.message || 'Failed to update task status');
+    }
+  };
+
+  // Ticking a subtask moves the parent's progress right away; rolled back if the API call fails
+  const handleSubtaskToggle = async (taskId, subtask) => {
+    const task = tasks.find(t => t._id === taskId);
+    if (!task) return;
+    if (task.status === 'completed') {
+      notifyError('Subtasks of a completed task cannot be changed');
+      return;
+    }
+
+    const done = !isSubtaskDone(subtask);
+    const subtasks = task.subtasks.map(st => (st._id === subtask._id ? { ...st, done } : st));
+    const progress = computeSubtaskProgress(subtasks);
+    setTasks(prev => prev.map(t => (t._id === taskId ? { ...t, subtasks, progress } : t)));
+
+    try {
+      const updated = await updateSubtask(taskId, subtask._id, { done });
+      if (updated?.subtasks) {
+        setTasks(prev => prev.map(t => (
+          t._id === taskId ? { ...t, subtasks: updated.subtasks, progress: updated.progress ?? progress } : t
+        )));
+      }
+    } catch (err) {
+      setTasks(prev => prev.map(t => (t._id === taskId ? task : t)));
+      notifyError(err.response?.data?.message || 'Failed to update subtask');
     }
   };
 
@@ -1611,6 +2354,27 @@ const TaskList = () => {
     }
   };
 
+  const selectedTasks = tasks.filter(t => selectedTaskIds.includes(t._id));
+  const allSelected = tasks.length > 0 && selectedTaskIds.length === tasks.length;
+  const isTableView = !isMobile && viewMode !== 'board' && viewMode !== 'card';
+
+  const handleToggleSelect = (taskId) => {
+    setSelectedTaskIds(prev => (
+      prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+    ));
+  };
+
+  const handleToggleSelectAll = () => {
+    setSelectedTaskIds(allSelected ? [] : tasks.map(t => t._id));
+  };
+
+  // Keep failed tasks selected so the user can retry or inspect them
+  const handleBulkCompleted = (results) => {
+    setBulkResults(results);
+    setSelectedTaskIds(results.items.filter(r => !r.ok).map(r => r.task._id));
+    loadTasks();
+  };
+
   const handleToggleComments = (taskId) => {
     setVisibleCommentsTaskId(prev => prev === taskId ? null : taskId);
   };
@@ -1625,126 +2389,30 @@ const TaskList = () => {
     setSelectedTask(null);
   };
 
-  const handleEditFromModal = (taskId) => {
-    handleCloseViewModal();
-    navigate(`/tasks/edit/${taskId}`);
+  const handleOpenSaveTemplate = (task) => {
+    setTemplateSource(task);
+    setTemplateName(task.title || '');
   };
 
-  // Date filtering helper function
-  const isWithinDateRange = (taskDate, filterType) => {
-    if (!taskDate) return filterType === 'all';
-    
-    const date = new Date(taskDate);
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    switch (filterType) {
-      case 'all':
-        return true;
-      case 'today':
-        return date >= today;
-      case 'yesterday':
-        return date >= yesterday && date < today;
-      case 'thisWeek':
-        const weekStart = new Date(today);
-        weekStart.setDate(today.getDate() - today.getDay());
-        return date >= weekStart;
-      case 'lastWeek':
-        const lastWeekStart = new Date(today);
-        lastWeekStart.setDate(today.getDate() - today.getDay() - 7);
-        const lastWeekEnd = new Date(today);
-        lastWeekEnd.setDate(today.getDate() - today.getDay() - 1);
-        return date >= lastWeekStart && date <= lastWeekEnd;
-      case 'thisMonth':
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        return date >= monthStart;
-      case 'lastMonth':
-        const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0);
-        return date >= lastMonthStart && date <= lastMonthEnd;
-      case 'custom':
-        if (!dateRangeStart && !dateRangeEnd) return true;
-        const startDate = dateRangeStart ? new Date(dateRangeStart) : new Date(0);
-        const endDate = dateRangeEnd ? new Date(dateRangeEnd) : new Date();
-        return date >= startDate && date <= endDate;
-      default:
-        return true;
+  const handleSaveTemplate = async () => {
+    if (!templateName.trim() || savingTemplate) return;
+    setSavingTemplate(true);
+    try {
+      await createTaskTemplate(buildTemplate(templateName.trim(), templateSource));
+      notifySuccess(`Template "${templateName.trim()}" saved`);
+      setTemplateSource(null);
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSavingTemplate(false);
     }
   };
 
-  // Sorting helper function
-  const sortTasks = (tasksToSort) => {
-    return [...tasksToSort].sort((a, b) => {
-      let aValue, bValue;
-      
-      switch (sortBy) {
-        case 'updatedAt':
-        case 'createdAt':
-        case 'dueDate':
-          aValue = a[sortBy] ? new Date(a[sortBy]) : new Date(0);
-          bValue = b[sortBy] ? new Date(b[sortBy]) : new Date(0);
-          break;
-        case 'title':
-          aValue = (a.title || '').toLowerCase();
-          bValue = (b.title || '').toLowerCase();
-          break;
-        case 'priority':
-          const priorityOrder = { high: 3, medium: 2, low: 1 };
-          aValue = priorityOrder[a.priority] || 0;
-          bValue = priorityOrder[b.priority] || 0;
-          break;
-        case 'status':
-          const statusOrder = { pending: 1, ongoing: 2, completed: 3 };
-          aValue = statusOrder[a.status] || 0;
-          bValue = statusOrder[b.status] || 0;
-          break;
-        default:
-          aValue = a[sortBy] || '';
-          bValue = b[sortBy] || '';
-      }
-
-      if (sortOrder === 'desc') {
-        return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
-      } else {
-        return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-      }
-    });
+  const handleEditFromModal = (taskId) => {
+    handleCloseViewModal();
+    navigate(`/tasks/edit/${taskId}`);
   };
 
-  // Apply filters, date filtering, and search
-  const filteredTasks = sortTasks(
-    tasks.filter(task => {
-      // Status filter
-      if (statusFilter && task.status !== statusFilter) return false;
-      
-      // Priority filter
-      if (priorityFilter && task.priority !== priorityFilter) return false;
-      
-      // Date filter (based on updatedAt)
-      if (!isWithinDateRange(task.updatedAt, dateFilter)) return false;
-      
-      // Search filter
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        const matchesTitle = task.title?.toLowerCase().includes(query);
-        const matchesDescription = task.description?.toLowerCase().includes(query);
-        const matchesAssignees = task.assignees?.some(assignee => 
-          assignee.name?.toLowerCase().includes(query) ||
-          assignee.email?.toLowerCase().includes(query)
-        );
-        const matchesDepartment = task.department?.name?.toLowerCase().includes(query);
-        
-        if (!matchesTitle && !matchesDescription && !matchesAssignees && !matchesDepartment) {
-          return false;
-        }
-      }
-      
-      return true;
-    })
-  );
-
   // Animation variants
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -1807,17 +2475,22 @@ const TaskList = () => {
     >
       {/* Responsive Header */}
       <ResponsiveHeader
-        searchQuery={searchQuery}
-        setSearchQuery={setSearchQuery}
+        searchQuery={searchInput}
+        setSearchQuery={setSearchInput}
         showFilters={showFilters}
         setShowFilters={setShowFilters}
         navigate={navigate}
-        filteredTasksCount={filteredTasks.length}
-        totalTasksCount={tasks.length}
+        filteredTasksCount={tasks.length}
+        totalTasksCount={totalTasks}
         sortBy={sortBy}
         setSortBy={setSortBy}
         sortOrder={sortOrder}
         setSortOrder={setSortOrder}
+        savedViews={savedViews}
+        activeViewId={activeViewId}
+        onApplyView={handleApplyView}
+        onSaveView={handleSaveView}
+        onDeleteView={deleteView}
       />
 
       {/* Responsive Filters */}
@@ -1828,15 +2501,15 @@ const TaskList = () => {
         priorityFilter={priorityFilter}
         setPriorityFilter={setPriorityFilter}
         searchQuery={searchQuery}
-        setSearchQuery={setSearchQuery}
-        filteredTasksCount={filteredTasks.length}
-        totalTasksCount={tasks.length}
+        filteredTasksCount={tasks.length}
+        totalTasksCount={totalTasks}
         dateFilter={dateFilter}
         setDateFilter={setDateFilter}
         dateRangeStart={dateRangeStart}
         setDateRangeStart={setDateRangeStart}
         dateRangeEnd={dateRangeEnd}
         setDateRangeEnd={setDateRangeEnd}
+        onClearFilters={handleClearFilters}
       />
 
       {/* View Mode Toggle for Desktop/Tablet */}
@@ -1865,6 +2538,7 @@ const TaskList = () => {
             onClick={() => setViewMode('table')}
             size="small"
             sx={{
+              mr: 1,
               backgroundColor: viewMode === 'table' ? '#1a2752' : 'transparent',
               borderColor: '#1a2752',
               color: viewMode === 'table' ? 'white' : '#1a2752',
@@ -1875,11 +2549,38 @@ const TaskList = () => {
           >
             Table
           </Button>
+          <Button
+            variant={viewMode === 'board' ? 'contained' : 'outlined'}
+            startIcon={<ViewKanbanIcon />}
+            onClick={() => setViewMode('board')}
+            size="small"
+            sx={{
+              backgroundColor: viewMode === 'board' ? '#1a2752' : 'transparent',
+              borderColor: '#1a2752',
+              color: viewMode === 'board' ? 'white' : '#1a2752',
+              '&:hover': {
+                backgroundColor: viewMode === 'board' ? '#0f1a3a' : 'rgba(26, 39, 82, 0.04)'
+              }
+            }}
+          >
+            Board
+          </Button>
         </Box>
       )}
 
+      {fetching && (
+        <LinearProgress
+          sx={{
+            mb: 2,
+            borderRadius: 1,
+            backgroundColor: 'rgba(26, 39, 82, 0.1)',
+            '& .MuiLinearProgress-bar': { backgroundColor: '#dc267f' }
+          }}
+        />
+      )}
+
       {/* Content */}
-      {filteredTasks.length === 0 ? (
+      {tasks.length === 0 ? (
         <motion.div
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
@@ -1924,10 +2625,25 @@ const TaskList = () => {
           initial="hidden"
           animate="visible"
         >
-          {isMobile || viewMode === 'card' ? (
+          {isTableView && selectedTasks.length > 0 && (
+            <TaskBulkActions
+              selectedTasks={selectedTasks}
+              onClearSelection={() => setSelectedTaskIds([])}
+              onCompleted={handleBulkCompleted}
+            />
+          )}
+          {!isMobile && viewMode === 'board' ? (
+            // Kanban Board View (Desktop only - relies on drag and drop)
+            <TaskBoard
+              tasks={tasks}
+              onStatusChange={handleBoardStatusChange}
+              onViewTask={handleViewTask}
+              isChanged={isChanged}
+            />
+          ) : isMobile || viewMode === 'card' ? (
             // Card View (Mobile + Desktop Card Mode)
             <Grid container spacing={isMobile ? 2 : 3}>
-              {filteredTasks.map(task => (
+              {tasks.map(task => (
                 <Grid item xs={12} sm={6} lg={4} xl={3} key={task._id}>
                   <TaskCard
                     task={task}
@@ -1936,7 +2652,9 @@ const TaskList = () => {
                     onViewAttachments={handleViewAttachments}
                     onToggleComments={handleToggleComments}
                     onViewTask={handleViewTask}
+                    onToggleSubtask={handleSubtaskToggle}
                     showComments={visibleCommentsTaskId === task._id}
+                    highlighted={isChanged(task._id)}
                   />
                 </Grid>
               ))}
@@ -1955,6 +2673,15 @@ const TaskList = () => {
               <Table stickyHeader>
                 <TableHead>
                   <TableRow sx={{ backgroundColor: 'rgba(26, 39, 82, 0.04)' }}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={allSelected}
+                        indeterminate={selectedTaskIds.length > 0 && !allSelected}
+                        onChange={handleToggleSelectAll}
+                        inputProps={{ 'aria-label': 'Select all tasks on this page' }}
+                        sx={{ '&.Mui-checked, &.MuiCheckbox-indeterminate': { color: '#dc267f' } }}
+                      />
+                    </TableCell>
                     <TableCell sx={{ fontWeight: 700, color: '#1a2752', minWidth: 200 }}>Title</TableCell>
                     <TableCell sx={{ fontWeight: 700, color: '#1a2752', minWidth: 100 }}>Status</TableCell>
                     <TableCell sx={{ fontWeight: 700, color: '#1a2752', minWidth: 100 }}>Priority</TableCell>
@@ -1966,7 +2693,7 @@ const TaskList = () => {
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {filteredTasks.map(task => {
+                  {tasks.map(task => {
                     const TaskRowWithMenu = () => {
                       const [statusMenuAnchor, setStatusMenuAnchor] = useState(null);
 
@@ -1987,12 +2714,23 @@ const TaskList = () => {
                         <React.Fragment>
                           <TableRow
                             hover
+                            selected={selectedTaskIds.includes(task._id)}
                             sx={{
+                              backgroundColor: isChanged(task._id) ? CHANGED_HIGHLIGHT : 'transparent',
+                              transition: 'background-color 1s ease',
                               '&:hover': {
                                 backgroundColor: 'rgba(26, 39, 82, 0.02)'
                               }
                             }}
                           >
+                            <TableCell padding="checkbox">
+                              <Checkbox
+                                checked={selectedTaskIds.includes(task._id)}
+                                onChange={() => handleToggleSelect(task._id)}
+                                inputProps={{ 'aria-label': `Select ${task.title}` }}
+                                sx={{ '&.Mui-checked': { color: '#dc267f' } }}
+                              />
+                            </TableCell>
                             <TableCell>
                               <Box>
                                 <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#1a2752' }}>
@@ -2000,9 +2738,7 @@ const TaskList = () => {
                                 </Typography>
                                 {task.description && (
                                   <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
-                                    {task.description.length > 50 
-                                      ? `${task.description.substring(0, 50)}...` 
-                                      : task.description}
+                                    {markdownToText(task.description, 50)}
                                   </Typography>
                                 )}
                               </Box>
@@ -2146,7 +2882,7 @@ const TaskList = () => {
                           {/* Comments Row */}
                           {visibleCommentsTaskId === task._id && (
                             <TableRow>
-                              <TableCell colSpan={8} sx={{ backgroundColor: 'rgba(26, 39, 82, 0.02)' }}>
+                              <TableCell colSpan={9} sx={{ backgroundColor: 'rgba(26, 39, 82, 0.02)' }}>
                                 <Collapse in={visibleCommentsTaskId === task._id} timeout="auto">
                                   <Box sx={{ py: 2 }}>
                                     <Typography variant="h6" sx={{ mb: 2, color: '#1a2752' }}>
@@ -2171,6 +2907,47 @@ const TaskList = () => {
         </motion.div>
       )}
 
+      {/* Pagination */}
+      {totalTasks > 0 && (
+        <Box
+          sx={{
+            mt: 3,
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            gap: 2
+          }}
+        >
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+              Per page
+            </Typography>
+            <Select
+              size="small"
+              value={limit}
+              onChange={(e) => updateParams({ limit: e.target.value })}
+            >
+              {PAGE_SIZE_OPTIONS.map(size => (
+                <MenuItem key={size} value={size}>{size}</MenuItem>
+              ))}
+            </Select>
+          </Box>
+          <Pagination
+            count={pageCount}
+            page={Math.min(page, pageCount)}
+            onChange={handlePageChange}
+            size={isMobile ? 'small' : 'medium'}
+            sx={{
+              '& .MuiPaginationItem-root.Mui-selected': {
+                backgroundColor: '#1a2752',
+                color: 'white'
+              }
+            }}
+          />
+        </Box>
+      )}
+
       {/* Attachment Modal */}
       <AttachmentModal
         show={showAttachmentModal}
@@ -2183,9 +2960,43 @@ const TaskList = () => {
         open={showViewModal}
         onClose={handleCloseViewModal}
         onEdit={handleEditFromModal}
-        task={selectedTask}
+        onSaveAsTemplate={handleOpenSaveTemplate}
+        onToggleSubtask={handleSubtaskToggle}
+        task={selectedTask && (tasks.find(t => t._id === selectedTask._id) || selectedTask)}
       />
 
+      {/* Save Task as Template */}
+      <Dialog open={Boolean(templateSource)} onClose={() => setTemplateSource(null)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ color: '#1a2752', fontWeight: 600 }}>Save as Template</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Template name"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            helperText="The due date is saved relative to when the task was created"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTemplateSource(null)} sx={{ color: '#1a2752' }}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveTemplate}
+            disabled={!templateName.trim() || savingTemplate}
+            sx={{ backgroundColor: '#dc267f', '&:hover': { backgroundColor: '#b91c5c' } }}
+          >
+            {savingTemplate ? <CircularProgress size={20} color="inherit" /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Bulk action results */}
+      <TaskBulkResultsDialog results={bulkResults} onClose={() => setBulkResults(null)} />
+
       {/* Recommended Tasks Component */}
       <RecommendedTasks />
 
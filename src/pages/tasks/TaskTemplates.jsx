@@ -0,0 +1,451 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Chip,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Stack,
+  useTheme,
+  useMediaQuery
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  PlayArrow as UseIcon,
+  Close as CloseIcon,
+  Business as BusinessIcon,
+  CalendarToday as CalendarIcon,
+  Checklist as ChecklistIcon,
+  Repeat as RepeatIcon
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import {
+  fetchTaskTemplates,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate
+} from '../../Api/taskTemplates';
+import { fetchDepartments } from '../../Api/departments';
+import { fetchUsers } from '../../Api/users';
+import { notifyError, notifySuccess } from '../../utils/notifications';
+import { getPriorityColor } from '../../utils/taskColors';
+import { isRelativeDate } from '../../utils/dates';
+import { describeRecurrence } from '../../utils/recurrence';
+import { buildTemplate } from '../../utils/taskTemplates';
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  title: '',
+  description: '',
+  priority: 'medium',
+  department: '',
+  assignees: [],
+  subtasks: [],
+  relativeDueDate: '',
+  recurrence: null
+};
+
+// Create / edit dialog
+const TemplateDialog = ({ open, template, departments, users, onClose, onSave }) => {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const [form, setForm] = useState(EMPTY_TEMPLATE);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setForm(template ? buildTemplate(template.name, template) : EMPTY_TEMPLATE);
+  }, [open, template]);
+
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const dueDateInvalid = Boolean(form.relativeDueDate) && !isRelativeDate(form.relativeDueDate);
+  const canSave = form.name.trim() && form.title.trim() && !dueDateInvalid;
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({
+        ...form,
+        name: form.name.trim(),
+        subtasks: form.subtasks.filter(st => st.title.trim())
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth fullScreen={isMobile}>
+      <DialogTitle sx={{ color: '#1a2752', fontWeight: 600, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        {template ? 'Edit Template' : 'New Template'}
+        <IconButton onClick={onClose} size="small"><CloseIcon /></IconButton>
+      </DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={2}>
+          <TextField label="Template name" value={form.name} onChange={set('name')} required fullWidth />
+          <TextField label="Task title" value={form.title} onChange={set('title')} required fullWidth />
+          <TextField
+            label="Description"
+            value={form.description}
+            onChange={set('description')}
+            multiline
+            minRows={3}
+            fullWidth
+          />
+          <Box sx={{ display: 'flex', gap: 2, flexDirection: isMobile ? 'column' : 'row' }}>
+            <FormControl fullWidth>
+              <InputLabel>Priority</InputLabel>
+              <Select value={form.priority} label="Priority" onChange={set('priority')}>
+                <MenuItem value="low">Low</MenuItem>
+                <MenuItem value="medium">Medium</MenuItem>
+                <MenuItem value="high">High</MenuItem>
+              </Select>
+            </FormControl>
+            <TextField
+              label="Due date"
+              placeholder="+3 days"
+              value={form.relativeDueDate}
+              onChange={set('relativeDueDate')}
+              error={dueDateInvalid}
+              helperText={dueDateInvalid ? 'Use e.g. +3 days, +2 weeks, +1 month' : 'Relative to the day the task is created'}
+              fullWidth
+            />
+          </Box>
+          <FormControl fullWidth>
+            <InputLabel>Department</InputLabel>
+            <Select value={form.department} label="Department" onChange={set('department')}>
+              <MenuItem value="">None</MenuItem>
+              {departments.map(dept => (
+                <MenuItem key={dept._id} value={dept._id}>{dept.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth>
+            <InputLabel>Assignees</InputLabel>
+            <Select
+              multiple
+              value={form.assignees}
+              label="Assignees"
+              onChange={set('assignees')}
+              renderValue={(ids) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {ids.map(id => (
+                    <Chip key={id} size="small" label={users.find(u => u._id === id)?.name || 'Unknown User'} />
+                  ))}
+                </Box>
+              )}
+            >
+              {users.map(u => (
+                <MenuItem key={u._id} value={u._id}>{u.name} ({u.email})</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Box>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#1a2752', mb: 1 }}>
+              Subtasks ({form.subtasks.length})
+            </Typography>
+            {form.subtasks.map((subtask, idx) => (
+              <Box key={idx} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                <TextField
+                  size="small"
+                  fullWidth
+                  placeholder="Subtask title"
+                  value={subtask.title}
+                  onChange={(e) => setForm(prev => ({
+                    ...prev,
+                    subtasks: prev.subtasks.map((st, i) => (i === idx ? { ...st, title: e.target.value } : st))
+                  }))}
+                />
+                <IconButton
+                  size="small"
+                  onClick={() => setForm(prev => ({ ...prev, subtasks: prev.subtasks.filter((_, i) => i !== idx) }))}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={() => setForm(prev => ({ ...prev, subtasks: [...prev.subtasks, { title: '' }] }))}
+              sx={{ color: '#dc267f' }}
+            >
+              Add subtask
+            </Button>
+          </Box>
+
+          {form.recurrence && (
+            <Typography variant="body2" color="text.secondary">
+              <RepeatIcon sx={{ fontSize: 16, mr: 0.5, verticalAlign: 'text-bottom' }} />
+              {describeRecurrence(form.recurrence)} (change it from the task form)
+            </Typography>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ color: '#1a2752' }}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!canSave || saving}
+          sx={{ backgroundColor: '#dc267f', '&:hover': { backgroundColor: '#b91c5c' } }}
+        >
+          {saving ? <CircularProgress size={20} sx={{ color: 'white' }} /> : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Task templates library
+const TaskTemplates = () => {
+  const navigate = useNavigate();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+
+  const [templates, setTemplates] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // null = closed, {} = new, template = edit
+  const [deleting, setDeleting] = useState(null);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [templateList, deptList, userList] = await Promise.all([
+        fetchTaskTemplates(),
+        fetchDepartments(),
+        fetchUsers()
+      ]);
+      setTemplates(templateList || []);
+      setDepartments(deptList || []);
+      setUsers(userList || []);
+      setError('');
+    } catch (err) {
+      console.error('❌ Failed to load templates:', err);
+      setError('Failed to load templates. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleSave = async (data) => {
+    try {
+      if (editing?._id) {
+        const updated = await updateTaskTemplate(editing._id, data);
+        setTemplates(prev => prev.map(t => (t._id === editing._id ? updated : t)));
+        notifySuccess('Template updated');
+      } else {
+        const created = await createTaskTemplate(data);
+        setTemplates(prev => [...prev, created]);
+        notifySuccess('Template created');
+      }
+      setEditing(null);
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteTaskTemplate(deleting._id);
+      setTemplates(prev => prev.filter(t => t._id !== deleting._id));
+      notifySuccess('Template deleted');
+    } catch (err) {
+      notifyError(err.response?.data?.message || 'Failed to delete template');
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  const getDepartmentName = (department) =>
+    department?.name || departments.find(d => d._id === department)?.name;
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '50vh' }}>
+        <Box sx={{ textAlign: 'center' }}>
+          <CircularProgress sx={{ color: '#1a2752' }} />
+          <Typography variant="body1" sx={{ mt: 2, color: '#1a2752' }}>
+            Loading templates...
+          </Typography>
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl" sx={{ py: isMobile ? 2 : 3, px: isMobile ? 1 : 3 }}>
+      <Paper
+        elevation={2}
+        sx={{
+          p: isMobile ? 2 : 3,
+          mb: 3,
+          borderRadius: 3,
+          background: 'linear-gradient(135deg, #1a2752 0%, #2a3f6f 100%)',
+          color: 'white',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 2
+        }}
+      >
+        <Box>
+          <Typography variant={isMobile ? 'h5' : 'h4'} sx={{ fontWeight: 700, mb: 0.5 }}>
+            Task Templates
+          </Typography>
+          <Typography variant="body2" sx={{ opacity: 0.9 }}>
+            Reusable starting points for tasks you create often
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => setEditing({})}
+          sx={{ backgroundColor: '#dc267f', '&:hover': { backgroundColor: '#b91c5c' }, fontWeight: 600 }}
+        >
+          New Template
+        </Button>
+      </Paper>
+
+      {error && (
+        <Alert
+          severity="error"
+          sx={{ mb: 3, borderRadius: 2 }}
+          action={<Button color="inherit" size="small" onClick={loadData}>Retry</Button>}
+        >
+          {error}
+        </Alert>
+      )}
+
+      {!error && templates.length === 0 ? (
+        <Paper sx={{ p: 6, textAlign: 'center', borderRadius: 3, border: '2px dashed rgba(26, 39, 82, 0.2)' }}>
+          <Typography variant="h6" sx={{ color: '#1a2752', fontWeight: 600, mb: 1 }}>
+            No templates yet
+          </Typography>
+          <Typography color="text.secondary">
+            Create one here, or use "Save as Template" on the task form or a task's details.
+          </Typography>
+        </Paper>
+      ) : (
+        <Grid container spacing={3}>
+          {templates.map(template => (
+            <Grid item xs={12} sm={6} lg={4} key={template._id}>
+              <Card
+                sx={{
+                  height: '100%',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  borderRadius: 3,
+                  border: '1px solid rgba(26, 39, 82, 0.1)',
+                  borderTop: `4px solid ${getPriorityColor(template.priority)}`
+                }}
+              >
+                <CardContent sx={{ flexGrow: 1 }}>
+                  <Typography variant="h6" sx={{ fontWeight: 700, color: '#1a2752' }}>
+                    {template.name}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+                    {template.title}
+                  </Typography>
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    <Chip
+                      size="small"
+                      label={template.priority}
+                      sx={{ backgroundColor: getPriorityColor(template.priority), color: 'white', textTransform: 'capitalize' }}
+                    />
+                    {getDepartmentName(template.department) && (
+                      <Chip size="small" icon={<BusinessIcon />} label={getDepartmentName(template.department)} variant="outlined" />
+                    )}
+                    {template.relativeDueDate && (
+                      <Chip size="small" icon={<CalendarIcon />} label={`Due ${template.relativeDueDate}`} variant="outlined" />
+                    )}
+                    {template.subtasks?.length > 0 && (
+                      <Chip size="small" icon={<ChecklistIcon />} label={`${template.subtasks.length} subtasks`} variant="outlined" />
+                    )}
+                    {template.recurrence && (
+                      <Chip size="small" icon={<RepeatIcon />} label={describeRecurrence(template.recurrence)} variant="outlined" />
+                    )}
+                  </Box>
+                </CardContent>
+                <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2 }}>
+                  <Button
+                    size="small"
+                    variant="contained"
+                    startIcon={<UseIcon />}
+                    onClick={() => navigate(`/tasks/create?template=${template._id}`)}
+                    sx={{ backgroundColor: '#1a2752', '&:hover': { backgroundColor: '#0f1a3a' } }}
+                  >
+                    Use
+                  </Button>
+                  <Box>
+                    <Tooltip title="Edit Template">
+                      <IconButton size="small" onClick={() => setEditing(template)} sx={{ color: '#1a2752' }}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete Template">
+                      <IconButton size="small" onClick={() => setDeleting(template)} sx={{ color: '#d32f2f' }}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <TemplateDialog
+        open={Boolean(editing)}
+        template={editing?._id ? editing : null}
+        departments={departments}
+        users={users}
+        onClose={() => setEditing(null)}
+        onSave={handleSave}
+      />
+
+      <Dialog open={Boolean(deleting)} onClose={() => setDeleting(null)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ color: '#1a2752', fontWeight: 600 }}>Delete Template</DialogTitle>
+        <DialogContent>
+          <Typography>Delete "{deleting?.name}"? Tasks created from it are not affected.</Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)} sx={{ color: '#1a2752' }}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleDelete}>Delete</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default TaskTemplates;
@@ -14,6 +14,8 @@ import TaskList from '../pages/tasks/TaskList';
 import TaskDetail from '../pages/tasks/TaskDetail';
 import CreateTask from '../pages/tasks/CreateTask';
 import EditTask from '../pages/tasks/EditTask';
+import TaskCalendar from '../pages/tasks/TaskCalendar';
+import TaskTemplates from '../pages/tasks/TaskTemplates';
 
 import StaffList from '../pages/staff/StaffList';
 import StaffForm from '../pages/staff/StaffForm';
@@ -38,14 +40,15 @@ import TransferAsset from '../pages/assets/TransferAsset';
 
 import TaskReports from '../pages/reports/TaskReports';
 import AssetReports from '../pages/reports/AssetReports';
+import TimeReports from '../pages/reports/TimeReports';
 
 import PublicChat from '../pages/chat/PublicChat';
 import DepartmentChat from '../pages/chat/DepartmentChat';
+import DirectMessages from '../pages/chat/DirectMessages';
 
 import AccountSettings from '../pages/settings/AccountSettings';
 
 // Notifications provider for private sections
-import NotificationProvider from '../contexts/NotificationContext';
 
 const AppRoutes = () => (
   <Routes>
@@ -59,13 +62,7 @@ const AppRoutes = () => (
 
     {/* Protected: all roles */}
     <Route element={<ProtectedRoute allowedRoles={['admin', 'coordinator', 'user']} />}>
-      <Route
-        element={
-          <NotificationProvider>
-            <Layout />
-          </NotificationProvider>
-        }
-      >
+      <Route element={<Layout />}>
         {/* Chat base redirect */}
         <Route path="/chat" element={<Navigate to="/chat/public" replace />} />
 
@@ -73,6 +70,9 @@ const AppRoutes = () => (
 
         <Route path="/tasks" element={<TaskList />} />
         <Route path="/tasks/create" element={<CreateTask />} />
+        <Route path="/tasks/calendar" element={<TaskCalendar key="calendar" />} />
+        <Route path="/tasks/timeline" element={<TaskCalendar key="timeline" initialView="timeline" />} />
+        <Route path="/tasks/templates" element={<TaskTemplates />} />
         <Route path="/tasks/:taskId" element={<TaskDetail />} />
         <Route path="/tasks/edit/:id" element={<EditTask />} />
 
@@ -81,19 +81,15 @@ const AppRoutes = () => (
         <Route path="/settings" element={<UserProfile />} />
         <Route path="/chat/public" element={<PublicChat />} />
         <Route path="/chat/department" element={<DepartmentChat />} />
+        <Route path="/chat/direct" element={<DirectMessages />} />
+        <Route path="/chat/direct/:conversationId" element={<DirectMessages />} />
         <Route path="/profile" element={<Profile />} />
       </Route>
     </Route>
 
     {/* Protected: admin + coordinator */}
     <Route element={<ProtectedRoute allowedRoles={['admin', 'coordinator']} />}>
-      <Route
-        element={
-          <NotificationProvider>
-            <Layout />
-          </NotificationProvider>
-        }
-      >
+      <Route element={<Layout />}>
         <Route path="/staff" element={<StaffList />} />
         <Route path="/staff/create" element={<StaffForm />} />
         <Route path="/staff/:staffId" element={<StaffForm />} />
@@ -119,18 +115,13 @@ const AppRoutes = () => (
 
         <Route path="/reports/tasks" element={<TaskReports />} />
         <Route path="/reports/assets" element={<AssetReports />} />
+        <Route path="/reports/time" element={<TimeReports />} />
       </Route>
     </Route>
 
     {/* Protected (generic) — avoid /settings clash, use /account */}
     <Route element={<ProtectedRoute />}>
-      <Route
-        element={
-          <NotificationProvider>
-            <Layout />
-          </NotificationProvider>
-        }
-      >
+      <Route element={<Layout />}>
         <Route path="/account" element={<AccountSettings />} />
       </Route>
     </Route>
@@ -0,0 +1,15 @@
+export const isImage = (url = '') => /\.(png|jpe?g|gif|webp|bmp|svg)$/i.test(url);
+
+export const fileNameOf = (url = '') => decodeURIComponent(url.split('?')[0].split('/').pop() || url);
+
+// Chat attachments carry their MIME type; older/task attachments are bare URLs
+export const isImageAttachment = (attachment) =>
+  typeof attachment === 'string'
+    ? isImage(attachment)
+    : (attachment?.type || '').startsWith('image/') || isImage(attachment?.url);
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,51 @@
+// Chat messages arrive in a few shapes (REST history, socket payloads, optimistic copies);
+// the chat pages work with this normalized form.
+export const normalizeChatMessage = (raw) => ({
+  id: raw._id || raw.id || `${Date.now()}_${Math.random()}`,
+  text: String(raw.message || raw.text || raw.msg || ''), // relayed socket payloads aren't always strings
+  userName: raw.sender?.name || raw.user || raw.senderName || 'Unknown',
+  userId: raw.sender?._id || raw.sender || raw.userId || null,
+  departmentId: raw.department?._id || raw.department || raw.departmentId || null,
+  conversationId: raw.conversation?._id || raw.conversation || raw.conversationId || null,
+  createdAt: new Date(raw.createdAt || raw.timestamp || Date.now()).toISOString(),
+  attachments: raw.attachments || [],
+  reactions: raw.reactions || [],
+  saved: Boolean(raw._id || raw.id), // optimistic messages can't be reacted to until the server returns them
+  editedAt: raw.editedAt || null,
+  history: raw.editHistory || [],
+  deleted: Boolean(raw.deleted || raw.deletedAt),
+  deletedBy: raw.deletedBy || null,
+  deletedAt: raw.deletedAt || null,
+});
+
+// Swaps an optimistic message for its stored copy, or drops it when the stored copy is already listed
+export const replaceOptimistic = (list, optimisticId, stored) =>
+  list.some(m => String(m.id) === String(stored.id))
+    ? list.filter(m => m.id !== optimisticId)
+    : list.map(m => (m.id === optimisticId ? stored : m));
+
+// Appends messages that aren't in the list yet (socket echoes can repeat an ack'd message)
+export const appendMessages = (list, ...incoming) => {
+  const known = new Set(list.map(m => String(m.id)));
+  const fresh = incoming.filter(m => !known.has(String(m.id)));
+  return fresh.length ? [...list, ...fresh] : list;
+};
+
+const idOf = (user) => (user && typeof user === 'object' ? user._id || user.id : user);
+
+// Group name, or the other participants' names for a direct message
+export const conversationTitle = (conversation, myId) => {
+  if (!conversation) return '';
+  if (conversation.name) return conversation.name;
+  const others = (conversation.participants || []).filter(p => String(idOf(p)) !== String(myId));
+  return others.map(p => p?.name || p?.email || 'User').join(', ') || 'Just you';
+};
+
+// Path that opens the public or a department room at one message (read by useChatHistory's linkedId)
+export const chatMessagePath = (messageId, departmentId = null) =>
+  departmentId
+    ? `/chat/department?dept=${departmentId}&message=${messageId}`
+    : `/chat/public?message=${messageId}`;
+
+// Room key for read positions and unread counts: 'public' or 'department:<id>'
+export const chatRoomKey = (departmentId = null) => (departmentId ? `department:${departmentId}` : 'public');
@@ -0,0 +1,53 @@
+// Threaded task comments: top-level comments carry their answers in `replies`,
+// and every reply points at its parent through `parentComment`.
+
+const parentIdOf = (comment) => {
+  const parent = comment.parentComment;
+  return parent && typeof parent === 'object' ? parent._id : parent || null;
+};
+
+export const containsComment = (comments, commentId) =>
+  comments.some(c => c._id === commentId || containsComment(c.replies || [], commentId));
+
+export const findComment = (comments, commentId) => {
+  for (const c of comments) {
+    if (c._id === commentId) return c;
+    const found = findComment(c.replies || [], commentId);
+    if (found) return found;
+  }
+  return null;
+};
+
+const insertReply = (comments, parentId, comment) => {
+  let inserted = false;
+  const next = comments.map(c => {
+    if (inserted) return c;
+    if (c._id === parentId) {
+      inserted = true;
+      return { ...c, replies: [...(c.replies || []), comment] };
+    }
+    const replies = c.replies?.length ? insertReply(c.replies, parentId, comment) : null;
+    if (replies) {
+      inserted = true;
+      return { ...c, replies };
+    }
+    return c;
+  });
+  return inserted ? next : null;
+};
+
+// Returns the thread with `comment` added under its parent; unchanged if it is already there,
+// or null when the parent isn't loaded (the caller should refetch the thread)
+export const insertComment = (comments, comment) => {
+  if (!comment?._id || containsComment(comments, comment._id)) return comments;
+  const parentId = parentIdOf(comment);
+  if (!parentId) return [...comments, { ...comment, replies: comment.replies || [] }];
+  return insertReply(comments, parentId, { ...comment, replies: comment.replies || [] });
+};
+
+// Returns the thread with `update(comment)` applied to the comment with `commentId`, wherever it is nested
+export const updateComment = (comments, commentId, update) =>
+  comments.map(c => {
+    if (c._id === commentId) return update(c);
+    return c.replies?.length ? { ...c, replies: updateComment(c.replies, commentId, update) } : c;
+  });
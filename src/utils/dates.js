@@ -0,0 +1,65 @@
+// Small date helpers (local time, day precision)
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+export const addDays = (date, days) => {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Week starts on Sunday, same as the "This Week" filter in TaskList
+export const startOfWeek = (date) => {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - d.getDay());
+  return d;
+};
+
+export const startOfMonth = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), 1);
+};
+
+// Whole days between two dates (b - a), ignoring the time of day
+export const diffInDays = (a, b) =>
+  Math.round((startOfDay(b) - startOfDay(a)) / DAY_MS);
+
+export const isSameDay = (a, b) => diffInDays(a, b) === 0;
+
+// yyyy-mm-dd in local time, the format used by <input type="date">
+export const toDateInputValue = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Parse a yyyy-mm-dd value from <input type="date"> as local midnight
+export const fromDateInputValue = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const RELATIVE_DATE_PATTERN = /^\+?\s*(\d+)\s*(d|days?|w|weeks?|m|months?)?$/i;
+
+// Relative offsets like "+3 days", "+2w" or "+1 month"
+export const isRelativeDate = (value) => RELATIVE_DATE_PATTERN.test(String(value || '').trim());
+
+// Resolve a relative offset against `base` (today by default) to yyyy-mm-dd; '' if it can't be parsed
+export const resolveRelativeDate = (value, base = new Date()) => {
+  const match = String(value || '').trim().match(RELATIVE_DATE_PATTERN);
+  if (!match) return '';
+
+  const amount = Number(match[1]);
+  const unit = (match[2] || 'd').charAt(0).toLowerCase();
+  const start = startOfDay(base);
+
+  if (unit === 'w') return toDateInputValue(addDays(start, amount * 7));
+  if (unit === 'm') return toDateInputValue(new Date(start.getFullYear(), start.getMonth() + amount, start.getDate()));
+  return toDateInputValue(addDays(start, amount));
+};
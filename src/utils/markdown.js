@@ -0,0 +1,47 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { MENTION_PATTERN } from './mentions';
+
+const markdown = new Marked({ gfm: true, breaks: true });
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// External links open in a new tab; in-app links (mentions) are routed by MarkdownView
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && /^https?:/i.test(node.getAttribute('href') || '')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Markdown -> sanitized HTML. Mentions become chips; `mentionHref(id)` returns the profile link or null.
+export const renderMarkdown = (text = '', { mentionHref } = {}) => {
+  const withMentions = text.replace(MENTION_PATTERN, (_, name, id) => {
+    const href = mentionHref?.(id);
+    const label = `@${escapeHtml(name)}`;
+    return href
+      ? `<a class="mention" data-mention="${escapeHtml(id)}" href="${escapeHtml(href)}">${label}</a>`
+      : `<span class="mention" data-mention="${escapeHtml(id)}">${label}</span>`;
+  });
+  return DOMPurify.sanitize(markdown.parse(withMentions), { ADD_ATTR: ['target'] });
+};
+
+// Previews re-render with every list update, so each description is parsed once
+const plainTextCache = new Map();
+const PLAIN_TEXT_CACHE_SIZE = 500;
+
+// Plain text for clamped previews (cards, table cells); DOMParser doesn't fetch images
+export const markdownToText = (text = '', maxLength = Infinity) => {
+  if (!text) return '';
+  let plain = plainTextCache.get(text);
+  if (plain === undefined) {
+    const doc = new DOMParser().parseFromString(renderMarkdown(text), 'text/html');
+    plain = (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+    if (plainTextCache.size >= PLAIN_TEXT_CACHE_SIZE) plainTextCache.delete(plainTextCache.keys().next().value);
+    plainTextCache.set(text, plain);
+  }
+  return plain.length > maxLength ? `${plain.substring(0, maxLength)}...` : plain;
+};
+
+export const imageMarkdown = (name, url) => `![${(name || 'image').replace(/[[\]]/g, '')}](${url})`;
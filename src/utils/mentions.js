@@ -0,0 +1,35 @@
+// Mentions are stored inline in comment/message text as @[Name](userId)
+export const MENTION_PATTERN = /@\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+export const toMentionMarkup = (user) =>
+  `@[${(user.name || user.email || 'User').replace(/[[\]]/g, '')}](${user._id || user.id})`;
+
+// Unique IDs of everyone mentioned in `text`, sent alongside the text so the backend can notify them
+export const extractMentionIds = (text = '') => {
+  const ids = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) ids.add(match[2]);
+  return [...ids];
+};
+
+// Split text into [{ type: 'text', value }, { type: 'mention', name, id }] for rendering
+export const splitMentions = (text = '') => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    if (match.index > last) parts.push({ type: 'text', value: text.slice(last, match.index) });
+    parts.push({ type: 'mention', name: match[1], id: match[2] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ type: 'text', value: text.slice(last) });
+  return parts;
+};
+
+// "@[Ann Lee](123) can you check?" -> "@Ann Lee can you check?" (toasts, push bodies, previews)
+export const stripMentions = (text = '') => text.replace(MENTION_PATTERN, '@$1');
+
+// The "@query" being typed right before the caret, or null when the caret isn't in a mention
+export const getMentionQuery = (text = '', caret = text.length) => {
+  const match = /(^|\s)@([^\s@[\]()]{0,30})$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[2], start: caret - match[2].length - 1 };
+};
@@ -0,0 +1,87 @@
+// Notification preferences: for each event type, which channels may announce it.
+// Stored on the server (Api/notificationApi.js), which also uses them for web push and the email
+// digest; the app checks them before adding to the bell, toasting, playing a sound or showing a
+// browser notification. Do Not Disturb and quiet hours are saved alongside (see quietHours.js).
+import { DEFAULT_DND, DEFAULT_QUIET_HOURS } from './quietHours';
+
+export const NOTIFICATION_EVENTS = [
+  { key: 'taskAssigned', label: 'Task assigned to me', noun: 'task assignment' },
+  { key: 'taskStatus', label: 'Task status changed', noun: 'status change' },
+  { key: 'comment', label: 'New comment on a task', noun: 'comment' },
+  { key: 'mention', label: 'Someone mentions me', noun: 'mention' },
+  { key: 'chatMessage', label: 'Chat message', noun: 'chat message' },
+  { key: 'assetTransfer', label: 'Asset transferred', noun: 'asset transfer' },
+];
+
+export const NOTIFICATION_CHANNELS = [
+  { key: 'inApp', label: 'In-app', hint: 'Listed under the bell' },
+  { key: 'toast', label: 'Toast', hint: 'Pop-up in the corner' },
+  { key: 'sound', label: 'Sound' },
+  { key: 'push', label: 'Web push', hint: 'Browser notification, also when the app is closed' },
+  { key: 'email', label: 'Email digest' },
+];
+
+const ALL_ON = { inApp: true, toast: true, sound: true, push: true, email: false };
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  taskAssigned: { ...ALL_ON, email: true },
+  taskStatus: ALL_ON,
+  comment: ALL_ON,
+  mention: { ...ALL_ON, email: true },
+  chatMessage: { ...ALL_ON, sound: false },
+  assetTransfer: ALL_ON,
+  dnd: DEFAULT_DND,
+  quietHours: DEFAULT_QUIET_HOURS,
+};
+
+// Fill in events/channels the server doesn't know yet with the defaults
+export const normalizePreferences = (raw) => ({
+  ...Object.fromEntries(
+    NOTIFICATION_EVENTS.map(({ key }) => [
+      key,
+      { ...DEFAULT_NOTIFICATION_PREFERENCES[key], ...(raw?.[key] || {}) },
+    ])
+  ),
+  dnd: { ...DEFAULT_DND, ...(raw?.dnd || {}) },
+  quietHours: { ...DEFAULT_QUIET_HOURS, ...(raw?.quietHours || {}) },
+});
+
+// Server notification types (task_assigned, status_changed, asset-transfer...) to event keys
+const EVENT_BY_TYPE = {
+  taskassigned: 'taskAssigned',
+  assigned: 'taskAssigned',
+  assignment: 'taskAssigned',
+  taskstatus: 'taskStatus',
+  statuschange: 'taskStatus',
+  statuschanged: 'taskStatus',
+  taskupdated: 'taskStatus',
+  comment: 'comment',
+  taskcomment: 'comment',
+  reply: 'comment',
+  mention: 'mention',
+  chat: 'chatMessage',
+  chatmessage: 'chatMessage',
+  message: 'chatMessage',
+  assettransfer: 'assetTransfer',
+  transfer: 'assetTransfer',
+};
+
+export const notificationEvent = (notification) =>
+  EVENT_BY_TYPE[String(notification?.type || '').toLowerCase().replace(/[^a-z]/g, '')] || null;
+
+// Whether `channel` is on for an event key; notifications of unknown types are always let through
+export const isChannelEnabled = (preferences, event, channel) => {
+  if (!event || !preferences?.[event]) return true;
+  return preferences[event][channel] !== false;
+};
+
+// "3 chat messages and 1 mention" for the summary of what Do Not Disturb held back
+export const summarizeSuppressed = (suppressed) => {
+  const counts = new Map();
+  suppressed.forEach(({ event }) => {
+    const noun = NOTIFICATION_EVENTS.find(e => e.key === event)?.noun || 'notification';
+    counts.set(noun, (counts.get(noun) || 0) + 1);
+  });
+  const parts = [...counts].map(([noun, count]) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0] || '';
+};
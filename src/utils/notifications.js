@@ -1,6 +1,19 @@
 import { toast } from 'react-toastify';
+import { stripMentions } from './mentions';
 
 
 export const notifyInfo = (msg) => toast.info(msg,{ position: 'top-right', autoClose: 3000 });
 export const notifySuccess = (msg) => toast.success(msg, { position: 'top-right', autoClose: 3000 });
-export const notifyError = (msg) => toast.error(msg, { position: 'top-right', autoClose: 4000 });
\ No newline at end of file
+export const notifyError = (msg) => toast.error(msg, { position: 'top-right', autoClose: 4000 });
+// A change made offline that will be sent later (see utils/offlineQueue.js)
+export const notifyQueued = (what) => notifyInfo(`${what} saved offline — it will sync when you're back online`);
+
+// Title/body for a server notification; mentions carry the comment/message excerpt with @[Name](id) markup
+export const describeNotification = (n) => {
+  const isMention = n.type === 'mention';
+  return {
+    isMention,
+    title: n.title || (isMention ? `${n.sender?.name || 'Someone'} mentioned you` : 'Notification'),
+    body: stripMentions(n.message || ''),
+  };
+};
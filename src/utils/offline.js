@@ -0,0 +1,14 @@
+// Messages between the pages and public/sw.js about offline data (keep the strings in sync)
+export const OFFLINE_SNAPSHOT = 'offline:snapshot'; // sw -> page: { savedAt } data came from IndexedDB
+export const OFFLINE_ONLINE = 'offline:online'; // sw -> page: the API answers again
+export const OFFLINE_CLEAR = 'offline:clear'; // page -> sw: forget saved snapshots and queued changes (logout)
+export const OFFLINE_QUEUE = 'offline:queue'; // sw -> page: { event, mutation } a queued change was sent (see offlineQueue.js)
+
+// Drop the tasks/comments the service worker saved for offline use and any unsent changes
+export const clearOfflineData = () => {
+  navigator.serviceWorker?.controller?.postMessage({ type: OFFLINE_CLEAR });
+};
+
+// "14:05" for the offline banner
+export const formatSnapshotTime = (iso) =>
+  new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
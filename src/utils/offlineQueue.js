@@ -0,0 +1,166 @@
+import axiosInstance from '../Api/axiosInstance';
+import { OFFLINE_QUEUE } from './offline';
+
+// Task changes made while offline (status changes, comments), kept in IndexedDB and sent in order
+// once the API answers again: by public/sw.js on Background Sync, or by replayMutations() below
+// when the page comes back online. Both share the database and the lock, so nothing is sent twice.
+//
+// Conflicts: a status change carries `expectedStatus` (the status the user saw); the server answers
+// 409 { message, data: currentTask } when the task has moved on. Such a change is held as
+// status 'conflict' until the user resolves it, and later changes to the same task wait behind it.
+
+// Keep in sync with public/sw.js
+const DB_NAME = 'task-app-offline';
+const DB_VERSION = 3;
+const SNAPSHOT_STORE = 'snapshots';
+const MUTATION_STORE = 'mutations';
+const SETTINGS_STORE = 'settings';
+export const SYNC_TAG = 'task-mutations';
+
+const BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5050/api/v1';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'url' });
+    if (!db.objectStoreNames.contains(MUTATION_STORE)) {
+      db.createObjectStore(MUTATION_STORE, { keyPath: 'id', autoIncrement: true });
+    }
+    if (!db.objectStoreNames.contains(SETTINGS_STORE)) db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const mutationStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(MUTATION_STORE, mode);
+    const request = run(tx.objectStore(MUTATION_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+// Results of this page's replays; the service worker's arrive as OFFLINE_QUEUE messages
+const queueEvents = new EventTarget();
+const emit = (detail) => queueEvents.dispatchEvent(new CustomEvent(OFFLINE_QUEUE, { detail }));
+
+// Call `handler({ event, mutation, message })` for every queue change, wherever it happened.
+// event: 'queued' | 'synced' | 'conflict' | 'failed' | 'resolved'. Returns the unsubscribe function.
+export const subscribeQueue = (handler) => {
+  const onLocal = (e) => handler(e.detail);
+  const onWorker = (e) => {
+    if (e.data?.type === OFFLINE_QUEUE) handler(e.data);
+  };
+  queueEvents.addEventListener(OFFLINE_QUEUE, onLocal);
+  navigator.serviceWorker?.addEventListener('message', onWorker);
+  return () => {
+    queueEvents.removeEventListener(OFFLINE_QUEUE, onLocal);
+    navigator.serviceWorker?.removeEventListener('message', onWorker);
+  };
+};
+
+// True when a request failed because the API couldn't be reached at all
+export const isOfflineError = (err) =>
+  Boolean(err) && !err.response && (!navigator.onLine || err.code === 'ERR_NETWORK');
+
+const requestSync = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    await registration?.sync?.register(SYNC_TAG);
+  } catch {
+    // no Background Sync: OfflineSyncListener replays when the browser is back online
+  }
+};
+
+// Save a change for later. kind: 'taskStatus' | 'comment'; url is relative to the API base
+export const queueMutation = async ({ kind, taskId, method, url, body }) => {
+  const token = localStorage.getItem('token');
+  const mutation = {
+    kind,
+    taskId: String(taskId),
+    method,
+    url,
+    apiUrl: `${BASE_URL}${url}`,
+    authorization: token ? `Bearer ${token}` : null, // for the service worker, which can't read localStorage
+    body,
+    status: 'pending',
+    queuedAt: new Date().toISOString(),
+  };
+  mutation.id = await mutationStore('readwrite', store => store.add(mutation));
+  emit({ event: 'queued', mutation });
+  requestSync();
+  return mutation;
+};
+
+export const listMutations = () => mutationStore('readonly', store => store.getAll());
+
+export const clearQueuedMutations = () => mutationStore('readwrite', store => store.clear()).catch(() => {});
+
+const withQueueLock = (run) => (navigator.locks ? navigator.locks.request(SYNC_TAG, run) : run());
+
+// Send the queued changes in order. Stops at the first network/server error (tried again later)
+// or expired login; conflicts are held, changes the server rejects outright are dropped.
+export const replayMutations = () => withQueueLock(async () => {
+  if (!navigator.onLine) return;
+  const mutations = await listMutations();
+  const blocked = new Set();
+
+  for (const mutation of mutations) {
+    if (mutation.status === 'conflict' || blocked.has(mutation.taskId)) {
+      blocked.add(mutation.taskId);
+      continue;
+    }
+
+    try {
+      await axiosInstance({ method: mutation.method, url: mutation.url, data: mutation.body });
+      await mutationStore('readwrite', store => store.delete(mutation.id));
+      emit({ event: 'synced', mutation });
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 409 || status === 412) {
+        const data = err.response.data || {};
+        const conflict = { message: data.message || 'Changed by someone else', current: data.data || null };
+        await mutationStore('readwrite', store => store.put({ ...mutation, status: 'conflict', conflict }));
+        blocked.add(mutation.taskId);
+        emit({ event: 'conflict', mutation });
+      } else if (!status || status === 401 || status >= 500) {
+        return;
+      } else {
+        await mutationStore('readwrite', store => store.delete(mutation.id));
+        emit({ event: 'failed', mutation, message: err.response.data?.message });
+      }
+    }
+  }
+});
+
+// Settle a conflict: 'discard' drops the queued change (the server's version stays),
+// 'apply' sends it again over whatever the task looks like now
+export const resolveConflict = async (id, choice) => {
+  const mutation = await mutationStore('readonly', store => store.get(id));
+  if (!mutation) return;
+
+  if (choice === 'apply') {
+    const { expectedStatus, ...body } = mutation.body || {};
+    const currentStatus = mutation.conflict?.current?.status;
+    const rebased = {
+      ...mutation,
+      status: 'pending',
+      conflict: null,
+      body: expectedStatus && currentStatus ? { ...body, expectedStatus: currentStatus } : body,
+    };
+    await mutationStore('readwrite', store => store.put(rebased));
+  } else {
+    await mutationStore('readwrite', store => store.delete(id));
+  }
+  emit({ event: 'resolved', mutation });
+  await replayMutations();
+};
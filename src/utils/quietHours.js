@@ -0,0 +1,73 @@
+// Do Not Disturb and scheduled quiet hours, saved with the notification preferences:
+//   dnd: { enabled, until } - until is an ISO time, or null for "until I turn it off"
+//   quietHours: { enabled, start: 'HH:MM', end: 'HH:MM' } in local time, may run past midnight
+// While either is on, toasts, sounds and browser/web push are held back; the bell still fills up.
+// public/sw.js has a copy of quietReason for pushes arriving while the app is closed.
+
+export const DEFAULT_DND = { enabled: false, until: null };
+export const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00' };
+
+const minutesOf = (hhmm) => {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+const dndOn = (dnd, now) => Boolean(dnd?.enabled) && (!dnd.until || new Date(dnd.until) > now);
+
+const inQuietHours = (quietHours, now) => {
+  if (!quietHours?.enabled) return false;
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  if (start === end) return false;
+  const current = now.getHours() * 60 + now.getMinutes();
+  return start < end ? current >= start && current < end : current >= start || current < end;
+};
+
+// Why notifications are held right now: 'dnd', 'quietHours' or null
+export const quietReason = (preferences, now = new Date()) => {
+  if (dndOn(preferences?.dnd, now)) return 'dnd';
+  if (inQuietHours(preferences?.quietHours, now)) return 'quietHours';
+  return null;
+};
+
+// The next time `hhmm` comes round after `now`
+const nextTime = (hhmm, now) => {
+  const minutes = minutesOf(hhmm);
+  const at = new Date(now);
+  at.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return at;
+};
+
+// When quietReason may next change (DND running out, quiet hours starting or ending), or null
+export const nextQuietChange = (preferences, now = new Date()) => {
+  const { dnd, quietHours } = preferences || {};
+  const candidates = [];
+  if (dndOn(dnd, now) && dnd.until) candidates.push(new Date(dnd.until));
+  if (quietHours?.enabled) candidates.push(nextTime(quietHours.start, now), nextTime(quietHours.end, now));
+  return candidates.length ? new Date(Math.min(...candidates)) : null;
+};
+
+// When notifications come back, for "Do Not Disturb until 07:00"; null for "until turned off"
+export const quietUntil = (preferences, now = new Date()) => {
+  const reason = quietReason(preferences, now);
+  if (reason === 'dnd') return preferences.dnd.until ? new Date(preferences.dnd.until) : null;
+  if (reason === 'quietHours') return nextTime(preferences.quietHours.end, now);
+  return null;
+};
+
+// Topbar choices: { label, until() } - until() returns the ISO end time or null
+export const DND_PRESETS = [
+  { key: 'hour', label: 'For 1 hour', until: () => new Date(Date.now() + 60 * 60 * 1000).toISOString() },
+  { key: 'morning', label: 'Until 08:00', until: () => nextTime('08:00', new Date()).toISOString() },
+  { key: 'off', label: 'Until I turn it off', until: () => null },
+];
+
+const MSG_QUIET = 'notifications:quiet'; // keep in sync with public/sw.js
+
+// Hand the settings to the service worker, which checks them before showing a web push
+export const shareQuietSettings = ({ dnd, quietHours }) => {
+  navigator.serviceWorker?.ready
+    .then(reg => reg.active?.postMessage({ type: MSG_QUIET, dnd, quietHours }))
+    .catch(() => {});
+};
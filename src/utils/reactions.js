@@ -0,0 +1,31 @@
+// Reactions come back as a flat list: [{ emoji, user }] where user is populated or a bare ID
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '👀', '✅'];
+
+const userIdOf = (user) => (user && typeof user === 'object' ? user._id || user.id : user);
+
+// [{ emoji, count, names, mine }] in first-reacted order, for rendering pills
+export const groupReactions = (reactions = [], myId) => {
+  const groups = new Map();
+  reactions.forEach(({ emoji, user }) => {
+    if (!groups.has(emoji)) groups.set(emoji, { emoji, count: 0, names: [], mine: false });
+    const group = groups.get(emoji);
+    group.count += 1;
+    if (String(userIdOf(user)) === String(myId)) {
+      group.mine = true;
+      group.names.unshift('You');
+    } else {
+      group.names.push((typeof user === 'object' && user?.name) || 'Someone');
+    }
+  });
+  return [...groups.values()];
+};
+
+// Optimistic toggle of `me`'s reaction; the server's list replaces it once the request settles
+export const toggleReaction = (reactions = [], emoji, me) => {
+  const myId = userIdOf(me);
+  const mine = (r) => r.emoji === emoji && String(userIdOf(r.user)) === String(myId);
+  return reactions.some(mine)
+    ? reactions.filter(r => !mine(r))
+    : [...reactions, { emoji, user: { _id: myId, name: me?.name } }];
+};
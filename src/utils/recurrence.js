@@ -0,0 +1,151 @@
+// Recurrence rules for repeating tasks.
+// The form keeps a plain object; the backend also receives an RRULE-style string (`rule`)
+// e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10".
+
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'custom', label: 'Custom rule' }
+];
+
+export const WEEKDAYS = [
+  { code: 'SU', label: 'Sun' },
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' }
+];
+
+const RULE_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+export const createRecurrence = (frequency = 'weekly') => ({
+  frequency,
+  interval: 1,
+  weekdays: [],
+  monthDay: '',
+  endType: 'never',
+  until: '',
+  count: 10,
+  rule: ''
+});
+
+// "FREQ=WEEKLY;BYDAY=MO" -> { FREQ: 'WEEKLY', BYDAY: 'MO' }; null when it isn't a usable rule
+export const parseRRule = (rule) => {
+  if (!rule) return null;
+  const parts = {};
+  rule
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach(pair => {
+      const [key, value] = pair.split('=');
+      if (key && value) parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+  if (!RULE_UNITS[parts.FREQ]) return null;
+  if (parts.INTERVAL && !(Number(parts.INTERVAL) >= 1)) return null;
+  if (parts.COUNT && !(Number(parts.COUNT) >= 1)) return null;
+  return parts;
+};
+
+const stringifyParts = (parts) =>
+  Object.entries(parts).map(([key, value]) => `${key}=${value}`).join(';');
+
+export const buildRRule = (recurrence) => {
+  let parts;
+
+  if (recurrence.frequency === 'custom') {
+    parts = parseRRule(recurrence.rule) || {};
+  } else {
+    parts = { FREQ: recurrence.frequency.toUpperCase() };
+    const interval = Number(recurrence.interval) || 1;
+    if (interval > 1) parts.INTERVAL = interval;
+    if (recurrence.frequency === 'weekly' && recurrence.weekdays?.length) {
+      parts.BYDAY = recurrence.weekdays.join(',');
+    }
+    if (recurrence.frequency === 'monthly' && recurrence.monthDay) {
+      parts.BYMONTHDAY = recurrence.monthDay;
+    }
+  }
+
+  // The end settings from the form win over anything typed into a custom rule
+  if (recurrence.endType === 'until' && recurrence.until) {
+    delete parts.COUNT;
+    parts.UNTIL = recurrence.until.replace(/-/g, '');
+  } else if (recurrence.endType === 'count' && recurrence.count) {
+    delete parts.UNTIL;
+    parts.COUNT = recurrence.count;
+  }
+
+  return stringifyParts(parts);
+};
+
+// Returns an error message, or '' when the recurrence can be saved
+export const validateRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  if (recurrence.frequency === 'custom' && !parseRRule(recurrence.rule)) {
+    return 'Enter a valid repeat rule, e.g. FREQ=WEEKLY;BYDAY=MO,FR';
+  }
+  if (recurrence.frequency !== 'custom' && !(Number(recurrence.interval) >= 1)) {
+    return 'Repeat interval must be at least 1';
+  }
+  if (recurrence.frequency === 'monthly' && recurrence.monthDay) {
+    const day = Number(recurrence.monthDay);
+    if (!Number.isInteger(day) || day < 1 || day > 31) return 'Day of month must be between 1 and 31';
+  }
+  if (recurrence.endType === 'until' && !recurrence.until) {
+    return 'Choose the date the repeats should end';
+  }
+  if (recurrence.endType === 'count' && !(Number(recurrence.count) >= 1)) {
+    return 'Number of occurrences must be at least 1';
+  }
+  return '';
+};
+
+// Human readable summary, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  // Tasks saved with only a rule string (no form fields) are described from the rule
+  const parts = parseRRule(recurrence.frequency ? buildRRule(recurrence) : recurrence.rule);
+  if (!parts) return 'Custom schedule';
+
+  const unit = RULE_UNITS[parts.FREQ];
+  const interval = Number(parts.INTERVAL) || 1;
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (parts.BYDAY) {
+    const labels = parts.BYDAY.split(',').map(code => WEEKDAYS.find(d => d.code === code)?.label || code);
+    text += ` on ${labels.join(', ')}`;
+  }
+  if (parts.BYMONTHDAY) {
+    text += ` on day ${parts.BYMONTHDAY}`;
+  }
+  if (parts.UNTIL) {
+    const until = parts.UNTIL.slice(0, 8);
+    const date = new Date(Number(until.slice(0, 4)), Number(until.slice(4, 6)) - 1, Number(until.slice(6, 8)));
+    text += `, until ${date.toLocaleDateString()}`;
+  } else if (parts.COUNT) {
+    text += `, ${parts.COUNT} time${Number(parts.COUNT) > 1 ? 's' : ''}`;
+  }
+
+  return text;
+};
+
+// Shape sent to the API - null clears the recurrence
+export const toRecurrencePayload = (recurrence) =>
+  recurrence ? { ...recurrence, rule: buildRRule(recurrence) } : null;
+
+// Shape used by the form, from whatever the API returned
+export const fromRecurrencePayload = (recurrence) => {
+  if (!recurrence) return null;
+  return {
+    ...createRecurrence(recurrence.frequency || 'custom'),
+    ...recurrence,
+    until: recurrence.until ? String(recurrence.until).slice(0, 10) : '',
+    weekdays: recurrence.weekdays || []
+  };
+};
@@ -0,0 +1,41 @@
+// Subtasks are checklist items: { _id, title, assignee, dueDate, done }.
+// Older tasks stored { title, progress } - a subtask at 100% counts as done.
+
+const toId = (value) => (value && typeof value === 'object' ? value._id : value) || '';
+
+export const createSubtask = (title = '') => ({
+  title,
+  assignee: '',
+  dueDate: '',
+  done: false
+});
+
+// Form shape from whatever the API returned
+export const normalizeSubtask = (subtask) => ({
+  ...createSubtask(subtask.title || ''),
+  _id: subtask._id,
+  assignee: toId(subtask.assignee),
+  dueDate: subtask.dueDate ? String(subtask.dueDate).slice(0, 10) : '',
+  done: subtask.done ?? (subtask.progress || 0) >= 100
+});
+
+export const isSubtaskDone = (subtask) => Boolean(subtask.done ?? (subtask.progress || 0) >= 100);
+
+// Parent progress = share of subtasks that are done; null when there is nothing to derive it from
+export const computeSubtaskProgress = (subtasks = []) => {
+  if (subtasks.length === 0) return null;
+  const done = subtasks.filter(isSubtaskDone).length;
+  return Math.round((done / subtasks.length) * 100);
+};
+
+// Shape sent to the API - empty rows are dropped
+export const toSubtaskPayload = (subtasks = []) =>
+  subtasks
+    .filter(st => st.title?.trim())
+    .map(st => ({
+      ...(st._id ? { _id: st._id } : {}),
+      title: st.title.trim(),
+      assignee: toId(st.assignee) || null,
+      dueDate: st.dueDate || null,
+      done: Boolean(st.done)
+    }));
@@ -0,0 +1,56 @@
+// Service worker registration and updates. A new deploy installs a new worker in the background
+// (public/sw.js); it waits until the user picks "reload" in UpdatePrompt, then takes over and
+// every open tab reloads into the new version together.
+
+const MSG_SKIP_WAITING = 'sw:skip-waiting'; // keep in sync with public/sw.js
+export const SW_UPDATE_READY = 'sw:update-ready'; // window event: a new version is waiting
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // tabs left open for days still hear about deploys
+
+let waitingWorker = null;
+
+const announce = (worker) => {
+  waitingWorker = worker;
+  window.dispatchEvent(new Event(SW_UPDATE_READY));
+};
+
+export const hasWaitingUpdate = () => Boolean(waitingWorker);
+
+export const registerAppServiceWorker = async () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  // The first worker takes over the page without a reload; only a version switch reloads
+  let hasController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hasController) {
+      hasController = true;
+      return;
+    }
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  try {
+    const reg = await navigator.serviceWorker.register('/sw.js');
+    console.log('Service Worker registered:', reg.scope);
+
+    if (reg.waiting && navigator.serviceWorker.controller) announce(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) announce(worker);
+      });
+    });
+
+    setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+  } catch (err) {
+    console.error('Service Worker registration failed:', err);
+  }
+};
+
+// Let the waiting worker take over; the controllerchange handler above then reloads
+export const applyUpdate = () => {
+  if (waitingWorker) waitingWorker.postMessage({ type: MSG_SKIP_WAITING });
+  else window.location.reload();
+};
@@ -0,0 +1,19 @@
+// Shared colors for task status / priority (used by the badges in TaskList and the calendar views)
+
+export const STATUS_COLORS = {
+  completed: '#4caf50',
+  ongoing: '#ff9800',
+  pending: '#9e9e9e',
+};
+
+export const PRIORITY_COLORS = {
+  high: '#dc267f',
+  medium: '#ff9800',
+  low: '#4caf50',
+};
+
+const FALLBACK_COLOR = '#9e9e9e';
+
+export const getStatusColor = (status) => STATUS_COLORS[status] || FALLBACK_COLOR;
+
+export const getPriorityColor = (priority) => PRIORITY_COLORS[priority] || FALLBACK_COLOR;
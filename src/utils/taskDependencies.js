@@ -0,0 +1,14 @@
+// Task dependencies: `task.dependencies` lists the tasks it is blocked by.
+// Only populated dependencies (objects with a status) can be checked client-side;
+// the backend enforces the same rule for bare IDs.
+
+export const getOpenBlockers = (dependencies = []) =>
+  dependencies.filter(dep => dep && typeof dep === 'object' && dep.status !== 'completed');
+
+// A blocked task may stay pending but can't be started or completed
+export const getBlockedMessage = (dependencies, newStatus) => {
+  if (newStatus === 'pending') return '';
+  const blockers = getOpenBlockers(dependencies);
+  if (blockers.length === 0) return '';
+  return `Blocked by ${blockers.map(b => `"${b.title}"`).join(', ')}`;
+};
@@ -0,0 +1,33 @@
+// Helpers for merging task socket events into already-loaded task lists
+
+// Deleted / commented events may carry the task, { taskId } or just the ID
+export const getEventTaskId = (payload) =>
+  typeof payload === 'string' ? payload : payload?._id || payload?.taskId || payload?.task?._id;
+
+const POPULATED_FIELDS = ['assignees', 'department', 'createdBy', 'dependencies'];
+
+const toId = (value) => (value && typeof value === 'object' ? value._id : value);
+const isPopulated = (value) =>
+  Array.isArray(value) ? value.some(v => v && typeof v === 'object') : Boolean(value && typeof value === 'object');
+const sameIds = (a, b) =>
+  Array.isArray(a) && Array.isArray(b)
+    ? a.length === b.length && a.every((v, i) => toId(v) === toId(b[i]))
+    : toId(a) === toId(b);
+
+// Socket payloads are often unpopulated (bare IDs); keep the populated copy we already have
+// when it still refers to the same documents
+export const mergeTaskUpdate = (existing, incoming) => {
+  if (!existing) return incoming;
+  const merged = { ...existing, ...incoming };
+  POPULATED_FIELDS.forEach(field => {
+    if (
+      incoming[field] !== undefined &&
+      !isPopulated(incoming[field]) &&
+      isPopulated(existing[field]) &&
+      sameIds(existing[field], incoming[field])
+    ) {
+      merged[field] = existing[field];
+    }
+  });
+  return merged;
+};
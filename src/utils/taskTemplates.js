@@ -0,0 +1,44 @@
+import { diffInDays, fromDateInputValue, resolveRelativeDate } from './dates';
+import { fromRecurrencePayload } from './recurrence';
+import { createSubtask } from './subtasks';
+
+const toId = (value) => (value && typeof value === 'object' ? value._id : value) || '';
+
+const toDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? fromDateInputValue(value) : new Date(value);
+
+// Template payload from a saved task or the CreateTask form.
+// An absolute due date becomes an offset ("+3 days") from the task's creation (or today).
+export const buildTemplate = (name, source) => {
+  let relativeDueDate = source.relativeDueDate || '';
+  if (!relativeDueDate && source.dueDate) {
+    const base = source.createdAt ? new Date(source.createdAt) : new Date();
+    relativeDueDate = `+${Math.max(0, diffInDays(base, toDate(source.dueDate)))} days`;
+  }
+
+  return {
+    name,
+    title: source.title || '',
+    description: source.description || '',
+    priority: source.priority || 'medium',
+    department: toId(source.department),
+    assignees: (source.assignees || []).map(toId).filter(Boolean),
+    subtasks: (source.subtasks || [])
+      .filter(st => st.title?.trim())
+      .map(st => ({ title: st.title.trim() })),
+    relativeDueDate,
+    recurrence: source.recurrence || null
+  };
+};
+
+// CreateTask form values from a template; relative due dates are resolved against today
+export const templateToTaskForm = (template) => ({
+  title: template.title || '',
+  description: template.description || '',
+  priority: template.priority || 'medium',
+  department: toId(template.department),
+  assignees: (template.assignees || []).map(toId).filter(Boolean),
+  dueDate: resolveRelativeDate(template.relativeDueDate),
+  subtasks: (template.subtasks || []).map(st => createSubtask(st.title)),
+  recurrence: fromRecurrencePayload(template.recurrence)
+});
@@ -0,0 +1,31 @@
+// Durations for time tracking are kept in whole minutes
+
+// 200 -> "3h 20m", 45 -> "45m", 0 -> "0m"
+export const formatDuration = (minutes = 0) => {
+  const total = Math.max(0, Math.round(minutes));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+// Running timer display: 3723 -> "1:02:03"
+export const formatElapsed = (seconds = 0) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = String(total % 60).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+};
+
+// "1h 30m", "90m", "1.5h" or "1.5" (hours) -> minutes; null when it can't be read
+export const parseDuration = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 60);
+
+  const match = text.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+};
@@ -12,9 +12,44 @@
 
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+
+// Stamps the built sw.js with the files of this build: { version, files }.
+// The version is a hash of the bundle, so every deploy changes sw.js and the browser installs the
+// new worker, which precaches exactly these files (see public/sw.js and src/utils/swUpdate.js).
+const swPrecacheManifest = () => {
+  let outDir = 'dist';
+  let manifest = null;
+
+  return {
+    name: 'sw-precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    writeBundle(_, bundle) {
+      // Built file names carry a content hash; index.html doesn't, so its content counts too
+      const names = Object.keys(bundle).filter(name => !name.endsWith('.map')).sort();
+      const hash = createHash('sha256');
+      names.forEach(name => {
+        hash.update(name);
+        if (name === 'index.html') hash.update(bundle[name].source);
+      });
+      manifest = { version: hash.digest('hex').slice(0, 12), files: names.map(name => `/${name}`) };
+    },
+    async closeBundle() {
+      if (!manifest) return;
+      const swPath = resolve(outDir, 'sw.js');
+      const source = await readFile(swPath, 'utf8');
+      await writeFile(swPath, source.replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest)));
+    },
+  };
+};
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), swPrecacheManifest()],
   server: {
     proxy: {
       "/api": "http://localhost:5050", // ✅ Redirect API requests to backend